@@ -0,0 +1,130 @@
+var WebUtils = require('./WebUtils').WebUtils;
+
+/**
+ * Constructs an AchievementNotifier, which shows a notification whenever the
+ * `AchievementManager` (see Achievements.js) unlocks an achievement: a box
+ * with its name and description fades in (see `WebUtils.fadeIn()`), stays
+ * for a while, then fades out and is removed. Achievements unlocked close
+ * together are shown one after the other.
+ *
+ * The notifications are added to `element` (a div, which is an accessible
+ * live region), which the game places wherever it wants them to show up.
+ *
+ * @param achievementManager (required)
+ *      the `AchievementManager` whose unlocks are shown
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      displayTime -- how long each notification stays after fading in, in
+ *          milliseconds, default 3000
+ *
+ *      fadeDuration -- how long the fades take, in milliseconds, default 400
+ *
+ *      title -- the HTML shown above the achievement's name, default
+ *          'Achievement unlocked!'
+ */
+class AchievementNotifier {
+    constructor(achievementManager, options) {
+        this.achievementManager = achievementManager;
+        this.displayTime = 3000;
+        this.fadeDuration = 400;
+        this.title = 'Achievement unlocked!';
+        if (options) {
+            if (options.displayTime !== undefined) {
+                this.displayTime = options.displayTime;
+            }
+            if (options.fadeDuration !== undefined) {
+                this.fadeDuration = options.fadeDuration;
+            }
+            if (options.title) {
+                this.title = options.title;
+            }
+        }
+
+        this.element = document.createElement('div');
+        this.element.className = 'plawser-achievement-notifier';
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+
+        // the achievements waiting to be shown
+        this.queue = [];
+        // the notification being shown, or null
+        this._currentEl = null;
+        this._timeout = null;
+        this._unsubscribe = this.achievementManager.on('unlocked', (data) => {
+            this.queue.push(data.achievement);
+            if (! this._currentEl) {
+                this._showNext();
+            }
+        });
+    }
+
+    /**
+     * Stops showing notifications, removing the one being shown.
+     */
+    destroy() {
+        this._unsubscribe();
+        this.queue = [];
+        if (this._timeout !== null) {
+            clearTimeout(this._timeout);
+            this._timeout = null;
+        }
+        if (this._currentEl) {
+            this.element.removeChild(this._currentEl);
+            this._currentEl = null;
+        }
+    }
+
+    /**
+     * Shows the next achievement in the queue, if any.
+     */
+    _showNext() {
+        if (this.queue.length == 0) {
+            this._currentEl = null;
+            return;
+        }
+        var achievement = this.queue.shift();
+
+        var notificationEl = document.createElement('div');
+        notificationEl.className = 'plawser-achievement-notification';
+        var titleEl = document.createElement('div');
+        titleEl.className = 'plawser-achievement-notification-title';
+        titleEl.innerHTML = this.title;
+        notificationEl.appendChild(titleEl);
+        var nameEl = document.createElement('div');
+        nameEl.className = 'plawser-achievement-notification-name';
+        nameEl.innerHTML = achievement.name;
+        notificationEl.appendChild(nameEl);
+        if (achievement.description) {
+            let descriptionEl = document.createElement('div');
+            descriptionEl.className =
+                'plawser-achievement-notification-description';
+            descriptionEl.innerHTML = achievement.description;
+            notificationEl.appendChild(descriptionEl);
+        }
+        notificationEl.style.opacity = 0.0;
+        this.element.appendChild(notificationEl);
+        this._currentEl = notificationEl;
+
+        var fadeOptions = {duration: this.fadeDuration};
+        WebUtils.fadeIn(notificationEl, () => {
+            // destroyed in the meantime
+            if (this._currentEl !== notificationEl) {
+                return;
+            }
+            this._timeout = setTimeout(() => {
+                this._timeout = null;
+                WebUtils.fadeOut(notificationEl, () => {
+                    if (notificationEl.parentElement === this.element) {
+                        this.element.removeChild(notificationEl);
+                    }
+                    this._showNext();
+                }, fadeOptions);
+            }, this.displayTime);
+        }, fadeOptions);
+    }
+}
+
+module.exports = {
+    AchievementNotifier: AchievementNotifier
+};
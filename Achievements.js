@@ -0,0 +1,372 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+
+/**
+ * Constructs an AchievementManager, which unlocks achievements once their
+ * conditions on the game's `Statistics` (see Statistics.js) hold, and keeps
+ * track of which are unlocked and how close the player is to the others.
+ *
+ * Achievements are declared as plain data (e.g. loaded from JSON), an array
+ * of objects with:
+ *
+ * id -- a unique string id (required)
+ *
+ * name, description -- what the achievements screen shows (HTML is
+ *      respected)
+ *
+ * hidden -- whether the achievement should be kept secret until it's
+ *      unlocked, default false (it's up to the achievements screen to hide
+ *      it)
+ *
+ * condition -- what unlocks it (required), an object with one of the
+ *      following:
+ *
+ *      `{"stat": name, "key": key, "atLeast": number}` -- the statistic (or
+ *          its count for the key, which is optional) is at least the number
+ *
+ *      `{"distinct": name, "atLeast": number}` -- the statistic was counted
+ *          for at least that many different keys (e.g. different scenes
+ *          visited, see `Statistics.countDistinct()`)
+ *
+ *      `{"xpLevel": number}` -- the player is at least at this XP level
+ *          (needs the `player` option)
+ *
+ *      `{"all": [conditions]}`, `{"any": [conditions]}`
+ *
+ * For example:
+ *
+ * ```
+ *  {
+ *      "id": "goblinSlayer",
+ *      "name": "Goblin Slayer",
+ *      "description": "Defeat 10 goblins.",
+ *      "condition": {"stat": "enemiesDefeated", "key": "goblin",
+ *          "atLeast": 10}
+ *  }
+ * ```
+ *
+ * Achievements are checked whenever a statistic changes (and when the
+ * player levels up), or with `check()`. The unlocked achievements can be
+ * saved with `toJSON()` and restored with `restore()`, e.g. as a
+ * `SaveManager` section (see SaveSystem.js), next to the statistics. See
+ * AchievementNotifier.js for showing unlocks as they happen.
+ *
+ * An AchievementManager is an `EventEmitter` (see EventEmitter.js) and
+ * emits:
+ *
+ * unlocked -- `{achievement, time}`, when an achievement is unlocked
+ *
+ * @param definitions (required)
+ *      the array of achievements, as above; mistakes in them throw an Error
+ *      right away
+ * @param statistics (required)
+ *      the `Statistics` the conditions are checked against
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      player -- the `Player` (see Player.js), for `xpLevel` conditions
+ *
+ *      now -- a function that returns the current time for unlocks,
+ *          signature `() --> number`, default `Date.now`
+ */
+class AchievementManager extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        unlock: {
+            doesNotExist: 'doesNotExist',
+            alreadyUnlocked: 'alreadyUnlocked',
+            success: 'success'
+        }
+    };
+
+    constructor(definitions, statistics, options) {
+        super();
+
+        this.statistics = statistics;
+        this.player = null;
+        this.now = Date.now;
+        if (options) {
+            if (options.player) {
+                this.player = options.player;
+            }
+            if (options.now) {
+                this.now = options.now;
+            }
+        }
+
+        // map of id to achievement, in the order they were declared
+        this.achievements = new Map();
+        for (const definition of definitions) {
+            AchievementManager._validate(definition);
+            if (this.achievements.has(definition.id)) {
+                throw new Error(`Duplicate achievement id: ${definition.id}`);
+            }
+            this.achievements.set(definition.id, {
+                id: definition.id,
+                name: definition.name || definition.id,
+                description: definition.description || '',
+                hidden: !! definition.hidden,
+                condition: definition.condition
+            });
+        }
+        // map of id to the time the achievement was unlocked
+        this.unlocked = new Map();
+
+        this._unsubscribers = [
+            this.statistics.on('statChanged', () => this.check())
+        ];
+        if (this.player) {
+            this._unsubscribers.push(
+                this.player.on('levelUp', () => this.check())
+            );
+        }
+    }
+
+    /**
+     * Unlocks every locked achievement whose condition holds. Returns an
+     * array of the achievements unlocked.
+     */
+    check() {
+        var unlocked = [];
+        for (const achievement of this.achievements.values()) {
+            if (! this.unlocked.has(achievement.id)
+                    && this._isMet(achievement.condition)) {
+                this.unlock(achievement.id);
+                unlocked.push(achievement);
+            }
+        }
+        return unlocked;
+    }
+
+    /**
+     * Unlocks the achievement, whether or not its condition holds. Returns
+     * the appropriate status constant above.
+     */
+    unlock(id) {
+        if (! this.achievements.has(id)) {
+            return AchievementManager.STATUS_CONSTANTS.unlock.doesNotExist;
+        }
+        if (this.unlocked.has(id)) {
+            return AchievementManager.STATUS_CONSTANTS.unlock.alreadyUnlocked;
+        }
+        var time = this.now();
+        this.unlocked.set(id, time);
+        this.emit('unlocked', {
+            achievement: this.achievements.get(id),
+            time: time
+        });
+        return AchievementManager.STATUS_CONSTANTS.unlock.success;
+    }
+
+    /**
+     * Whether the achievement is unlocked.
+     */
+    isUnlocked(id) {
+        return this.unlocked.has(id);
+    }
+
+    /**
+     * Returns how close the player is to unlocking the achievement, as
+     * `{current, goal, percentage}` (the percentage is 100 once unlocked), or
+     * null if there's no such achievement.
+     */
+    getProgress(id) {
+        var achievement = this.achievements.get(id);
+        if (! achievement) {
+            return null;
+        }
+        var progress = this._getProgress(achievement.condition);
+        if (this.unlocked.has(id)) {
+            return {
+                current: progress.goal,
+                goal: progress.goal,
+                percentage: 100
+            };
+        }
+        return {
+            current: progress.current,
+            goal: progress.goal,
+            percentage: (progress.goal > 0) ? (
+                Math.min(progress.current / progress.goal, 1) * 100
+            ) : 0
+        };
+    }
+
+    /**
+     * Returns every achievement for an achievements screen, in the order
+     * they were declared, as an array of `{id, name, description, hidden,
+     * unlocked, unlockedAt, progress}`, where unlockedAt is null if locked
+     * and progress is what `getProgress()` returns.
+     */
+    getAll() {
+        return Array.from(this.achievements.values()).map((achievement) => {
+            return {
+                id: achievement.id,
+                name: achievement.name,
+                description: achievement.description,
+                hidden: achievement.hidden,
+                unlocked: this.unlocked.has(achievement.id),
+                unlockedAt: this.unlocked.has(achievement.id) ? (
+                    this.unlocked.get(achievement.id)
+                ) : null,
+                progress: this.getProgress(achievement.id)
+            };
+        });
+    }
+
+    /**
+     * Returns the number of achievements unlocked.
+     */
+    getUnlockedCount() {
+        return this.unlocked.size;
+    }
+
+    /**
+     * Stops checking achievements automatically.
+     */
+    destroy() {
+        for (const unsubscribe of this._unsubscribers) {
+            unsubscribe();
+        }
+        this._unsubscribers = [];
+    }
+
+    /**
+     * Returns the unlocked achievements as plain JSON-serializable data.
+     */
+    toJSON() {
+        return {
+            unlocked: Array.from(this.unlocked.entries())
+        };
+    }
+
+    /**
+     * Restores the unlocked achievements from the data returned by
+     * `toJSON()`, without emitting events. Achievements that are no longer
+     * declared are dropped.
+     */
+    restore(data) {
+        this.unlocked = new Map(data.unlocked.filter((entry) => {
+            return this.achievements.has(entry[0]);
+        }));
+    }
+
+    /**
+     * Whether the condition (see above) holds.
+     */
+    _isMet(condition) {
+        if ('all' in condition) {
+            return condition.all.every((c) => this._isMet(c));
+        }
+        if ('any' in condition) {
+            return condition.any.some((c) => this._isMet(c));
+        }
+        var progress = this._getProgress(condition);
+        return progress.current >= progress.goal;
+    }
+
+    /**
+     * Returns the progress of the condition as `{current, goal}`. For `all`,
+     * it's the sum of the parts (each counting up to its goal); for `any`,
+     * the part closest to its goal.
+     */
+    _getProgress(condition) {
+        if ('all' in condition) {
+            let current = 0;
+            let goal = 0;
+            for (const part of condition.all) {
+                let progress = this._getProgress(part);
+                current += Math.min(progress.current, progress.goal);
+                goal += progress.goal;
+            }
+            return {current: current, goal: goal};
+        }
+        if ('any' in condition) {
+            let best = null;
+            let bestFraction = -1;
+            for (const part of condition.any) {
+                let progress = this._getProgress(part);
+                let fraction = (progress.goal > 0) ? (
+                    progress.current / progress.goal
+                ) : 1;
+                if (fraction > bestFraction) {
+                    best = progress;
+                    bestFraction = fraction;
+                }
+            }
+            return best;
+        }
+        if ('stat' in condition) {
+            return {
+                current: this.statistics.get(condition.stat, condition.key),
+                goal: condition.atLeast
+            };
+        }
+        if ('distinct' in condition) {
+            return {
+                current: this.statistics.countDistinct(condition.distinct),
+                goal: condition.atLeast
+            };
+        }
+        // xpLevel
+        return {
+            current: this.player ? this.player.xpLevel : 0,
+            goal: condition.xpLevel
+        };
+    }
+
+    /**
+     * Checks that the achievement is well-formed, throwing an Error
+     * describing the first problem found.
+     */
+    static _validate(definition) {
+        if (definition === null || typeof definition != 'object'
+                || typeof definition.id != 'string') {
+            throw new Error(`Achievement id must be a string: ${
+                JSON.stringify(definition)
+            }`);
+        }
+        if (! definition.condition) {
+            throw new Error(`Achievement "${definition.id}" has no condition`);
+        }
+        AchievementManager._validateCondition(definition.condition);
+    }
+
+    /**
+     * Checks that the condition is well-formed (see _validate().)
+     */
+    static _validateCondition(condition) {
+        var describe = JSON.stringify(condition);
+        if (condition === null || typeof condition != 'object'
+                || Array.isArray(condition)) {
+            throw new Error(`Condition must be an object: ${describe}`);
+        }
+        if ('all' in condition || 'any' in condition) {
+            let parts = ('all' in condition) ? condition.all : condition.any;
+            if (! Array.isArray(parts) || parts.length == 0) {
+                throw new Error(`Conditions must be a non-empty array: ${
+                    describe
+                }`);
+            }
+            parts.forEach(AchievementManager._validateCondition);
+            return;
+        }
+        if ('stat' in condition || 'distinct' in condition) {
+            if (typeof condition.atLeast != 'number') {
+                throw new Error(`atLeast must be a number: ${describe}`);
+            }
+            return;
+        }
+        if ('xpLevel' in condition) {
+            if (typeof condition.xpLevel != 'number') {
+                throw new Error(`xpLevel must be a number: ${describe}`);
+            }
+            return;
+        }
+        throw new Error(`Unknown condition: ${describe}`);
+    }
+}
+
+module.exports = {
+    AchievementManager: AchievementManager
+};
@@ -0,0 +1,582 @@
+// Calls the callback on the next animation frame with the current time in
+// milliseconds, falling back to a timeout where there's no
+// requestAnimationFrame (e.g. when running headless.)
+function requestFrame(callback) {
+    if (typeof requestAnimationFrame != 'undefined') {
+        return requestAnimationFrame(callback);
+    }
+    return setTimeout(() => {
+        callback(Date.now());
+    }, 16);
+}
+
+function cancelFrame(id) {
+    if (typeof cancelAnimationFrame != 'undefined') {
+        cancelAnimationFrame(id);
+    }
+    else {
+        clearTimeout(id);
+    }
+}
+
+// Parses a CSS color ('#rgb', '#rrggbb', 'rgb(...)' or 'rgba(...)') into
+// `[r, g, b, a]`, or returns null if it can't be parsed.
+function parseColor(color) {
+    color = String(color).trim();
+    var match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+    if (match) {
+        let hex = match[1];
+        if (hex.length == 3) {
+            hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+        }
+        return [
+            parseInt(hex.slice(0, 2), 16),
+            parseInt(hex.slice(2, 4), 16),
+            parseInt(hex.slice(4, 6), 16),
+            1
+        ];
+    }
+    match = /^rgba?\(([^)]*)\)$/i.exec(color);
+    if (match) {
+        let parts = match[1].split(',').map((part) => parseFloat(part));
+        return [parts[0], parts[1], parts[2], (parts.length > 3) ? (
+            parts[3]
+        ) : 1];
+    }
+    return null;
+}
+
+// Same as parseColor(), but also resolves any other CSS color (e.g. a named
+// one like 'red') through the browser, by reading it back from a probe
+// element. Returns null if it isn't a color (or there's no DOM to ask.)
+function resolveColor(color) {
+    var parsed = parseColor(color);
+    if (parsed || typeof document == 'undefined' || ! document.body) {
+        return parsed;
+    }
+    var probe = document.createElement('div');
+    probe.style.color = String(color);
+    if (! probe.style.color) {
+        // the browser rejected it
+        return null;
+    }
+    document.body.appendChild(probe);
+    var computed = getComputedStyle(probe).color;
+    document.body.removeChild(probe);
+    return parseColor(computed);
+}
+
+/**
+ * A handle for a single animation, returned by `Animation.animate()` (and the
+ * effects built on it.) It can be awaited like a Promise, and resolves with
+ * one of `Animation.RESULTS` once the animation is done. If the animation
+ * can't be started (e.g. a color that can't be parsed), it rejects with the
+ * Error instead, and the element's next queued animation still starts.
+ *
+ * (Handles are made by `Animation`, not constructed directly.)
+ */
+class AnimationHandle {
+    constructor(el, createStep, duration, easing) {
+        this.el = el;
+        this.createStep = createStep;
+        this.duration = duration;
+        this.easing = easing;
+        this.started = false;
+        this.done = false;
+        this.step = null;
+        this.startTime = null;
+        this.frameId = null;
+        // called once the animation is done, so the next queued one can
+        // start (set by Animation)
+        this.onDone = function() {};
+        this.promise = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+    }
+
+    /**
+     * Same as `then()` of the Promise, so a handle can be awaited.
+     */
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Stops the animation where it is (or, if it hasn't started yet because
+     * it's queued, keeps it from starting.) Resolves with
+     * `Animation.RESULTS.cancelled`.
+     */
+    cancel() {
+        if (this.done) {
+            return;
+        }
+        if (this.frameId !== null) {
+            cancelFrame(this.frameId);
+        }
+        this._end(Animation.RESULTS.cancelled);
+    }
+
+    /**
+     * Jumps straight to the end of the animation. Resolves with
+     * `Animation.RESULTS.completed`.
+     */
+    finish() {
+        if (this.done) {
+            return;
+        }
+        if (this.frameId !== null) {
+            cancelFrame(this.frameId);
+        }
+        if (! this.started) {
+            this.started = true;
+            if (! this._createStep()) {
+                return;
+            }
+        }
+        this.step(1);
+        this._end(Animation.RESULTS.completed);
+    }
+
+    /**
+     * Starts running frames (called by Animation.)
+     */
+    _start() {
+        if (this.done || this.started) {
+            return;
+        }
+        this.started = true;
+        if (! this._createStep()) {
+            return;
+        }
+        this.frameId = requestFrame((time) => this._frame(time));
+    }
+
+    _frame(time) {
+        this.frameId = null;
+        if (this.done) {
+            return;
+        }
+        if (this.startTime === null) {
+            this.startTime = time;
+        }
+        var progress = (this.duration > 0) ? Math.min(
+            (time - this.startTime) / this.duration, 1
+        ) : 1;
+        this.step(this.easing(progress));
+        if (progress >= 1) {
+            this._end(Animation.RESULTS.completed);
+        }
+        else {
+            this.frameId = requestFrame((time) => this._frame(time));
+        }
+    }
+
+    _end(result) {
+        this.done = true;
+        this.resolve(result);
+        this.onDone();
+    }
+
+    /**
+     * Rejects with the error instead of resolving. The next queued animation
+     * still starts.
+     */
+    _fail(error) {
+        this.done = true;
+        this.reject(error);
+        this.onDone();
+    }
+
+    /**
+     * Creates the step function, failing (see _fail()) rather than throwing
+     * if createStep throws, since this can happen while the element's queue
+     * is being advanced. Returns whether it succeeded.
+     */
+    _createStep() {
+        try {
+            this.step = this.createStep(this.el);
+        }
+        catch (e) {
+            this._fail(e);
+            return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * This class contains static utilities for animating DOM elements, driven by
+ * `requestAnimationFrame`, with duration-based timing and easing.
+ *
+ * Every animation returns an `AnimationHandle`, which can be awaited (it
+ * resolves with one of `Animation.RESULTS`) and cancelled or finished early.
+ * Animations of the same element don't conflict: by default, a new animation
+ * replaces (cancels) the element's running and queued ones, but it can also
+ * be queued to run after them, or run in parallel (see `animate()`.)
+ *
+ * For example:
+ *
+ * ```
+ *  await Animation.fadeOut(el, {duration: 300});
+ *  el.innerHTML = 'Something new';
+ *  await Animation.fadeIn(el, {duration: 300, easing: 'easeOut'});
+ * ```
+ */
+class Animation {
+    static RESULTS = {
+        completed: 'completed',
+        cancelled: 'cancelled'
+    };
+
+    // Easing functions, which map the progress of the animation (from 0 to
+    // 1) to the progress of the effect. Any function of this signature can
+    // be passed as the easing option.
+    static EASINGS = {
+        linear: (t) => t,
+        easeIn: (t) => t * t,
+        easeOut: (t) => t * (2 - t),
+        easeInOut: (t) => (t < 0.5) ? (2 * t * t) : (-1 + (4 - 2 * t) * t),
+        easeInCubic: (t) => t * t * t,
+        easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+        easeOutBounce: (t) => {
+            if (t < 1 / 2.75) {
+                return 7.5625 * t * t;
+            }
+            if (t < 2 / 2.75) {
+                t -= 1.5 / 2.75;
+                return 7.5625 * t * t + 0.75;
+            }
+            if (t < 2.5 / 2.75) {
+                t -= 2.25 / 2.75;
+                return 7.5625 * t * t + 0.9375;
+            }
+            t -= 2.625 / 2.75;
+            return 7.5625 * t * t + 0.984375;
+        }
+    };
+
+    static DEFAULT_DURATION = 400;
+
+    /**
+     * Animates the element. This is what all the effects below are built on.
+     *
+     * @param el (required)
+     *      the HTML element to animate (or null, for an animation not tied to
+     *      an element)
+     * @param createStep (required)
+     *      a function called when the animation actually starts (which, for a
+     *      queued animation, is later than when `animate()` is called), that
+     *      returns the function to call every frame with the eased progress;
+     *      signature `(HTML element) --> ((number from 0 to 1) --> void)`.
+     *      Reading the element's starting state in `createStep` (rather than
+     *      before calling `animate()`) is what makes queueing work. If it
+     *      throws, the handle rejects with the Error.
+     * @param options (optional)
+     *      an object with any of the following:
+     *
+     *      duration -- the duration in milliseconds, default 400
+     *
+     *      easing -- the name of one of `Animation.EASINGS`, or an easing
+     *          function, default 'easeInOut'; with an unknown name, the
+     *          handle rejects right away (and the element's animations are
+     *          left alone)
+     *
+     *      mode -- 'replace' (cancel the element's running and queued
+     *          animations), 'queue' (run after them) or 'parallel' (run
+     *          alongside them, e.g. for different properties), default
+     *          'replace'
+     */
+    static animate(el, createStep, options) {
+        var duration = Animation.DEFAULT_DURATION;
+        var easing = Animation.EASINGS.easeInOut;
+        var mode = 'replace';
+        if (options) {
+            if (options.duration !== undefined) {
+                duration = options.duration;
+            }
+            if (options.easing) {
+                if (typeof options.easing == 'function') {
+                    easing = options.easing;
+                }
+                else if (Object.keys(Animation.EASINGS).includes(
+                        options.easing)) {
+                    easing = Animation.EASINGS[options.easing];
+                }
+                else {
+                    // failing now, rather than every frame
+                    return Animation._failed(new Error(
+                        `Unknown easing: ${options.easing}`
+                    ));
+                }
+            }
+            if (options.mode) {
+                mode = options.mode;
+            }
+        }
+
+        var handle = new AnimationHandle(el, createStep, duration, easing);
+        if (! el || mode == 'parallel') {
+            handle._start();
+            return handle;
+        }
+
+        var state = Animation._getState(el);
+        if (mode == 'replace') {
+            Animation.cancelAll(el);
+        }
+        state.queue.push(handle);
+        handle.onDone = () => {
+            var index = state.queue.indexOf(handle);
+            if (index != -1) {
+                state.queue.splice(index, 1);
+            }
+            // start the next queued animation, if any
+            if (state.queue.length > 0) {
+                state.queue[0]._start();
+            }
+        };
+        if (state.queue.length == 1) {
+            handle._start();
+        }
+        return handle;
+    }
+
+    /**
+     * Cancels the element's running and queued animations (not counting
+     * parallel ones.)
+     */
+    static cancelAll(el) {
+        var state = Animation._getState(el);
+        var handles = state.queue.slice();
+        // cancel the queued ones first, so cancelling the running one doesn't
+        // start them
+        state.queue = [];
+        for (let i=handles.length-1; i>=0; i--) {
+            handles[i].cancel();
+        }
+    }
+
+    /**
+     * Whether the element has running or queued animations (not counting
+     * parallel ones.)
+     */
+    static isAnimating(el) {
+        return Animation._getState(el).queue.length > 0;
+    }
+
+    /**
+     * Returns a handle that just waits for the given number of milliseconds,
+     * which is useful in sequences since it can be cancelled/finished like
+     * an animation. Takes the same options as `animate()` (e.g. with an
+     * element and mode 'queue', it waits after the element's animations.)
+     */
+    static wait(ms, el, options) {
+        return Animation.animate(el || null, () => function() {},
+            Object.assign({mode: 'queue'}, options, {
+                duration: ms,
+                easing: 'linear'
+            })
+        );
+    }
+
+    /**
+     * Fades the element's opacity from its current value to the given one.
+     * Only modifies the style.opacity property, not style.display. Takes the
+     * same options as `animate()`.
+     */
+    static fadeTo(el, opacity, options) {
+        return Animation.animate(el, (el) => {
+            var from = (el.style.opacity === '') ? 1.0 : (
+                parseFloat(el.style.opacity)
+            );
+            return (progress) => {
+                el.style.opacity = from + (opacity - from) * progress;
+            };
+        }, options);
+    }
+
+    /**
+     * Fades the element in to full opacity (see `fadeTo()`.)
+     */
+    static fadeIn(el, options) {
+        return Animation.fadeTo(el, 1.0, options);
+    }
+
+    /**
+     * Fades the element out to zero opacity (see `fadeTo()`.)
+     */
+    static fadeOut(el, options) {
+        return Animation.fadeTo(el, 0.0, options);
+    }
+
+    /**
+     * Slides the element open from zero height to its full height, then
+     * leaves its height to the stylesheet again. Takes the same options as
+     * `animate()`.
+     */
+    static slideDown(el, options) {
+        return Animation.animate(el, (el) => {
+            el.style.overflow = 'hidden';
+            el.style.height = '';
+            var to = el.scrollHeight;
+            return (progress) => {
+                el.style.height = (progress >= 1) ? '' : (to * progress) + 'px';
+                if (progress >= 1) {
+                    el.style.overflow = '';
+                }
+            };
+        }, options);
+    }
+
+    /**
+     * Slides the element closed from its current height to zero height.
+     * Takes the same options as `animate()`.
+     */
+    static slideUp(el, options) {
+        return Animation.animate(el, (el) => {
+            el.style.overflow = 'hidden';
+            var from = el.offsetHeight;
+            return (progress) => {
+                el.style.height = (from * (1 - progress)) + 'px';
+            };
+        }, options);
+    }
+
+    /**
+     * Shakes the element side to side (e.g. when the player is hit.) Takes
+     * the same options as `animate()` (default duration 500ms, linear), and
+     * also:
+     *
+     * distance -- how far to shake in pixels, default 8
+     *
+     * shakes -- the number of back-and-forth shakes, default 4
+     */
+    static shake(el, options) {
+        var distance = (options && options.distance) ? options.distance : 8;
+        var shakes = (options && options.shakes) ? options.shakes : 4;
+        return Animation.animate(el, (el) => {
+            var originalTransform = el.style.transform;
+            return (progress) => {
+                if (progress >= 1) {
+                    el.style.transform = originalTransform;
+                    return;
+                }
+                // a sine wave that dies down towards the end
+                var offset = Math.sin(progress * shakes * 2 * Math.PI)
+                    * distance * (1 - progress);
+                el.style.transform = `translateX(${offset}px)`;
+            };
+        }, Object.assign({duration: 500, easing: 'linear'}, options));
+    }
+
+    /**
+     * Flashes the element's background with the color, then fades back to
+     * the original background. Takes the same options as `animate()`
+     * (default duration 600ms), and also:
+     *
+     * color -- the color to flash (see `tweenColor()`), default '#ffffff'
+     *      (white)
+     */
+    static flash(el, options) {
+        var color = (options && options.color) ? options.color : '#ffffff';
+        var to = resolveColor(color);
+        if (! to) {
+            return Animation._failed(
+                new Error(`Can't animate to the color: ${color}`)
+            );
+        }
+        return Animation.animate(el, (el) => {
+            var original = el.style.backgroundColor;
+            var step = Animation._createColorStep(
+                el, 'backgroundColor', to, original
+            );
+            return (progress) => {
+                if (progress >= 1) {
+                    el.style.backgroundColor = original;
+                    return;
+                }
+                // there and back again
+                step(1 - Math.abs(2 * progress - 1));
+            };
+        }, Object.assign({duration: 600, easing: 'linear'}, options));
+    }
+
+    /**
+     * Tweens the given color style property (e.g. 'color',
+     * 'backgroundColor', 'borderColor') of the element to the color. Colors
+     * can be given as '#rgb', '#rrggbb', 'rgb(...)' or 'rgba(...)', or as any
+     * other CSS color (e.g. 'red') in a browser. If the color can't be
+     * parsed, the handle rejects right away (and the element's animations
+     * are left alone.) Takes the same options as `animate()`, and also:
+     *
+     * from -- the color to start from, default the element's current
+     *      (computed) color
+     */
+    static tweenColor(el, property, toColor, options) {
+        var to = resolveColor(toColor);
+        if (! to) {
+            return Animation._failed(
+                new Error(`Can't animate to the color: ${toColor}`)
+            );
+        }
+        return Animation.animate(el, (el) => {
+            return Animation._createColorStep(
+                el, property, to, options && options.from
+            );
+        }, options);
+    }
+
+    /**
+     * Returns a step function tweening the color property of the element to
+     * the color `[r, g, b, a]`.
+     */
+    static _createColorStep(el, property, to, fromColor) {
+        if (! fromColor) {
+            fromColor = el.style[property];
+            if (typeof getComputedStyle != 'undefined') {
+                fromColor = getComputedStyle(el)[property] || fromColor;
+            }
+        }
+        var from = resolveColor(fromColor) || [255, 255, 255, 0];
+        return (progress) => {
+            var channels = from.map((value, i) => {
+                return value + (to[i] - value) * progress;
+            });
+            el.style[property] = `rgba(${Math.round(channels[0])}, `
+                + `${Math.round(channels[1])}, ${Math.round(channels[2])}, `
+                + `${channels[3]})`;
+        };
+    }
+
+    /**
+     * Returns a handle that has already failed with the error, without
+     * touching the element's animations, e.g. for a color that can't be
+     * parsed (rather than failing once it starts, which, when queued, can
+     * be much later.)
+     */
+    static _failed(error) {
+        var handle = new AnimationHandle(null, null, 0, null);
+        handle._fail(error);
+        return handle;
+    }
+
+    /**
+     * Returns the animation state `{queue}` of the element, where the first
+     * handle in the queue is the running one.
+     */
+    static _getState(el) {
+        if (! Animation._states.has(el)) {
+            Animation._states.set(el, {queue: []});
+        }
+        return Animation._states.get(el);
+    }
+}
+
+// map of element to its animation state (see _getState())
+Animation._states = new WeakMap();
+
+module.exports = {
+    Animation: Animation,
+    AnimationHandle: AnimationHandle
+};
@@ -0,0 +1,471 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var Party = require('./Party').Party;
+var RandomUtils = require('./RandomUtils').RandomUtils;
+var StatusEffects = require('./StatusEffects');
+
+/**
+ * Constructs a Battle between the player (and their allies, if given a
+ * `Party`, see Party.js) and one or more enemies, which runs the fight turn
+ * by turn: first the player acts (attack, use an item, or flee), then each
+ * ally still standing completes its turn via its `act`, then each enemy
+ * still standing completes its turn via `act`, against one of the party
+ * members (see the `chooseEnemyTarget` option.)
+ *
+ * Party members are referred to by their index into `party.members` (the
+ * player is 0.) Without allies, the battle has a party of just the player.
+ *
+ * The battle stops on victory (every enemy is down), defeat (the player is
+ * out of HP) or escape. On victory, the sum of the enemies' `xpGranted` is
+ * split between the party members still standing (see `Party.grantXp()`;
+ * without allies, it all goes to the player), and the loot of every enemy
+ * with a `lootTable` (see LootTable.js) is given to the player.
+ *
+ * Since the same `Enemy` object may be used for several battles (or several
+ * times in one battle), the enemies' HP and status effects are tracked by
+ * the battle itself, in `combatants` (an array of `{enemy, hp,
+ * statusEffects}`), rather than on the `Enemy` objects.
+ *
+ * At the end of every turn, the status effects (see StatusEffects.js) of the
+ * party members and the enemies still standing tick, and once the battle is
+ * over, the members' effects that last until the end of the battle end.
+ *
+ * A Battle is an `EventEmitter` (see EventEmitter.js) and emits the following
+ * events so the UI can show what is going on:
+ *
+ * turnStart -- `{turn}`, before the player acts
+ *
+ * playerAction -- `{turn, action, ...}`, after the player acts, where action
+ *      is one of 'attack' (with `target` and `damage`), 'useItem' (with
+ *      `item`, `target` and `member`) or 'flee' (with `success`)
+ *
+ * allyAction -- `{turn, member, ally}`, after an ally completes its turn
+ *
+ * enemyDamaged -- `{target, enemy, damage, hp}`, whenever an enemy loses HP
+ *
+ * enemyHealed -- `{target, enemy, amount, hp}`, whenever an enemy gains HP
+ *
+ * enemyDefeated -- `{target, enemy}`, when an enemy runs out of HP
+ *
+ * enemyAction -- `{turn, target, enemy, member, memberHpBefore,
+ *      memberHpAfter, playerHpBefore, playerHpAfter}`, after an enemy
+ *      completes its turn against the party member
+ *
+ * turnEnd -- `{turn}`, after every enemy has acted
+ *
+ * end -- `{outcome, xpGranted, xpShares, loot}`, once the battle is over,
+ *      where outcome is one of `Battle.OUTCOMES`, xpShares is how the XP was
+ *      split (see `Party.grantXp()`) and loot is an array of the drops given
+ *      (see `LootTable.give()`)
+ *
+ * @param player (required)
+ *      the `Player` (see Player.js), or a `Party` of the player and their
+ *      allies (see Party.js)
+ * @param enemies (required)
+ *      an `Enemy` or an array of `Enemy`s (see GameObjects.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      fleeChance -- the chance (value between 0 and 1) that fleeing
+ *          succeeds, default 0.5
+ *
+ *      getAttackDamage -- a function that computes the damage of the
+ *          player's attack, signature `(Player object, Enemy object) -->
+ *          number`, by default the player's XP level (but at least 1)
+ *
+ *      chooseEnemyTarget -- a function that picks which party member an
+ *          enemy acts against, signature `(Battle object, enemy index) -->
+ *          member index`, by default a random member still standing
+ *
+ *      random -- the seeded `RandomUtils` instance to use (see
+ *          RandomUtils.js), default the default instance
+ */
+class Battle extends EventEmitter {
+    // Status constants returned by the player action methods to indicate
+    // status (success, failure, etc.) of the action.
+    static STATUS_CONSTANTS = {
+        attack: {
+            battleOver: 'battleOver',
+            invalidTarget: 'invalidTarget',
+            success: 'success'
+        },
+        useItem: {
+            battleOver: 'battleOver',
+            invalidMember: 'invalidMember',
+            doesNotHave: 'doesNotHave',
+            levelTooLow: 'levelTooLow',
+            success: 'success'
+        },
+        flee: {
+            battleOver: 'battleOver',
+            failed: 'failed',
+            success: 'success'
+        }
+    };
+
+    // The ways a battle can end.
+    static OUTCOMES = {
+        victory: 'victory',
+        defeat: 'defeat',
+        escaped: 'escaped'
+    };
+
+    constructor(player, enemies, options) {
+        super();
+
+        this.fleeChance = 0.5;
+        this.getAttackDamage = function(player, enemy) {
+            return Math.max(player.xpLevel, 1);
+        };
+        this.chooseEnemyTarget = (battle, target) => {
+            var members = this.getLivingMembers();
+            // with a single choice, we don't use up a random number
+            return (members.length == 1) ? (
+                members[0]
+            ) : this.random.randomOption(members);
+        };
+        // the static methods use whatever the default instance is
+        this.random = RandomUtils;
+        if (options) {
+            if (options.random) {
+                this.random = options.random;
+            }
+            if (options.fleeChance !== undefined) {
+                this.fleeChance = options.fleeChance;
+            }
+            if (options.getAttackDamage) {
+                this.getAttackDamage = options.getAttackDamage;
+            }
+            if (options.chooseEnemyTarget) {
+                this.chooseEnemyTarget = options.chooseEnemyTarget;
+            }
+        }
+
+        if (! Array.isArray(enemies)) {
+            enemies = [enemies];
+        }
+
+        this.party = (player instanceof Party) ? player : new Party(player);
+        this.player = this.party.player;
+        this.combatants = enemies.map((enemy, index) => {
+            let combatant = {
+                enemy: enemy,
+                hp: enemy.maxHp
+            };
+            combatant.statusEffects = new StatusEffects.StatusEffectManager(
+                combatant, (amount) => {
+                    if (amount < 0) {
+                        this.damageEnemy(index, -amount);
+                    }
+                    else {
+                        this.healEnemy(index, amount);
+                    }
+                }
+            );
+            return combatant;
+        });
+        this.turn = 1;
+        // null until the battle is over, then one of Battle.OUTCOMES
+        this.outcome = null;
+    }
+
+    /**
+     * Whether the battle has ended.
+     */
+    isOver() {
+        return this.outcome !== null;
+    }
+
+    /**
+     * Returns the indices (into `combatants`) of the enemies that still have
+     * HP left.
+     */
+    getLivingTargets() {
+        var targets = [];
+        for (let i=0; i<this.combatants.length; i++) {
+            if (this.combatants[i].hp > 0) {
+                targets.push(i);
+            }
+        }
+        return targets;
+    }
+
+    /**
+     * Returns the indices (into `party.members`) of the party members that
+     * still have HP left.
+     */
+    getLivingMembers() {
+        var members = [];
+        var partyMembers = this.party.members;
+        for (let i=0; i<partyMembers.length; i++) {
+            if (! partyMembers[i].isDefeated()) {
+                members.push(i);
+            }
+        }
+        return members;
+    }
+
+    /**
+     * Reduces the HP of the enemy at the given index by the given amount.
+     * This is what the player's attack uses, and it can also be called from
+     * an `Item`'s `act`.
+     */
+    damageEnemy(target, damage) {
+        var combatant = this.combatants[target];
+        if (! combatant || combatant.hp <= 0) {
+            return;
+        }
+        combatant.hp = Math.max(combatant.hp - damage, 0);
+        this.emit('enemyDamaged', {
+            target: target,
+            enemy: combatant.enemy,
+            damage: damage,
+            hp: combatant.hp
+        });
+        if (combatant.hp <= 0) {
+            this.emit('enemyDefeated', {
+                target: target,
+                enemy: combatant.enemy
+            });
+        }
+    }
+
+    /**
+     * Gives HP back to the enemy at the given index (up to its max HP), e.g.
+     * from an `Enemy`'s `act`. Enemies that are down can't be healed.
+     */
+    healEnemy(target, amount) {
+        var combatant = this.combatants[target];
+        if (! combatant || combatant.hp <= 0) {
+            return;
+        }
+        combatant.hp = Math.min(combatant.hp + amount, combatant.enemy.maxHp);
+        this.emit('enemyHealed', {
+            target: target,
+            enemy: combatant.enemy,
+            amount: amount,
+            hp: combatant.hp
+        });
+    }
+
+    /**
+     * Player action: attack the enemy at the given index (into
+     * `combatants`). Returns the appropriate status constant above.
+     */
+    attack(target) {
+        if (this.isOver()) {
+            return Battle.STATUS_CONSTANTS.attack.battleOver;
+        }
+        if (this.getLivingTargets().indexOf(target) == -1) {
+            return Battle.STATUS_CONSTANTS.attack.invalidTarget;
+        }
+
+        this.emit('turnStart', {turn: this.turn});
+        var damage = this.getAttackDamage(
+            this.player, this.combatants[target].enemy
+        );
+        this.damageEnemy(target, damage);
+        this.emit('playerAction', {
+            turn: this.turn,
+            action: 'attack',
+            target: target,
+            damage: damage
+        });
+        this._finishTurn();
+        return Battle.STATUS_CONSTANTS.attack.success;
+    }
+
+    /**
+     * Player action: use the given item, which must be one of the player's
+     * items and usable at the player's XP level (see `Player.useItem()`.)
+     * The item's `act` is called with the party member it's used on and this
+     * battle.
+     *
+     * The target (index into `combatants`) is optional, and is passed on to
+     * the item's `act` (and in the `playerAction` event), for items that
+     * affect an enemy.
+     *
+     * The member (index into `party.members`) is optional, default 0 (the
+     * player), for items used on an ally (see `Player.useItemOn()`.) Members
+     * who are down can be given items too, e.g. to heal them back up.
+     *
+     * Returns the appropriate status constant above.
+     */
+    useItem(item, target, member) {
+        if (member === undefined) {
+            member = 0;
+        }
+        if (this.isOver()) {
+            return Battle.STATUS_CONSTANTS.useItem.battleOver;
+        }
+        if (! this.party.members[member]) {
+            return Battle.STATUS_CONSTANTS.useItem.invalidMember;
+        }
+        if (! this.player.inventory.has(item)) {
+            return Battle.STATUS_CONSTANTS.useItem.doesNotHave;
+        }
+        if (this.player.xpLevel < item.xpLevel) {
+            return Battle.STATUS_CONSTANTS.useItem.levelTooLow;
+        }
+
+        this.emit('turnStart', {turn: this.turn});
+        if (member == 0) {
+            this.player.useItem(item, this, target);
+        }
+        else {
+            this.player.useItemOn(this.party.members[member], item, this,
+                target);
+        }
+        this.emit('playerAction', {
+            turn: this.turn,
+            action: 'useItem',
+            item: item,
+            target: target,
+            member: member
+        });
+        this._finishTurn();
+        return Battle.STATUS_CONSTANTS.useItem.success;
+    }
+
+    /**
+     * Player action: attempt to flee, which succeeds with the `fleeChance`
+     * given in the options. If fleeing fails, the enemies still get their
+     * turn. Returns the appropriate status constant above.
+     */
+    flee() {
+        if (this.isOver()) {
+            return Battle.STATUS_CONSTANTS.flee.battleOver;
+        }
+
+        this.emit('turnStart', {turn: this.turn});
+        var success = this.random.randomBooleanWithChance(this.fleeChance);
+        this.emit('playerAction', {
+            turn: this.turn,
+            action: 'flee',
+            success: success
+        });
+        if (success) {
+            this._end(Battle.OUTCOMES.escaped);
+            return Battle.STATUS_CONSTANTS.flee.success;
+        }
+        this._finishTurn();
+        return Battle.STATUS_CONSTANTS.flee.failed;
+    }
+
+    /**
+     * Runs the allies' and the enemies' part of the turn (after the player
+     * has acted), then ticks the status effects, checking after every step
+     * whether the battle is over.
+     */
+    _finishTurn() {
+        if (this._checkForEnd()) {
+            return;
+        }
+
+        for (const member of this.getLivingMembers()) {
+            // the player has already acted
+            if (member == 0) {
+                continue;
+            }
+            let ally = this.party.members[member];
+            ally.act(ally, this, member);
+            this.emit('allyAction', {
+                turn: this.turn,
+                member: member,
+                ally: ally
+            });
+            if (this._checkForEnd()) {
+                return;
+            }
+        }
+
+        for (const target of this.getLivingTargets()) {
+            let enemy = this.combatants[target].enemy;
+            let member = this.chooseEnemyTarget(this, target);
+            let memberObject = this.party.members[member];
+            let memberHpBefore = memberObject.hp;
+            let playerHpBefore = this.player.hp;
+            enemy.act(memberObject, this, target);
+            this.emit('enemyAction', {
+                turn: this.turn,
+                target: target,
+                enemy: enemy,
+                member: member,
+                memberHpBefore: memberHpBefore,
+                memberHpAfter: memberObject.hp,
+                playerHpBefore: playerHpBefore,
+                playerHpAfter: this.player.hp
+            });
+            if (this._checkForEnd()) {
+                return;
+            }
+        }
+
+        var turns = StatusEffects.StatusEffect.DURATION_UNITS.turns;
+        this.player.statusEffects.tick(turns);
+        for (const member of this.getLivingMembers()) {
+            if (member != 0) {
+                this.party.members[member].statusEffects.tick(turns);
+            }
+        }
+        for (const target of this.getLivingTargets()) {
+            this.combatants[target].statusEffects.tick(turns);
+        }
+        if (this._checkForEnd()) {
+            return;
+        }
+
+        this.emit('turnEnd', {turn: this.turn});
+        this.turn++;
+    }
+
+    /**
+     * Ends the battle if the player or all the enemies are down. Returns
+     * whether the battle is over.
+     */
+    _checkForEnd() {
+        if (this.player.isDefeated()) {
+            this._end(Battle.OUTCOMES.defeat);
+        }
+        else if (this.getLivingTargets().length == 0) {
+            this._end(Battle.OUTCOMES.victory);
+        }
+        return this.isOver();
+    }
+
+    /**
+     * Ends the battle with the given outcome, awarding XP and loot on
+     * victory.
+     */
+    _end(outcome) {
+        var xpGranted = 0;
+        var xpShares = [];
+        var loot = [];
+        if (outcome == Battle.OUTCOMES.victory) {
+            for (const combatant of this.combatants) {
+                xpGranted += combatant.enemy.xpGranted;
+            }
+            xpShares = this.party.grantXp(xpGranted);
+            for (const combatant of this.combatants) {
+                if (combatant.enemy.lootTable) {
+                    loot.push(...combatant.enemy.lootTable.give(this.player));
+                }
+            }
+        }
+        this.outcome = outcome;
+        for (const member of this.party.members) {
+            member.statusEffects.expireAll(
+                StatusEffects.StatusEffect.DURATION_UNITS.battle
+            );
+        }
+        this.emit('end', {
+            outcome: outcome,
+            xpGranted: xpGranted,
+            xpShares: xpShares,
+            loot: loot
+        });
+    }
+}
+
+module.exports = {
+    Battle: Battle
+};
@@ -0,0 +1,236 @@
+var Effects = require('./Effects').Effects;
+var GameObjects = require('./GameObjects');
+var Registry = require('./Registry').Registry;
+var StatusEffect = require('./StatusEffects').StatusEffect;
+
+/**
+ * Constructs a ContentLoader, which builds `Item`s and `Enemy`s (see
+ * GameObjects.js) from plain JSON definitions, and registers them by id, so
+ * that content can be written and balanced without touching code.
+ *
+ * The `act` of each object is described with the effect language of
+ * Effects.js. For example:
+ *
+ * ```
+ *  {
+ *      "items": [
+ *          {
+ *              "id": "potion",
+ *              "name": "healing potion",
+ *              "description": "A <i>bubbling</i> red potion.",
+ *              "xpLevel": 1,
+ *              "maxStack": 10,
+ *              "effects": [{"heal": 5}]
+ *          }
+ *      ],
+ *      "enemies": [
+ *          {
+ *              "id": "goblin",
+ *              "name": "goblin",
+ *              "description": "A snarling goblin.",
+ *              "xpLevel": 1,
+ *              "xpGranted": 10,
+ *              "maxHp": 6,
+ *              "effects": [
+ *                  {"chance": 0.8, "then": [{"damage": 2}]}
+ *              ]
+ *          }
+ *      ]
+ *  }
+ * ```
+ *
+ * Every definition needs `id`, `name`, `description`, `xpLevel` and
+ * `effects`; `isProperName` is optional (default false.) Items can also have
+ * `slot`, `maxStack`, `consumable` and `value`, and enemies need `xpGranted`
+ * and can have `maxHp`, as in the constructors. The definition's effects are
+ * kept in the object's `effects` property.
+ *
+ * The content can also have a `statusEffects` array of `StatusEffect`
+ * definitions (see StatusEffects.js), each with an `id` and the options of
+ * the constructor (apart from the hooks), e.g.
+ * `{"id": "poison", "duration": 3, "hpPerTick": -1}`, for the
+ * `applyStatus` effect to use.
+ *
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      itemRegistry -- the `Registry` to register items in (see
+ *          Registry.js), default a new one
+ *
+ *      enemyRegistry -- the `Registry` to register enemies in, default a new
+ *          one
+ *
+ *      statusEffectRegistry -- the `Registry` to register status effects
+ *          in, default a new one
+ *
+ *      random -- the seeded `RandomUtils` instance the effects use (see
+ *          RandomUtils.js), default the default instance
+ *
+ *      flags -- the game flags object for the `flag` condition
+ */
+class ContentLoader {
+    constructor(options) {
+        this.itemRegistry = new Registry();
+        this.enemyRegistry = new Registry();
+        this.statusEffectRegistry = new Registry();
+        // extra context for the effects (see Effects.compile())
+        this.effectContext = {};
+        if (options) {
+            if (options.itemRegistry) {
+                this.itemRegistry = options.itemRegistry;
+            }
+            if (options.enemyRegistry) {
+                this.enemyRegistry = options.enemyRegistry;
+            }
+            if (options.statusEffectRegistry) {
+                this.statusEffectRegistry = options.statusEffectRegistry;
+            }
+            if (options.random) {
+                this.effectContext.random = options.random;
+            }
+            if (options.flags) {
+                this.effectContext.flags = options.flags;
+            }
+        }
+        this.effectContext.itemRegistry = this.itemRegistry;
+        this.effectContext.statusEffectRegistry = this.statusEffectRegistry;
+    }
+
+    /**
+     * Builds and registers every item, enemy and status effect in the
+     * content data (an object with `items`, `enemies` and/or `statusEffects`
+     * arrays, as above.) Returns an object with the `items`, `enemies` and
+     * `statusEffects` built.
+     *
+     * Throws an Error describing the problem if a definition is invalid or
+     * its id is already registered; nothing is registered in that case.
+     */
+    load(content) {
+        var statusEffects = (content.statusEffects || []).map((definition) => {
+            if (definition.id === undefined) {
+                throw new Error(
+                    `The status effect definition ${JSON.stringify(definition)}`
+                    + ' needs an id'
+                );
+            }
+            return new StatusEffect(definition.id, definition);
+        });
+        var items = (content.items || []).map((definition) => {
+            return this.buildItem(definition);
+        });
+        var enemies = (content.enemies || []).map((definition) => {
+            return this.buildEnemy(definition);
+        });
+
+        // check every id before registering any, so that a bad file doesn't
+        // register half its content
+        ContentLoader._checkIds(items, this.itemRegistry, 'item');
+        ContentLoader._checkIds(enemies, this.enemyRegistry, 'enemy');
+        ContentLoader._checkIds(
+            statusEffects, this.statusEffectRegistry, 'status effect'
+        );
+        for (const statusEffect of statusEffects) {
+            this.statusEffectRegistry.register(statusEffect.id, statusEffect);
+        }
+        for (const item of items) {
+            this.itemRegistry.register(item.id, item);
+        }
+        for (const enemy of enemies) {
+            this.enemyRegistry.register(enemy.id, enemy);
+        }
+        return {
+            items: items,
+            enemies: enemies,
+            statusEffects: statusEffects
+        };
+    }
+
+    /**
+     * Fetches the content JSON file at the URL and loads it (see `load()`.)
+     * Returns a Promise of what `load()` returns.
+     */
+    loadFromUrl(url) {
+        return fetch(url).then((response) => {
+            if (! response.ok) {
+                throw new Error(
+                    `Couldn't fetch content from ${url}: ${response.status}`
+                );
+            }
+            return response.json();
+        }).then((content) => this.load(content));
+    }
+
+    /**
+     * Builds (but doesn't register) an `Item` from the definition.
+     */
+    buildItem(definition) {
+        ContentLoader._checkDefinition(definition, 'item');
+        var item = new GameObjects.Item(
+            definition.name, !! definition.isProperName,
+            definition.description, definition.xpLevel,
+            Effects.compile(definition.effects, 'item', this.effectContext),
+            {
+                slot: definition.slot,
+                maxStack: definition.maxStack,
+                consumable: definition.consumable,
+                value: definition.value
+            }
+        );
+        item.id = definition.id;
+        item.effects = definition.effects;
+        return item;
+    }
+
+    /**
+     * Builds (but doesn't register) an `Enemy` from the definition.
+     */
+    buildEnemy(definition) {
+        ContentLoader._checkDefinition(definition, 'enemy');
+        if (typeof definition.xpGranted != 'number') {
+            throw new Error(`Enemy "${definition.id}" needs an xpGranted`);
+        }
+        var enemy = new GameObjects.Enemy(
+            definition.name, !! definition.isProperName,
+            definition.description, definition.xpLevel,
+            Effects.compile(definition.effects, 'enemy', this.effectContext),
+            definition.xpGranted, definition.maxHp
+        );
+        enemy.id = definition.id;
+        enemy.effects = definition.effects;
+        return enemy;
+    }
+
+    /**
+     * Throws an Error if the definition is missing a required field.
+     */
+    static _checkDefinition(definition, kind) {
+        for (const field of ['id', 'name', 'description', 'xpLevel',
+                'effects']) {
+            if (definition[field] === undefined) {
+                throw new Error(
+                    `The ${kind} definition ${JSON.stringify(definition)} `
+                    + `needs a ${field}`
+                );
+            }
+        }
+    }
+
+    /**
+     * Throws an Error if any of the objects' ids is taken or repeated.
+     */
+    static _checkIds(objects, registry, kind) {
+        var seen = new Set();
+        for (const object of objects) {
+            if (registry.has(object.id) || seen.has(object.id)) {
+                throw new Error(
+                    `The ${kind} id "${object.id}" is already registered`
+                );
+            }
+            seen.add(object.id);
+        }
+    }
+}
+
+module.exports = {
+    ContentLoader: ContentLoader
+};
@@ -0,0 +1,75 @@
+/*
+ * In this file, we gather everything in Plawser that doesn't need a DOM: the
+ * game logic (players, items, battles, scenes, etc.) and the renderers that
+ * play it (see Renderer.js.) It's the entry point for running a game
+ * headless, e.g. in Node to test or simulate playthroughs:
+ *
+ * ```
+ *  var plawser = require('./Core');
+ *  var player = new plawser.Player(...);
+ * ```
+ *
+ * Main.js builds the browser version on top of it.
+ */
+
+var Achievements = require('./Achievements');
+var Battle = require('./Battle');
+var ContentLoader = require('./ContentLoader');
+var Dialogue = require('./Dialogue');
+var Effects = require('./Effects');
+var EncounterTable = require('./EncounterTable');
+var EventEmitter = require('./EventEmitter');
+var GameObjects = require('./GameObjects');
+var Inventory = require('./Inventory');
+var LootTable = require('./LootTable');
+var MapGenerator = require('./MapGenerator');
+var Merchant = require('./Merchant');
+var Party = require('./Party');
+var Player = require('./Player');
+var Quest = require('./Quest');
+var RandomUtils = require('./RandomUtils');
+var Registry = require('./Registry');
+var Renderer = require('./Renderer');
+var SaveSystem = require('./SaveSystem');
+var Scene = require('./Scene');
+var Statistics = require('./Statistics');
+var StatusEffects = require('./StatusEffects');
+var TextFormatter = require('./TextFormatter');
+var XpCurve = require('./XpCurve');
+
+module.exports = {
+    AchievementManager: Achievements.AchievementManager,
+    Battle: Battle.Battle,
+    ContentLoader: ContentLoader.ContentLoader,
+    Dialogue: Dialogue.Dialogue,
+    Effects: Effects.Effects,
+    EncounterTable: EncounterTable.EncounterTable,
+    EventEmitter: EventEmitter.EventEmitter,
+    GameObject: GameObjects.GameObject,
+    Enemy: GameObjects.Enemy,
+    Item: GameObjects.Item,
+    Inventory: Inventory.Inventory,
+    LootTable: LootTable.LootTable,
+    MapGenerator: MapGenerator.MapGenerator,
+    Merchant: Merchant.Merchant,
+    Ally: Party.Ally,
+    Party: Party.Party,
+    Player: Player.Player,
+    Quest: Quest.Quest,
+    QuestLog: Quest.QuestLog,
+    RandomUtils: RandomUtils.RandomUtils,
+    Registry: Registry.Registry,
+    Renderer: Renderer.Renderer,
+    ConsoleRenderer: Renderer.ConsoleRenderer,
+    ScriptedRenderer: Renderer.ScriptedRenderer,
+    SaveManager: SaveSystem.SaveManager,
+    MemoryStorageBackend: SaveSystem.MemoryStorageBackend,
+    LocalStorageBackend: SaveSystem.LocalStorageBackend,
+    Scene: Scene.Scene,
+    SceneManager: Scene.SceneManager,
+    Statistics: Statistics.Statistics,
+    StatusEffect: StatusEffects.StatusEffect,
+    StatusEffectManager: StatusEffects.StatusEffectManager,
+    TextFormatter: TextFormatter.TextFormatter,
+    XpCurve: XpCurve.XpCurve
+};
@@ -0,0 +1,10 @@
+/*
+ * In this file, we add the developer tools to everything Main.js exports.
+ * They're left out of the normal build, and only included by building this
+ * file instead (see README.md.)
+ */
+
+require('./Main');
+var DebugInspector = require('./DebugInspector');
+
+window.plawser.DebugInspector = DebugInspector.DebugInspector;
@@ -0,0 +1,687 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+
+/**
+ * Constructs a DebugInspector, which is a developer overlay for poking at the
+ * game while it runs, instead of typing into the console:
+ *
+ * ```
+ *  var inspector = new DebugInspector(player, {
+ *      itemRegistry: itemRegistry,
+ *      enemyRegistry: enemyRegistry,
+ *      onSpawnEnemy: (enemy) => startBattle(enemy)
+ *  });
+ *  inspector.enable();
+ * ```
+ *
+ * The overlay shows the player's live state (XP, level, HP, money, skills
+ * and items), where the values can be edited and items given or taken away,
+ * and lets you spawn any registered `Enemy` or `Item`. The toggle key
+ * (backquote by default) shows and hides it.
+ *
+ * Every change to the player is recorded as a snapshot in `history` (an
+ * array of `{label, time, state}`, where label names the events that caused
+ * it), so you can step back to an earlier point with `goTo()` or `back()`,
+ * and replay the changes that followed with `forward()` or `replay()`.
+ * Changing anything after stepping back drops the snapshots after that
+ * point. By default, a snapshot is `Player.toJSON()` and is restored with
+ * `Player.restore()`, so every item must be registered in the item
+ * registry; with a `SaveManager` (see SaveSystem.js), the whole game state
+ * is recorded instead, in which case its sections should restore the player
+ * in place (see `Player.restore()`) so the inspector keeps following it.
+ *
+ * The inspector does nothing (no overlay, no key listener and no recording)
+ * until `enable()` is called, and it isn't part of the normal build at all:
+ * see README.md for the debug build.
+ *
+ * A DebugInspector is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * snapshot -- `{index, label}`, when a snapshot is recorded
+ *
+ * timeTravel -- `{index, label}`, when the game state is restored from a
+ *      snapshot, so the game can refresh whatever isn't bound to events
+ *
+ * enemySpawned -- `{enemy}`, when an enemy is spawned
+ *
+ * recordFailed -- `{label, error}`, when a snapshot can't be taken (e.g. the
+ *      player carries an item that isn't registered), in which case it's
+ *      skipped
+ *
+ * @param player (required)
+ *      the `Player` to inspect (see Player.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      itemRegistry -- the `Registry` of items (see Registry.js) that can be
+ *          given to the player, also needed to restore snapshots of the
+ *          player's items
+ *
+ *      enemyRegistry -- the `Registry` of enemies that can be spawned
+ *
+ *      statusEffectRegistry -- the `Registry` of status effects, needed to
+ *          restore snapshots with active status effects
+ *
+ *      saveManager -- a `SaveManager` to record and restore the whole game
+ *          state with, instead of just the player
+ *
+ *      onSpawnEnemy -- a function that puts a spawned enemy into the game,
+ *          e.g. starts a battle with it, signature `(Enemy object) --> void`
+ *
+ *      parentEl -- the element the overlay is added to, default
+ *          `document.body`
+ *
+ *      toggleKey -- the key (see `KeyboardEvent.key`) that shows and hides
+ *          the overlay, default '`'
+ *
+ *      maxSnapshots -- the max number of snapshots kept (the oldest are
+ *          dropped), default 200
+ *
+ *      replayInterval -- the time between the steps of `replay()`, in
+ *          milliseconds, default 500
+ */
+class DebugInspector extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        goTo: {
+            outOfRange: 'outOfRange',
+            success: 'success'
+        },
+        giveItem: {
+            doesNotExist: 'doesNotExist',
+            full: 'full',
+            success: 'success'
+        },
+        spawnEnemy: {
+            doesNotExist: 'doesNotExist',
+            success: 'success'
+        }
+    };
+
+    // The player events that are recorded as snapshots.
+    static PLAYER_EVENTS = ['xpChanged', 'levelUp', 'levelDown', 'hpChanged',
+        'moneyChanged', 'skillAdded', 'skillImproved', 'skillPointsGained',
+        'skillPointsSpent', 'itemAdded', 'itemRemoved', 'itemUsed',
+        'itemEquipped', 'itemUnequipped'];
+
+    constructor(player, options) {
+        super();
+
+        this.player = player;
+        this.itemRegistry = null;
+        this.enemyRegistry = null;
+        this.statusEffectRegistry = null;
+        this.saveManager = null;
+        this.onSpawnEnemy = function(enemy) {};
+        this.parentEl = null;
+        this.toggleKey = '`';
+        this.maxSnapshots = 200;
+        this.replayInterval = 500;
+        if (options) {
+            if (options.itemRegistry) {
+                this.itemRegistry = options.itemRegistry;
+            }
+            if (options.enemyRegistry) {
+                this.enemyRegistry = options.enemyRegistry;
+            }
+            if (options.statusEffectRegistry) {
+                this.statusEffectRegistry = options.statusEffectRegistry;
+            }
+            if (options.saveManager) {
+                this.saveManager = options.saveManager;
+            }
+            if (options.onSpawnEnemy) {
+                this.onSpawnEnemy = options.onSpawnEnemy;
+            }
+            if (options.parentEl) {
+                this.parentEl = options.parentEl;
+            }
+            if (options.toggleKey) {
+                this.toggleKey = options.toggleKey;
+            }
+            if (options.maxSnapshots) {
+                this.maxSnapshots = options.maxSnapshots;
+            }
+            if (options.replayInterval !== undefined) {
+                this.replayInterval = options.replayInterval;
+            }
+        }
+
+        this.history = [];
+        // the index into `history` of the snapshot the game is at
+        this.index = -1;
+        // the overlay, which is only created once enabled
+        this.element = null;
+        this._enabled = false;
+        this._unsubscribers = [];
+        // the labels of the events since the last snapshot, which are
+        // recorded together once the current action is done
+        this._pendingLabels = null;
+        this._replayTimeout = null;
+        this._onKeyDown = (e) => {
+            if (e.key == this.toggleKey) {
+                this.toggle();
+            }
+        };
+    }
+
+    /**
+     * Whether the inspector has been enabled.
+     */
+    isEnabled() {
+        return this._enabled;
+    }
+
+    /**
+     * Turns the inspector on: shows the overlay, listens for the toggle key
+     * and starts recording snapshots, starting with the current state.
+     */
+    enable() {
+        if (this._enabled) {
+            return;
+        }
+        this._enabled = true;
+        this._unsubscribers = DebugInspector.PLAYER_EVENTS.map((eventName) => {
+            return this.player.on(eventName, (data) => {
+                this._onPlayerEvent(eventName, data);
+            });
+        });
+        document.addEventListener('keydown', this._onKeyDown);
+
+        this.element = document.createElement('div');
+        this.element.className = 'plawser-debug-inspector';
+        this.element.setAttribute('role', 'dialog');
+        this.element.setAttribute('aria-label', 'Debug inspector');
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            top: '0',
+            right: '0',
+            maxHeight: '100%',
+            width: '320px',
+            overflowY: 'auto',
+            zIndex: '10000',
+            background: 'rgba(255, 255, 255, 0.95)',
+            border: '1px solid black',
+            font: '12px monospace',
+            padding: '4px'
+        });
+        (this.parentEl || document.body).appendChild(this.element);
+
+        this._record('start');
+    }
+
+    /**
+     * Turns the inspector off again, removing the overlay and every
+     * listener. The snapshots recorded so far are kept.
+     */
+    disable() {
+        if (! this._enabled) {
+            return;
+        }
+        this._enabled = false;
+        this.stopReplay();
+        for (const unsubscribe of this._unsubscribers) {
+            unsubscribe();
+        }
+        this._unsubscribers = [];
+        this._pendingLabels = null;
+        document.removeEventListener('keydown', this._onKeyDown);
+        if (this.element.parentElement) {
+            this.element.parentElement.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Shows the overlay if it's hidden, and hides it if it's shown (once
+     * enabled.)
+     */
+    toggle() {
+        if (! this._enabled) {
+            return;
+        }
+        var hidden = (this.element.style.display == 'none');
+        this.element.style.display = hidden ? '' : 'none';
+        if (hidden) {
+            this.render();
+        }
+    }
+
+    /**
+     * Gives the given quantity (default 1) of the registered item to the
+     * player. Returns the appropriate status constant above.
+     */
+    giveItem(id, quantity) {
+        if (! this.itemRegistry || ! this.itemRegistry.has(id)) {
+            return DebugInspector.STATUS_CONSTANTS.giveItem.doesNotExist;
+        }
+        return this.player.addItem(this.itemRegistry.get(id), quantity);
+    }
+
+    /**
+     * Spawns the registered enemy, via the `onSpawnEnemy` option. Returns the
+     * appropriate status constant above.
+     */
+    spawnEnemy(id) {
+        if (! this.enemyRegistry || ! this.enemyRegistry.has(id)) {
+            return DebugInspector.STATUS_CONSTANTS.spawnEnemy.doesNotExist;
+        }
+        var enemy = this.enemyRegistry.get(id);
+        this.onSpawnEnemy(enemy);
+        this.emit('enemySpawned', {enemy: enemy});
+        return DebugInspector.STATUS_CONSTANTS.spawnEnemy.success;
+    }
+
+    /**
+     * Restores the game state from the snapshot at the index into `history`.
+     * Returns the appropriate status constant above.
+     */
+    goTo(index) {
+        if (index < 0 || index >= this.history.length) {
+            return DebugInspector.STATUS_CONSTANTS.goTo.outOfRange;
+        }
+        var snapshot = this.history[index];
+        if (this.saveManager) {
+            this.saveManager.restore(snapshot.state);
+        }
+        else {
+            this.player.restore(
+                snapshot.state, this.itemRegistry, this.statusEffectRegistry
+            );
+        }
+        // restoring may emit events, which aren't new changes
+        this._pendingLabels = null;
+        this.index = index;
+        this.emit('timeTravel', {index: index, label: snapshot.label});
+        this.render();
+        return DebugInspector.STATUS_CONSTANTS.goTo.success;
+    }
+
+    /**
+     * Steps back to the previous snapshot. Returns the status constant of
+     * `goTo()`.
+     */
+    back() {
+        return this.goTo(this.index - 1);
+    }
+
+    /**
+     * Steps forward to the next snapshot, replaying the change that led to
+     * it. Returns the status constant of `goTo()`.
+     */
+    forward() {
+        return this.goTo(this.index + 1);
+    }
+
+    /**
+     * Goes to the snapshot at the index (default the first), then steps
+     * forward through the rest of them, one every `replayInterval`
+     * milliseconds, until the last one or `stopReplay()`.
+     */
+    replay(fromIndex) {
+        this.stopReplay();
+        if (this.goTo(fromIndex || 0)
+                != DebugInspector.STATUS_CONSTANTS.goTo.success) {
+            return;
+        }
+        var step = () => {
+            if (this.index >= this.history.length - 1) {
+                this._replayTimeout = null;
+                this.render();
+                return;
+            }
+            this.forward();
+            this._replayTimeout = setTimeout(step, this.replayInterval);
+        };
+        this._replayTimeout = setTimeout(step, this.replayInterval);
+        this.render();
+    }
+
+    /**
+     * Stops the replay started by `replay()`, if any.
+     */
+    stopReplay() {
+        if (this._replayTimeout !== null) {
+            clearTimeout(this._replayTimeout);
+            this._replayTimeout = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Whether a replay is running.
+     */
+    isReplaying() {
+        return this._replayTimeout !== null;
+    }
+
+    /**
+     * Re-renders the overlay from the current state. This is done
+     * automatically after every change.
+     */
+    render() {
+        if (! this.element || this.element.style.display == 'none') {
+            return;
+        }
+        // the controls are rebuilt, so we keep the focus on the same one
+        var focusedLabel = null;
+        if (this.element.contains(document.activeElement)) {
+            focusedLabel = document.activeElement.getAttribute('aria-label');
+        }
+        this.element.innerHTML = '';
+
+        var headerEl = document.createElement('div');
+        headerEl.className = 'plawser-debug-inspector-header';
+        headerEl.textContent = `Debug inspector (${this.toggleKey} to hide)`;
+        this.element.appendChild(headerEl);
+
+        this.element.appendChild(this._buildStateSection());
+        this.element.appendChild(this._buildSkillsSection());
+        this.element.appendChild(this._buildItemsSection());
+        if (this.enemyRegistry) {
+            this.element.appendChild(this._buildSpawnSection());
+        }
+        this.element.appendChild(this._buildHistorySection());
+
+        for (const el of this.element.querySelectorAll('[aria-label]')) {
+            if (el.getAttribute('aria-label') == focusedLabel
+                    && ! el.disabled) {
+                el.focus();
+            }
+        }
+    }
+
+    /**
+     * Collects the player event into the snapshot of the current action.
+     */
+    _onPlayerEvent(eventName, data) {
+        if (this._pendingLabels) {
+            this._pendingLabels.push(DebugInspector._describe(eventName, data));
+            return;
+        }
+        this._pendingLabels = [DebugInspector._describe(eventName, data)];
+        // one action (e.g. a battle turn) can emit several events, so we
+        // wait until it's done to record a single snapshot
+        Promise.resolve().then(() => {
+            if (this._pendingLabels && this._enabled) {
+                let labels = this._pendingLabels;
+                this._pendingLabels = null;
+                this._record(labels.join(', '));
+            }
+        });
+    }
+
+    /**
+     * Records a snapshot of the current state with the label, dropping any
+     * snapshots after the current one (or, if the state can't be saved,
+     * emits recordFailed instead.)
+     */
+    _record(label) {
+        var state;
+        try {
+            state = this.saveManager ? (
+                this.saveManager.snapshot()
+            ) : this.player.toJSON();
+            // a copy, so later changes to the game can't reach into it
+            state = JSON.parse(JSON.stringify(state));
+        }
+        catch (e) {
+            // this can happen in a microtask (see _onPlayerEvent()), where
+            // throwing would go unnoticed
+            this.emit('recordFailed', {label: label, error: e});
+            return;
+        }
+        this.history.splice(this.index + 1);
+        this.history.push({
+            label: label,
+            time: Date.now(),
+            state: state
+        });
+        if (this.history.length > this.maxSnapshots) {
+            this.history.splice(0, this.history.length - this.maxSnapshots);
+        }
+        this.index = this.history.length - 1;
+        this.emit('snapshot', {index: this.index, label: label});
+        this.render();
+    }
+
+    /**
+     * Builds the section with the player's XP, level, HP and money, where
+     * the values can be edited.
+     */
+    _buildStateSection() {
+        var player = this.player;
+        var sectionEl = this._buildSection(player.name);
+        sectionEl.appendChild(this._buildField('XP', player.xp, (value) => {
+            player.setXp(value);
+        }));
+        var levelEl = document.createElement('div');
+        levelEl.textContent = `Level: ${player.xpLevel}`;
+        sectionEl.appendChild(levelEl);
+        sectionEl.appendChild(this._buildField('HP', player.hp, (value) => {
+            player.setHp(value);
+        }));
+        sectionEl.appendChild(this._buildField(
+            'Money', player.money, (value) => {
+                player.addMoney(value - player.money);
+            }
+        ));
+        var pointsEl = document.createElement('div');
+        pointsEl.textContent = `Unspent skill points: ${
+            player.unspentSkillPoints
+        }`;
+        sectionEl.appendChild(pointsEl);
+        return sectionEl;
+    }
+
+    /**
+     * Builds the section with the player's skills, where the values can be
+     * edited.
+     */
+    _buildSkillsSection() {
+        var sectionEl = this._buildSection('Skills');
+        for (const [skillName, skill] of this.player.skills) {
+            sectionEl.appendChild(this._buildField(
+                skillName, skill.value, (value) => {
+                    this.player.improveSkill(skillName, value - skill.value);
+                }
+            ));
+        }
+        return sectionEl;
+    }
+
+    /**
+     * Builds the section with the player's items, where items can be taken
+     * away, and given from the item registry.
+     */
+    _buildItemsSection() {
+        var sectionEl = this._buildSection('Items');
+        var counted = new Set();
+        for (const stack of this.player.inventory.stacks) {
+            if (counted.has(stack.item)) {
+                continue;
+            }
+            counted.add(stack.item);
+            let rowEl = document.createElement('div');
+            rowEl.textContent = `${stack.item.name} x${
+                this.player.inventory.count(stack.item)
+            } `;
+            rowEl.appendChild(this._createButton(
+                '&minus;', `Remove a ${stack.item.name}`, () => {
+                    this.player.removeItem(stack.item);
+                }
+            ));
+            sectionEl.appendChild(rowEl);
+        }
+        for (const [slot, item] of this.player.inventory.equipment) {
+            if (item) {
+                let rowEl = document.createElement('div');
+                rowEl.textContent = `${slot}: ${item.name}`;
+                sectionEl.appendChild(rowEl);
+            }
+        }
+        if (this.itemRegistry) {
+            sectionEl.appendChild(this._buildRegistryPicker(
+                this.itemRegistry, 'Give', 'Give item', (id) => {
+                    this.giveItem(id);
+                }
+            ));
+        }
+        return sectionEl;
+    }
+
+    /**
+     * Builds the section for spawning enemies from the enemy registry.
+     */
+    _buildSpawnSection() {
+        var sectionEl = this._buildSection('Enemies');
+        sectionEl.appendChild(this._buildRegistryPicker(
+            this.enemyRegistry, 'Spawn', 'Spawn enemy', (id) => {
+                this.spawnEnemy(id);
+            }
+        ));
+        return sectionEl;
+    }
+
+    /**
+     * Builds the section with the recorded snapshots and the time-travel
+     * buttons.
+     */
+    _buildHistorySection() {
+        var sectionEl = this._buildSection('History');
+
+        var buttonsEl = document.createElement('div');
+        var backButton = this._createButton('&lt;', 'Step back', () => {
+            this.back();
+        });
+        backButton.disabled = (this.index <= 0);
+        var forwardButton = this._createButton('&gt;', 'Step forward', () => {
+            this.forward();
+        });
+        forwardButton.disabled = (this.index >= this.history.length - 1);
+        var replayButton = this.isReplaying() ? this._createButton(
+            'Stop', 'Stop replay', () => this.stopReplay()
+        ) : this._createButton('Replay', 'Replay from the start', () => {
+            this.replay(0);
+        });
+        buttonsEl.appendChild(backButton);
+        buttonsEl.appendChild(forwardButton);
+        buttonsEl.appendChild(replayButton);
+        sectionEl.appendChild(buttonsEl);
+
+        var listEl = document.createElement('ol');
+        listEl.start = 0;
+        for (let i=0; i<this.history.length; i++) {
+            let itemEl = document.createElement('li');
+            itemEl.appendChild(this._createButton(
+                this.history[i].label.replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;'),
+                `Go to snapshot ${i}`, () => {
+                    this.goTo(i);
+                }
+            ));
+            if (i == this.index) {
+                itemEl.style.fontWeight = 'bold';
+                itemEl.setAttribute('aria-current', 'step');
+            }
+            listEl.appendChild(itemEl);
+        }
+        sectionEl.appendChild(listEl);
+        return sectionEl;
+    }
+
+    /**
+     * Builds a section with the title.
+     */
+    _buildSection(title) {
+        var sectionEl = document.createElement('div');
+        sectionEl.className = 'plawser-debug-inspector-section';
+        var titleEl = document.createElement('div');
+        titleEl.style.fontWeight = 'bold';
+        titleEl.textContent = title;
+        sectionEl.appendChild(titleEl);
+        return sectionEl;
+    }
+
+    /**
+     * Builds a labeled number input, which calls the callback with the new
+     * value when it's changed.
+     */
+    _buildField(label, value, onChange) {
+        var fieldEl = document.createElement('label');
+        fieldEl.style.display = 'block';
+        fieldEl.textContent = `${label}: `;
+        var input = document.createElement('input');
+        input.type = 'number';
+        input.value = value;
+        input.setAttribute('aria-label', label);
+        input.onchange = () => {
+            var newValue = parseFloat(input.value);
+            if (! isNaN(newValue) && newValue != value) {
+                onChange(newValue);
+            }
+        };
+        fieldEl.appendChild(input);
+        return fieldEl;
+    }
+
+    /**
+     * Builds a drop-down of every object in the registry with a button,
+     * which calls the callback with the id of the chosen object.
+     */
+    _buildRegistryPicker(registry, buttonText, label, onPick) {
+        var pickerEl = document.createElement('div');
+        var select = document.createElement('select');
+        select.setAttribute('aria-label', label);
+        for (const object of registry.getAll()) {
+            let option = document.createElement('option');
+            option.value = object.id;
+            option.textContent = `${object.name} (${object.id})`;
+            select.appendChild(option);
+        }
+        pickerEl.appendChild(select);
+        var button = this._createButton(buttonText, buttonText, () => {
+            if (select.value) {
+                onPick(select.value);
+            }
+        });
+        button.disabled = (select.options.length == 0);
+        pickerEl.appendChild(button);
+        return pickerEl;
+    }
+
+    /**
+     * Creates a button with the given HTML, accessible label and click
+     * handler.
+     */
+    _createButton(html, label, onClick) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.innerHTML = html;
+        button.setAttribute('aria-label', label);
+        button.onclick = onClick;
+        return button;
+    }
+
+    /**
+     * Returns a short description of a player event for the history, e.g.
+     * "itemAdded potion" or "xpChanged 40".
+     */
+    static _describe(eventName, data) {
+        if (data && data.item) {
+            return `${eventName} ${data.item.name}`;
+        }
+        if (data && data.skillName) {
+            return `${eventName} ${data.skillName}`;
+        }
+        for (const key of ['newXp', 'newLevel', 'newHp', 'newMoney']) {
+            if (data && key in data) {
+                return `${eventName} ${data[key]}`;
+            }
+        }
+        return eventName;
+    }
+}
+
+module.exports = {
+    DebugInspector: DebugInspector
+};
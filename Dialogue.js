@@ -0,0 +1,365 @@
+var Effects = require('./Effects').Effects;
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var WebUtils = require('./WebUtils').WebUtils;
+
+/**
+ * Constructs a Dialogue, which runs a branching conversation with an NPC
+ * (e.g. a quest-giver) for the given player.
+ *
+ * The dialogue itself is plain JSON, so that it can be written without
+ * touching code, in the format:
+ *
+ * ```
+ *  {
+ *      "start": "greeting",
+ *      "nodes": {
+ *          "greeting": {
+ *              "speaker": "Priest",
+ *              "text": "Welcome, child. <i>What brings you here?</i>",
+ *              "choices": [
+ *                  {
+ *                      "text": "I found your amulet.",
+ *                      "conditions": {"hasItem": "amulet"},
+ *                      "effects": [
+ *                          {"removeItem": "amulet"},
+ *                          {"addXp": 50},
+ *                          {"setFlag": "amuletReturned"}
+ *                      ],
+ *                      "next": "thanks"
+ *                  },
+ *                  {"text": "Nothing. Goodbye."}
+ *              ]
+ *          },
+ *          "thanks": {"speaker": "Priest", "text": "Bless you!"}
+ *      }
+ *  }
+ * ```
+ *
+ * Every node has `text` (HTML is respected), and optionally `speaker`,
+ * `effects` (applied when the node is reached) and `choices`. A choice without
+ * `next` ends the dialogue. A node without choices is the last one, and
+ * continuing from it with `choose(0)` ends the dialogue; the same goes for a
+ * node whose choices are all unavailable, so the player can't get stuck.
+ *
+ * Choices are only available if their `conditions` hold. A condition is an
+ * object with one of the following (or an array of them, which must all
+ * hold):
+ *
+ * `{"skill": name, "min": number, "max": number}` -- the player has the skill
+ *      with a value in the range (min and max are both optional)
+ *
+ * `{"xpLevel": number}` -- the player is at least at this XP level
+ *
+ * `{"hasItem": id, "quantity": number}` -- the player carries the item
+ *      (quantity optional, default 1)
+ *
+ * `{"flag": name, "equals": value}` -- the flag has the value (equals
+ *      optional, default true)
+ *
+ * `{"not": condition}`, `{"all": [conditions]}`, `{"any": [conditions]}`
+ *
+ * (These are the conditions of Effects.js, so the others there work too.)
+ *
+ * Effects (of nodes and choices) are an array of objects with one of:
+ *
+ * `{"grantItem": id, "quantity": number}`, `{"removeItem": id, "quantity":
+ *      number}` -- quantity optional, default 1
+ *
+ * `{"addXp": number}`
+ *
+ * `{"improveSkill": name, "amount": number}`
+ *
+ * `{"setFlag": name, "value": value}` -- value optional, default true
+ *
+ * `{"event": name, "data": data}` -- emits the named event on the dialogue,
+ *      for anything the game needs to handle in code
+ *
+ * A Dialogue is an `EventEmitter` (see EventEmitter.js) and also emits:
+ *
+ * node -- `{nodeId, node}`, when a node is reached
+ *
+ * choice -- `{choice}`, when a choice is made
+ *
+ * effect -- `{effect}`, after an effect is applied
+ *
+ * end -- `{}`, when the dialogue ends
+ *
+ * @param data (required)
+ *      the dialogue data, as above
+ * @param player (required)
+ *      the `Player` talking (see Player.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      itemRegistry -- the `Registry` of items (see Registry.js), needed for
+ *          the item conditions and effects
+ *
+ *      flags -- an object of flag name to value, which is read and written
+ *          by the flag conditions and effects; share (and save) the same
+ *          object between dialogues to keep the game's flags in one place;
+ *          default a new object
+ */
+class Dialogue extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        choose: {
+            finished: 'finished',
+            unavailable: 'unavailable',
+            success: 'success'
+        }
+    };
+
+    constructor(data, player, options) {
+        super();
+
+        this.data = data;
+        this.player = player;
+        this.itemRegistry = null;
+        this.flags = {};
+        if (options) {
+            if (options.itemRegistry) {
+                this.itemRegistry = options.itemRegistry;
+            }
+            if (options.flags) {
+                this.flags = options.flags;
+            }
+        }
+
+        // id of the current node, null before start() and after the end
+        this.currentNodeId = null;
+        this.finished = false;
+    }
+
+    /**
+     * Starts (or restarts) the dialogue at its start node.
+     */
+    start() {
+        this.finished = false;
+        this._goToNode(this.data.start);
+    }
+
+    /**
+     * Whether the dialogue has ended.
+     */
+    isFinished() {
+        return this.finished;
+    }
+
+    /**
+     * Returns the current node, or null if there isn't one.
+     */
+    getCurrentNode() {
+        if (this.currentNodeId === null) {
+            return null;
+        }
+        return this.data.nodes[this.currentNodeId];
+    }
+
+    /**
+     * Returns an array of the choices of the current node whose conditions
+     * hold for the player.
+     */
+    getAvailableChoices() {
+        var node = this.getCurrentNode();
+        if (! node || ! node.choices) {
+            return [];
+        }
+        return node.choices.filter((choice) => {
+            return ! choice.conditions || this.checkCondition(
+                choice.conditions
+            );
+        });
+    }
+
+    /**
+     * Makes the choice with the given index (into `getAvailableChoices()`),
+     * applying its effects and moving on to its next node (or ending the
+     * dialogue.) On a node without available choices, index 0 ends the
+     * dialogue. Returns the appropriate status constant above.
+     */
+    choose(index) {
+        if (this.finished) {
+            return Dialogue.STATUS_CONSTANTS.choose.finished;
+        }
+        var choices = this.getAvailableChoices();
+        if (this.getCurrentNode() && choices.length == 0 && index == 0) {
+            this._end();
+            return Dialogue.STATUS_CONSTANTS.choose.success;
+        }
+        if (index < 0 || index >= choices.length) {
+            return Dialogue.STATUS_CONSTANTS.choose.unavailable;
+        }
+
+        var choice = choices[index];
+        this.emit('choice', {choice: choice});
+        this.applyEffects(choice.effects);
+        if (choice.next !== undefined && choice.next !== null) {
+            this._goToNode(choice.next);
+        }
+        else {
+            this._end();
+        }
+        return Dialogue.STATUS_CONSTANTS.choose.success;
+    }
+
+    /**
+     * Whether the condition (see above) holds for the player.
+     */
+    checkCondition(condition) {
+        return Effects.checkCondition(condition, {
+            player: this.player,
+            itemRegistry: this.itemRegistry,
+            flags: this.flags
+        });
+    }
+
+    /**
+     * Applies the array of effects (see above), if there is one.
+     */
+    applyEffects(effects) {
+        if (! effects) {
+            return;
+        }
+        for (const effect of effects) {
+            if ('grantItem' in effect) {
+                this.player.addItem(
+                    this._getItem(effect.grantItem), effect.quantity
+                );
+            }
+            else if ('removeItem' in effect) {
+                this.player.removeItem(
+                    this._getItem(effect.removeItem), effect.quantity
+                );
+            }
+            else if ('addXp' in effect) {
+                this.player.setXp(this.player.xp + effect.addXp);
+            }
+            else if ('improveSkill' in effect) {
+                this.player.improveSkill(effect.improveSkill, effect.amount);
+            }
+            else if ('setFlag' in effect) {
+                this.flags[effect.setFlag] = ('value' in effect) ? (
+                    effect.value
+                ) : true;
+            }
+            else if ('event' in effect) {
+                this.emit(effect.event, effect.data);
+            }
+            else {
+                throw new Error(
+                    `Unknown dialogue effect: ${JSON.stringify(effect)}`
+                );
+            }
+            this.emit('effect', {effect: effect});
+        }
+    }
+
+    /**
+     * Renders the current node into the container element (replacing what
+     * was there), with the available choices as selectable blocks (see
+     * `WebUtils.prepareElsAsSelectableBlocks()`.) Choosing one renders the
+     * next node, and so on until the dialogue ends, at which point the
+     * callback (optional) is called.
+     *
+     * A node without choices is rendered with a single block to end the
+     * dialogue, labelled with the `endLabel` option (default 'Leave'.)
+     *
+     * You can also pass the options of `prepareElsAsSelectableBlocks()`.
+     */
+    render(container, callback, options) {
+        var endLabel = (options && options.endLabel) ? (
+            options.endLabel
+        ) : 'Leave';
+        container.innerHTML = '';
+        var node = this.getCurrentNode();
+        if (this.finished || ! node) {
+            if (callback) {
+                callback();
+            }
+            return;
+        }
+
+        if (node.speaker) {
+            let speakerEl = document.createElement('div');
+            speakerEl.className = 'plawser-dialogue-speaker';
+            speakerEl.innerHTML = node.speaker;
+            container.appendChild(speakerEl);
+        }
+        var textEl = document.createElement('div');
+        textEl.className = 'plawser-dialogue-text';
+        textEl.innerHTML = node.text;
+        container.appendChild(textEl);
+
+        var choices = this.getAvailableChoices();
+        var labels = (choices.length > 0) ? choices.map((choice) => {
+            return choice.text;
+        }) : [endLabel];
+        // the choices get their own parent, which gets the group role (see
+        // prepareElsAsSelectableBlocks())
+        var choicesEl = document.createElement('div');
+        choicesEl.className = 'plawser-dialogue-choices';
+        container.appendChild(choicesEl);
+        var choiceEls = labels.map((label) => {
+            let choiceEl = document.createElement('div');
+            choiceEl.className = 'plawser-dialogue-choice';
+            choiceEl.innerHTML = label;
+            choicesEl.appendChild(choiceEl);
+            return choiceEl;
+        });
+
+        var choicesController = WebUtils.prepareElsAsSelectableBlocks(
+            choiceEls, Object.assign({}, options, {
+                // choosing commits, so the arrow keys must only move the
+                // focus
+                selectOnFocus: false,
+                onSelect: (index) => {
+                    // without available choices, this ends the dialogue
+                    this.choose(index);
+                    this.render(container, callback, options);
+                }
+            })
+        );
+        // so the keyboard can be used right away
+        choicesController.focus(0);
+    }
+
+    /**
+     * Moves to the node with the given id, applying its effects.
+     */
+    _goToNode(nodeId) {
+        if (! (nodeId in this.data.nodes)) {
+            throw new Error(`Unknown dialogue node: ${nodeId}`);
+        }
+        this.currentNodeId = nodeId;
+        var node = this.data.nodes[nodeId];
+        this.emit('node', {nodeId: nodeId, node: node});
+        this.applyEffects(node.effects);
+    }
+
+    /**
+     * Ends the dialogue.
+     */
+    _end() {
+        if (this.finished) {
+            return;
+        }
+        this.finished = true;
+        this.currentNodeId = null;
+        this.emit('end', {});
+    }
+
+    /**
+     * Looks up the item with the given id in the item registry.
+     */
+    _getItem(id) {
+        if (! this.itemRegistry || ! this.itemRegistry.has(id)) {
+            throw new Error(`Unknown item id in dialogue: ${id}`);
+        }
+        return this.itemRegistry.get(id);
+    }
+}
+
+module.exports = {
+    Dialogue: Dialogue
+};
@@ -0,0 +1,405 @@
+var RandomUtils = require('./RandomUtils').RandomUtils;
+
+/**
+ * This class contains static utilities for a small declarative language of
+ * conditions and effects, so that what a game object does (its `act`) can be
+ * described as plain JSON data instead of written as a function. The content
+ * loader (see ContentLoader.js) uses this to build `act` functions.
+ *
+ * Effects are an array of objects, each with one of the following:
+ *
+ * `{"damage": number, "target": target}` -- takes HP from the target
+ *
+ * `{"heal": number, "target": target}` -- gives HP to the target
+ *
+ * `{"modifySkill": name, "amount": number}` -- changes the player's skill
+ *      (see `Player.improveSkill()`; negative amounts lower it)
+ *
+ * `{"grantXp": number}` -- gives the player XP
+ *
+ * `{"if": condition, "then": [effects], "else": [effects]}` -- applies the
+ *      `then` effects if the condition holds, else the `else` effects (both
+ *      optional)
+ *
+ * `{"chance": number, "then": [effects], "else": [effects]}` -- same, but
+ *      with the given chance (value between 0 and 1), rolled with
+ *      `RandomUtils`
+ *
+ * `{"oneOf": [[effects], [effects], ...]}` -- applies one of the arrays of
+ *      effects, chosen at random with equal chance
+ *
+ * `{"applyStatus": id, "target": target, "duration": number}` -- puts the
+ *      status effect (see StatusEffects.js) on the target (duration
+ *      optional, default the effect's own)
+ *
+ * The target is one of `Effects.TARGETS`: 'player' (the party member the `act`
+ * is called with: for an enemy, the member it attacks; for an item, the member
+ * it's used on, see Party.js), 'enemy' (for an item used in battle, the enemy
+ * it's used on; for an enemy, the enemy itself), 'allEnemies' (every enemy
+ * still standing in the battle) or 'allMembers' (every party member still
+ * standing in the battle; outside a battle, just the player.) By default,
+ * enemies damage the player and heal themselves, while items damage the enemy
+ * and heal the player. Status effects default to the same target as damage.
+ *
+ * Conditions are an object with one of the following (or an array of them,
+ * which must all hold):
+ *
+ * `{"skill": name, "min": number, "max": number}` -- the player has the skill
+ *      with a value in the range (min and max are both optional), counting
+ *      status effects (see `Player.getSkillValue()`)
+ *
+ * `{"xpLevel": number}` -- the player is at least at this XP level
+ *
+ * `{"hpBelow": number}` -- the player has less HP than this
+ *
+ * `{"hasItem": id, "quantity": number}` -- the player carries the item
+ *      (quantity optional, default 1)
+ *
+ * `{"flag": name, "equals": value}` -- the game flag has the value (equals
+ *      optional, default true)
+ *
+ * `{"not": condition}`, `{"all": [conditions]}`, `{"any": [conditions]}`
+ *
+ * Effects and conditions are evaluated against a context object, with:
+ * `player` (required), `battle` and `target` (the `act` arguments, see
+ * GameObjects.js), `source` ('item' or 'enemy', for the default targets),
+ * `random` (the `RandomUtils` instance, default the default instance),
+ * `itemRegistry` (for `hasItem`, see Registry.js), `statusEffectRegistry`
+ * (for `applyStatus`) and `flags` (for `flag`.)
+ */
+class Effects {
+    static TARGETS = {
+        player: 'player',
+        enemy: 'enemy',
+        allEnemies: 'allEnemies',
+        allMembers: 'allMembers'
+    };
+
+    /**
+     * Whether the condition (see above) holds in the context.
+     */
+    static checkCondition(condition, context) {
+        if (Array.isArray(condition)) {
+            return condition.every((c) => Effects.checkCondition(c, context));
+        }
+        var player = context.player;
+        if ('not' in condition) {
+            return ! Effects.checkCondition(condition.not, context);
+        }
+        if ('all' in condition) {
+            return condition.all.every((c) => {
+                return Effects.checkCondition(c, context);
+            });
+        }
+        if ('any' in condition) {
+            return condition.any.some((c) => {
+                return Effects.checkCondition(c, context);
+            });
+        }
+        if ('skill' in condition) {
+            if (! player.skills.has(condition.skill)) {
+                return false;
+            }
+            let value = player.getSkillValue(condition.skill);
+            return (condition.min === undefined || value >= condition.min)
+                && (condition.max === undefined || value <= condition.max);
+        }
+        if ('xpLevel' in condition) {
+            return player.xpLevel >= condition.xpLevel;
+        }
+        if ('hpBelow' in condition) {
+            return player.hp < condition.hpBelow;
+        }
+        if ('hasItem' in condition) {
+            if (! context.itemRegistry
+                    || ! context.itemRegistry.has(condition.hasItem)) {
+                throw new Error(`Unknown item id: ${condition.hasItem}`);
+            }
+            return player.inventory.has(
+                context.itemRegistry.get(condition.hasItem), condition.quantity
+            );
+        }
+        if ('flag' in condition) {
+            let flags = context.flags || {};
+            let equals = ('equals' in condition) ? condition.equals : true;
+            return flags[condition.flag] === equals;
+        }
+        throw new Error(`Unknown condition: ${JSON.stringify(condition)}`);
+    }
+
+    /**
+     * Applies the array of effects (see above) in the context.
+     */
+    static apply(effects, context) {
+        var random = context.random || RandomUtils;
+        for (const effect of effects) {
+            if ('damage' in effect) {
+                Effects._changeHp(
+                    effect.target || Effects._defaultTarget(context, true),
+                    -effect.damage, context
+                );
+            }
+            else if ('heal' in effect) {
+                Effects._changeHp(
+                    effect.target || Effects._defaultTarget(context, false),
+                    effect.heal, context
+                );
+            }
+            else if ('modifySkill' in effect) {
+                context.player.improveSkill(effect.modifySkill, effect.amount);
+            }
+            else if ('grantXp' in effect) {
+                context.player.setXp(context.player.xp + effect.grantXp);
+            }
+            else if ('if' in effect) {
+                Effects.apply(
+                    Effects.checkCondition(effect.if, context) ? (
+                        effect.then || []
+                    ) : (effect.else || []), context
+                );
+            }
+            else if ('chance' in effect) {
+                Effects.apply(
+                    random.randomBooleanWithChance(effect.chance) ? (
+                        effect.then || []
+                    ) : (effect.else || []), context
+                );
+            }
+            else if ('oneOf' in effect) {
+                Effects.apply(random.randomOption(effect.oneOf), context);
+            }
+            else if ('applyStatus' in effect) {
+                Effects._applyStatus(effect, context);
+            }
+            else {
+                throw new Error(`Unknown effect: ${JSON.stringify(effect)}`);
+            }
+        }
+    }
+
+    /**
+     * Checks that the array of effects (and any conditions and nested
+     * effects in it) is well-formed, throwing an Error describing the first
+     * problem found. This lets content mistakes show up when it's loaded,
+     * rather than in the middle of a battle.
+     */
+    static validate(effects) {
+        if (! Array.isArray(effects)) {
+            throw new Error(`Effects must be an array: ${
+                JSON.stringify(effects)
+            }`);
+        }
+        for (const effect of effects) {
+            let describe = JSON.stringify(effect);
+            if (effect === null || typeof effect != 'object'
+                    || Array.isArray(effect)) {
+                throw new Error(`Effect must be an object: ${describe}`);
+            }
+            if ('damage' in effect || 'heal' in effect) {
+                let amount = ('damage' in effect) ? (
+                    effect.damage
+                ) : effect.heal;
+                if (typeof amount != 'number') {
+                    throw new Error(`Amount must be a number: ${describe}`);
+                }
+                Effects._validateTarget(effect);
+            }
+            else if ('modifySkill' in effect) {
+                if (typeof effect.amount != 'number') {
+                    throw new Error(`Amount must be a number: ${describe}`);
+                }
+            }
+            else if ('grantXp' in effect) {
+                if (typeof effect.grantXp != 'number') {
+                    throw new Error(`Amount must be a number: ${describe}`);
+                }
+            }
+            else if ('if' in effect || 'chance' in effect) {
+                if ('if' in effect) {
+                    Effects._validateCondition(effect.if);
+                }
+                else if (typeof effect.chance != 'number') {
+                    throw new Error(`Chance must be a number: ${describe}`);
+                }
+                Effects.validate(effect.then || []);
+                Effects.validate(effect.else || []);
+            }
+            else if ('oneOf' in effect) {
+                if (! Array.isArray(effect.oneOf) || effect.oneOf.length == 0
+                        || ! effect.oneOf.every(Array.isArray)) {
+                    throw new Error(
+                        `oneOf must be a non-empty array of arrays: ${describe}`
+                    );
+                }
+                for (const option of effect.oneOf) {
+                    Effects.validate(option);
+                }
+            }
+            else if ('applyStatus' in effect) {
+                Effects._validateTarget(effect);
+            }
+            else {
+                throw new Error(`Unknown effect: ${describe}`);
+            }
+        }
+    }
+
+    /**
+     * Returns an `act` function (see GameObjects.js) that applies the array
+     * of effects.
+     *
+     * @param effects (required)
+     *      the array of effects, as above
+     * @param source (required)
+     *      'item' or 'enemy', whichever the function is for
+     * @param context (optional)
+     *      extra context, e.g. `random`, `itemRegistry` or `flags`
+     */
+    static compile(effects, source, context) {
+        Effects.validate(effects);
+        return function(player, battle, target) {
+            Effects.apply(effects, Object.assign({}, context, {
+                player: player,
+                battle: battle,
+                target: target,
+                source: source
+            }));
+        };
+    }
+
+    /**
+     * Checks that the effect's target, if it has one, is one of
+     * `Effects.TARGETS` (see validate().)
+     */
+    static _validateTarget(effect) {
+        // not `in`, which would also accept e.g. 'constructor'
+        if (effect.target !== undefined
+                && ! Object.values(Effects.TARGETS).includes(effect.target)) {
+            throw new Error(`Unknown target: ${JSON.stringify(effect)}`);
+        }
+    }
+
+    /**
+     * Checks that the condition is well-formed (see validate().)
+     */
+    static _validateCondition(condition) {
+        if (Array.isArray(condition)) {
+            condition.forEach(Effects._validateCondition);
+            return;
+        }
+        var describe = JSON.stringify(condition);
+        if (condition === null || typeof condition != 'object') {
+            throw new Error(`Condition must be an object: ${describe}`);
+        }
+        if ('not' in condition) {
+            Effects._validateCondition(condition.not);
+            return;
+        }
+        if ('all' in condition || 'any' in condition) {
+            let parts = ('all' in condition) ? condition.all : condition.any;
+            if (! Array.isArray(parts)) {
+                throw new Error(`Conditions must be an array: ${describe}`);
+            }
+            parts.forEach(Effects._validateCondition);
+            return;
+        }
+        for (const key of ['skill', 'xpLevel', 'hpBelow', 'hasItem',
+                'flag']) {
+            if (key in condition) {
+                return;
+            }
+        }
+        throw new Error(`Unknown condition: ${describe}`);
+    }
+
+    /**
+     * Returns the target an effect applies to when it doesn't say.
+     */
+    static _defaultTarget(context, isDamage) {
+        var isEnemy = (context.source == 'enemy');
+        return (isDamage == isEnemy) ? (
+            Effects.TARGETS.player
+        ) : Effects.TARGETS.enemy;
+    }
+
+    /**
+     * Applies the `applyStatus` effect.
+     */
+    static _applyStatus(effect, context) {
+        var registry = context.statusEffectRegistry;
+        if (! registry || ! registry.has(effect.applyStatus)) {
+            throw new Error(`Unknown status effect id: ${effect.applyStatus}`);
+        }
+        var statusEffect = registry.get(effect.applyStatus);
+        var target = effect.target || Effects._defaultTarget(context, true);
+        if (target == Effects.TARGETS.player
+                || target == Effects.TARGETS.allMembers) {
+            for (const member of Effects._getMembers(target, context)) {
+                member.statusEffects.add(statusEffect, effect.duration);
+            }
+            return;
+        }
+        // enemies only have status effects in a battle
+        var battle = context.battle;
+        if (! battle) {
+            return;
+        }
+        var targets = (target == Effects.TARGETS.allEnemies) ? (
+            battle.getLivingTargets()
+        ) : [context.target];
+        for (const index of targets) {
+            if (index !== undefined && index !== null) {
+                battle.combatants[index].statusEffects.add(
+                    statusEffect, effect.duration
+                );
+            }
+        }
+    }
+
+    /**
+     * Returns the party members the target ('player' or 'allMembers')
+     * applies to.
+     */
+    static _getMembers(target, context) {
+        if (target == Effects.TARGETS.allMembers && context.battle) {
+            return context.battle.party.getLivingMembers();
+        }
+        return [context.player];
+    }
+
+    /**
+     * Changes the HP of the target by the amount.
+     */
+    static _changeHp(target, amount, context) {
+        if (target == Effects.TARGETS.player
+                || target == Effects.TARGETS.allMembers) {
+            for (const member of Effects._getMembers(target, context)) {
+                member.setHp(member.hp + amount);
+            }
+            return;
+        }
+        // enemies only have HP in a battle
+        var battle = context.battle;
+        if (! battle) {
+            return;
+        }
+        var targets = (target == Effects.TARGETS.allEnemies) ? (
+            battle.getLivingTargets()
+        ) : [context.target];
+        for (const index of targets) {
+            if (index === undefined || index === null) {
+                continue;
+            }
+            if (amount < 0) {
+                battle.damageEnemy(index, -amount);
+            }
+            else {
+                battle.healEnemy(index, amount);
+            }
+        }
+    }
+}
+
+module.exports = {
+    Effects: Effects
+};
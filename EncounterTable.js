@@ -0,0 +1,150 @@
+var RandomUtils = require('./RandomUtils').RandomUtils;
+
+/**
+ * Constructs an EncounterTable, which picks random encounters from a pool of
+ * enemies, only picking enemies that can show up at the player's XP level
+ * (see `Enemy.xpLevel` in GameObjects.js.)
+ *
+ * Every valid enemy gets a weight based on how far its level is below the
+ * player's (by default, enemies close to the player's level are the most
+ * likely), and the weights are normalized into a probability distribution
+ * for `RandomUtils.randomOptionWithProbabilityDistribution()`.
+ *
+ * @param enemies (required)
+ *      the array of `Enemy`s that can be encountered
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      getWeight -- a function that computes the (relative, unnormalized)
+ *          weight of a valid enemy, signature `(level difference, Enemy
+ *          object) --> number`, where the level difference is the player's
+ *          level minus the enemy's `xpLevel` (so it's at least 0); by default
+ *          `1 / (levelDifference + 1)`
+ *
+ *      noEncounterChance -- the chance (value between 0 and 1) that there is
+ *          no encounter at all, default 0
+ *
+ *      groupSizes -- a map of group size to probability, for how many enemies
+ *          are in an encounter, default always 1 (the probabilities must add
+ *          to 1, as for `RandomUtils.randomOptionWithProbabilityDistribution`)
+ *
+ *      random -- the seeded `RandomUtils` instance to use (see
+ *          RandomUtils.js), default the default instance
+ */
+class EncounterTable {
+    constructor(enemies, options) {
+        this.enemies = enemies;
+        this.getWeight = function(levelDifference, enemy) {
+            return 1 / (levelDifference + 1);
+        };
+        this.noEncounterChance = 0;
+        this.groupSizes = new Map([[1, 1]]);
+        this.random = RandomUtils;
+        if (options) {
+            if (options.getWeight) {
+                this.getWeight = options.getWeight;
+            }
+            if (options.noEncounterChance !== undefined) {
+                this.noEncounterChance = options.noEncounterChance;
+            }
+            if (options.groupSizes) {
+                this.groupSizes = options.groupSizes;
+            }
+            if (options.random) {
+                this.random = options.random;
+            }
+        }
+    }
+
+    /**
+     * Returns the probability distribution (map of `Enemy` to probability) of
+     * which enemy is picked for each spot in an encounter, given that there
+     * is one, at the given XP level. The map is empty if no enemy can show up
+     * at that level.
+     */
+    getDistribution(xpLevel) {
+        var weights = new Map();
+        var totalWeight = 0;
+        for (const enemy of this.enemies) {
+            if (enemy.xpLevel > xpLevel) {
+                continue;
+            }
+            let weight = this.getWeight(xpLevel - enemy.xpLevel, enemy);
+            if (weight > 0) {
+                weights.set(enemy, weight);
+                totalWeight += weight;
+            }
+        }
+
+        var distribution = new Map();
+        for (const [enemy, weight] of weights) {
+            distribution.set(enemy, weight / totalWeight);
+        }
+        return distribution;
+    }
+
+    /**
+     * For designers: returns an array of `{enemy, probability}` with the
+     * overall probability of each enemy being picked (for a single-enemy
+     * encounter) at the given XP level, most likely first, accounting for the
+     * no-encounter chance. The no-encounter chance itself is included as an
+     * entry with a null enemy.
+     */
+    preview(xpLevel) {
+        var distribution = this.getDistribution(xpLevel);
+        var encounterChance = (distribution.size > 0) ? (
+            1 - this.noEncounterChance
+        ) : 0;
+
+        var entries = [];
+        for (const [enemy, probability] of distribution) {
+            entries.push({
+                enemy: enemy,
+                probability: probability * encounterChance
+            });
+        }
+        entries.push({
+            enemy: null,
+            probability: 1 - encounterChance
+        });
+        entries.sort((a, b) => b.probability - a.probability);
+        return entries;
+    }
+
+    /**
+     * Rolls an encounter for the given player (or XP level.) Returns an
+     * array of the `Enemy`s encountered, which is empty if there is no
+     * encounter, so it can be passed straight to a `Battle` (see Battle.js)
+     * when not empty.
+     */
+    generate(playerOrXpLevel) {
+        var xpLevel = (typeof playerOrXpLevel == 'number') ? (
+            playerOrXpLevel
+        ) : playerOrXpLevel.xpLevel;
+
+        var distribution = this.getDistribution(xpLevel);
+        if (distribution.size == 0
+                || this.random.randomBooleanWithChance(
+                    this.noEncounterChance
+                )) {
+            return [];
+        }
+
+        var groupSize = this.random.randomOptionWithProbabilityDistribution(
+            this.groupSizes
+        );
+        var encounter = [];
+        for (let i=0; i<groupSize; i++) {
+            encounter.push(
+                this.random.randomOptionWithProbabilityDistribution(
+                    distribution
+                )
+            );
+        }
+        return encounter;
+    }
+}
+
+module.exports = {
+    EncounterTable: EncounterTable
+};
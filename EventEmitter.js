@@ -0,0 +1,75 @@
+/**
+ * A minimal event emitter that other Plawser classes extend so that the UI
+ * (or any other game code) can find out when something happens, rather than
+ * having to poll.
+ *
+ * Listeners are called synchronously, in the order they were added, with the
+ * single data argument passed to `emit()`.
+ */
+class EventEmitter {
+    constructor() {
+        // map of event name to array of listener functions
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribes the listener to the given event, signature
+     * `(data) --> void`. Returns a function that unsubscribes the listener
+     * when called (same as calling `off()`.)
+     */
+    on(eventName, listener) {
+        if (! this.listeners.has(eventName)) {
+            this.listeners.set(eventName, []);
+        }
+        this.listeners.get(eventName).push(listener);
+        return () => {
+            this.off(eventName, listener);
+        };
+    }
+
+    /**
+     * Same as `on()`, but the listener is automatically unsubscribed after
+     * it is called the first time.
+     */
+    once(eventName, listener) {
+        var unsubscribe = this.on(eventName, (data) => {
+            unsubscribe();
+            listener(data);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribes the listener from the given event. Does nothing if the
+     * listener isn't subscribed.
+     */
+    off(eventName, listener) {
+        if (! this.listeners.has(eventName)) {
+            return;
+        }
+        var eventListeners = this.listeners.get(eventName);
+        var index = eventListeners.indexOf(listener);
+        if (index != -1) {
+            eventListeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Calls every listener subscribed to the given event with the data.
+     */
+    emit(eventName, data) {
+        if (! this.listeners.has(eventName)) {
+            return;
+        }
+        // copy first, since a listener may unsubscribe itself (or others)
+        // while we're looping
+        var eventListeners = this.listeners.get(eventName).slice();
+        for (const listener of eventListeners) {
+            listener(data);
+        }
+    }
+}
+
+module.exports = {
+    EventEmitter: EventEmitter
+};
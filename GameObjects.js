@@ -1,6 +1,7 @@
 /**
  * Constructs a GameObject, which can represent anything that can be
- * encountered -- an item or an enemy (or, in future, an ally or quest-giver.)
+ * encountered -- an item or an enemy (or, in future, a quest-giver.) Allies
+ * are a kind of `Player` instead (see `Ally` in Party.js.)
  * 
  * @param name (required)
  *      the name of the object
@@ -17,9 +18,26 @@
  *      a function that given the stats of the player will act accordingly,
  *      signature `(Player object) --> void` (for an enemy, will complete a
  *      turn in battle; for an item, will apply to the player)
+ *
+ *      In a battle fought by a `Party` (see Party.js), the `Player` object
+ *      is the party member being targeted: for an enemy, the member it
+ *      attacks (see the `chooseEnemyTarget` option of Battle.js); for an
+ *      item, the member it's used on.
+ *
+ *      When called during a battle, `act` also receives the `Battle` as a
+ *      second argument (see Battle.js), so it can e.g. damage enemies, and
+ *      an index into the battle's `combatants` as a third argument (for an
+ *      item, the enemy it's used on, if any; for an enemy, itself.)
+ *
+ *      Instead of writing `act` by hand, it can be built from declarative
+ *      data (see Effects.js and ContentLoader.js.)
+ *
+ * A GameObject also has an `id`, which is null until the object is registered
+ * in a `Registry` (see Registry.js.)
  */
 class GameObject {
     constructor(name, isProperName, description, xpLevel, act) {
+        this.id = null;
         this.name = name;
         this.isProperName = isProperName;
         this.description = description;
@@ -32,11 +50,43 @@ class GameObject {
  * Constructs an Item, which is a special kind of GameObject that represents
  * an item that can be picked up by the player and used in battle.
  * 
- * The arguments to the constructor are all the same as `GameObject`.
+ * The arguments to the constructor are all the same as `GameObject` and also
+ * include:
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      slot -- the equipment slot this can be equipped in (e.g. 'weapon'),
+ *          default null (can't be equipped)
+ *
+ *      maxStack -- how many of this fit in one inventory stack, default 1
+ *
+ *      consumable -- whether this is used up when used, default true unless
+ *          it can be equipped
+ *
+ *      value -- the base price of this when traded (see Merchant.js),
+ *          default 0
  */
 class Item extends GameObject {
-    constructor(name, isProperName, description, xpLevel, act) {
+    constructor(name, isProperName, description, xpLevel, act, options) {
         super(name, isProperName, description, xpLevel, act);
+        this.slot = null;
+        this.maxStack = 1;
+        this.value = 0;
+        if (options) {
+            if (options.slot) {
+                this.slot = options.slot;
+            }
+            if (options.maxStack) {
+                this.maxStack = options.maxStack;
+            }
+            if (options.value) {
+                this.value = options.value;
+            }
+        }
+        this.consumable = ! this.slot;
+        if (options && options.consumable !== undefined) {
+            this.consumable = options.consumable;
+        }
     }
 }
 
@@ -48,11 +98,19 @@ class Item extends GameObject {
  * include:
  * @param xpGranted (required)
  *      the amount of XP granted to the player after this enemy is defeated
+ * @param maxHp (optional)
+ *      the HP this enemy starts each battle with, default 10
+ *
+ * What the enemy drops when defeated is set with its `lootTable` property (a
+ * `LootTable`, see LootTable.js), null by default.
  */
 class Enemy extends GameObject {
-    constructor(name, isProperName, description, xpLevel, act, xpGranted) {
+    constructor(name, isProperName, description, xpLevel, act, xpGranted,
+            maxHp) {
         super(name, isProperName, description, xpLevel, act);
         this.xpGranted = xpGranted;
+        this.maxHp = (maxHp === undefined) ? 10 : maxHp;
+        this.lootTable = null;
     }
 }
 
@@ -0,0 +1,300 @@
+/**
+ * Constructs an Inventory, which holds the items a player is carrying (in
+ * stacks, see `Item.maxStack` in GameObjects.js) and the items the player has
+ * equipped (one per equipment slot.)
+ *
+ * Equipping and using an item is only allowed once the player's XP level
+ * has reached the item's `xpLevel`.
+ *
+ * @param initialItems (optional)
+ *      an array of `Item`s to start off with (an item appearing several
+ *      times is stacked)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      capacity -- the max number of stacks that can be carried (equipped
+ *          items don't count), default unlimited
+ *
+ *      slots -- an array of the names of the equipment slots, default
+ *          `Inventory.DEFAULT_SLOTS`
+ */
+class Inventory {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        add: {
+            invalidQuantity: 'invalidQuantity',
+            full: 'full',
+            success: 'success'
+        },
+        remove: {
+            invalidQuantity: 'invalidQuantity',
+            doesNotHave: 'doesNotHave',
+            success: 'success'
+        },
+        use: {
+            doesNotHave: 'doesNotHave',
+            levelTooLow: 'levelTooLow',
+            success: 'success'
+        },
+        equip: {
+            doesNotHave: 'doesNotHave',
+            notEquippable: 'notEquippable',
+            levelTooLow: 'levelTooLow',
+            full: 'full',
+            success: 'success'
+        },
+        unequip: {
+            nothingEquipped: 'nothingEquipped',
+            full: 'full',
+            success: 'success'
+        }
+    };
+
+    static DEFAULT_SLOTS = ['weapon', 'armor', 'accessory'];
+
+    constructor(initialItems, options) {
+        this.capacity = Infinity;
+        this.slots = Inventory.DEFAULT_SLOTS;
+        if (options) {
+            if (options.capacity !== undefined && options.capacity !== null) {
+                this.capacity = options.capacity;
+            }
+            if (options.slots) {
+                this.slots = options.slots;
+            }
+        }
+
+        // array of `{item, quantity}` stacks, in the order they were added
+        this.stacks = [];
+        // map of slot name to the equipped item (or null)
+        this.equipment = new Map();
+        for (const slot of this.slots) {
+            this.equipment.set(slot, null);
+        }
+
+        if (initialItems) {
+            for (const item of initialItems) {
+                this.add(item);
+            }
+        }
+    }
+
+    /**
+     * Returns how many of the given item are carried (not counting an
+     * equipped one.)
+     */
+    count(item) {
+        var total = 0;
+        for (const stack of this.stacks) {
+            if (stack.item === item) {
+                total += stack.quantity;
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Whether at least the given quantity (default 1) of the item is
+     * carried (never for an invalid quantity, see `isValidQuantity()`.)
+     */
+    has(item, quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        return Inventory.isValidQuantity(quantity)
+            && this.count(item) >= quantity;
+    }
+
+    /**
+     * Returns an array of every carried item, where an item appears as many
+     * times as its quantity.
+     */
+    getItems() {
+        var items = [];
+        for (const stack of this.stacks) {
+            for (let i=0; i<stack.quantity; i++) {
+                items.push(stack.item);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Returns the item equipped in the given slot, or null.
+     */
+    getEquipped(slot) {
+        return this.equipment.has(slot) ? this.equipment.get(slot) : null;
+    }
+
+    /**
+     * Whether the given quantity (default 1) of the item would fit (never
+     * for an invalid quantity, see `isValidQuantity()`.)
+     */
+    canAdd(item, quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        return Inventory.isValidQuantity(quantity)
+            && this._stacksNeeded(item, quantity) + this.stacks.length
+                <= this.capacity;
+    }
+
+    /**
+     * Adds the given quantity (default 1) of the item, filling up existing
+     * stacks of it first. Returns the appropriate status constant above and
+     * adds nothing if it doesn't all fit (atomic failure.)
+     */
+    add(item, quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        if (! Inventory.isValidQuantity(quantity)) {
+            return Inventory.STATUS_CONSTANTS.add.invalidQuantity;
+        }
+        if (! this.canAdd(item, quantity)) {
+            return Inventory.STATUS_CONSTANTS.add.full;
+        }
+
+        var maxStack = item.maxStack || 1;
+        for (const stack of this.stacks) {
+            if (quantity == 0) {
+                break;
+            }
+            if (stack.item === item && stack.quantity < maxStack) {
+                let added = Math.min(maxStack - stack.quantity, quantity);
+                stack.quantity += added;
+                quantity -= added;
+            }
+        }
+        while (quantity > 0) {
+            let added = Math.min(maxStack, quantity);
+            this.stacks.push({item: item, quantity: added});
+            quantity -= added;
+        }
+        return Inventory.STATUS_CONSTANTS.add.success;
+    }
+
+    /**
+     * Removes the given quantity (default 1) of the item, emptying the last
+     * stacks of it first. Returns the appropriate status constant above and
+     * removes nothing if not enough are carried (atomic failure.)
+     */
+    remove(item, quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        if (! Inventory.isValidQuantity(quantity)) {
+            return Inventory.STATUS_CONSTANTS.remove.invalidQuantity;
+        }
+        if (! this.has(item, quantity)) {
+            return Inventory.STATUS_CONSTANTS.remove.doesNotHave;
+        }
+
+        for (let i=this.stacks.length-1; i>=0 && quantity>0; i--) {
+            let stack = this.stacks[i];
+            if (stack.item === item) {
+                let removed = Math.min(stack.quantity, quantity);
+                stack.quantity -= removed;
+                quantity -= removed;
+                if (stack.quantity == 0) {
+                    this.stacks.splice(i, 1);
+                }
+            }
+        }
+        return Inventory.STATUS_CONSTANTS.remove.success;
+    }
+
+    /**
+     * Uses the item on the player, calling the item's `act` with the player
+     * and any extra arguments given (e.g. the `Battle`.) A consumable item is
+     * then removed. Returns the appropriate status constant above.
+     */
+    use(item, player, ...actArgs) {
+        if (! this.has(item)) {
+            return Inventory.STATUS_CONSTANTS.use.doesNotHave;
+        }
+        if (player.xpLevel < item.xpLevel) {
+            return Inventory.STATUS_CONSTANTS.use.levelTooLow;
+        }
+        if (item.consumable) {
+            this.remove(item);
+        }
+        item.act(player, ...actArgs);
+        return Inventory.STATUS_CONSTANTS.use.success;
+    }
+
+    /**
+     * Moves the item from the carried items to its equipment slot (see
+     * `Item.slot`), putting back whatever was equipped there before. Returns
+     * the appropriate status constant above and changes nothing if not
+     * successful (atomic failure.)
+     */
+    equip(item, player) {
+        if (! this.has(item)) {
+            return Inventory.STATUS_CONSTANTS.equip.doesNotHave;
+        }
+        if (! item.slot || ! this.equipment.has(item.slot)) {
+            return Inventory.STATUS_CONSTANTS.equip.notEquippable;
+        }
+        if (player.xpLevel < item.xpLevel) {
+            return Inventory.STATUS_CONSTANTS.equip.levelTooLow;
+        }
+
+        var previous = this.equipment.get(item.slot);
+        this.remove(item);
+        if (previous) {
+            if (! this.canAdd(previous)) {
+                // undo, there's no room for the previously equipped item
+                this.add(item);
+                return Inventory.STATUS_CONSTANTS.equip.full;
+            }
+            this.add(previous);
+        }
+        this.equipment.set(item.slot, item);
+        return Inventory.STATUS_CONSTANTS.equip.success;
+    }
+
+    /**
+     * Moves the item in the given slot back to the carried items. Returns the
+     * appropriate status constant above.
+     */
+    unequip(slot) {
+        var item = this.getEquipped(slot);
+        if (! item) {
+            return Inventory.STATUS_CONSTANTS.unequip.nothingEquipped;
+        }
+        if (! this.canAdd(item)) {
+            return Inventory.STATUS_CONSTANTS.unequip.full;
+        }
+        this.add(item);
+        this.equipment.set(slot, null);
+        return Inventory.STATUS_CONSTANTS.unequip.success;
+    }
+
+    /**
+     * Whether the quantity can be added, removed, etc.: a whole number above
+     * zero.
+     */
+    static isValidQuantity(quantity) {
+        return Number.isInteger(quantity) && quantity > 0;
+    }
+
+    /**
+     * Returns the number of new stacks that adding the given quantity of the
+     * item would take up.
+     */
+    _stacksNeeded(item, quantity) {
+        var maxStack = item.maxStack || 1;
+        for (const stack of this.stacks) {
+            if (stack.item === item) {
+                quantity -= Math.min(maxStack - stack.quantity, quantity);
+            }
+        }
+        return Math.ceil(quantity / maxStack);
+    }
+}
+
+module.exports = {
+    Inventory: Inventory
+};
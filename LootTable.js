@@ -0,0 +1,264 @@
+var RandomUtils = require('./RandomUtils').RandomUtils;
+
+/**
+ * Constructs a LootTable, which rolls what `Item`s (see GameObjects.js) are
+ * dropped, e.g. by a defeated enemy (set as `Enemy.lootTable`, see
+ * Battle.js) or found in a scene (set as the scene's `lootTable` option, see
+ * `SceneManager.lootScene()` in Scene.js.)
+ *
+ * Each roll picks one entry by weight: the weights are normalized into a
+ * probability distribution for
+ * `RandomUtils.randomOptionWithProbabilityDistribution()`. An entry is an
+ * object with:
+ *
+ * item or table -- the `Item` dropped, or another LootTable to roll (nested
+ *      tables are rolled at the same XP level, and their drops are added to
+ *      this table's)
+ *
+ * weight -- the (relative, unnormalized) weight of the entry, default 1
+ *
+ * quantity -- how many of the item are dropped (or how many times the
+ *      nested table is rolled): a number, a `[min, max]` range (both
+ *      inclusive), or dice notation (see `RandomUtils.roll()`), default 1
+ *
+ * rarity -- one of `LootTable.RARITIES`, default 'common'; rarer entries
+ *      become relatively more likely as the XP level goes up (see the
+ *      `getWeight` option)
+ *
+ * minXpLevel -- the XP level below which the entry can't drop, default 0
+ *
+ * @param entries (required)
+ *      the array of entries, as above
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      rolls -- how many entries are picked per drop, default 1
+ *
+ *      guaranteed -- an array of entries (as above, without weight or
+ *          rarity) that always drop, on top of the rolls
+ *
+ *      nothingWeight -- the weight of dropping nothing on a roll, default 0
+ *
+ *      getWeight -- a function that computes the weight of a valid entry at
+ *          the XP level, signature `(entry, XP level) --> number`; by default
+ *          `weight * (1 + xpLevel / 10) ^ tier`, where the tier is the index
+ *          of the rarity in `LootTable.RARITY_TIERS` (0 for common)
+ *
+ *      random -- the seeded `RandomUtils` instance to use (see
+ *          RandomUtils.js), default the default instance
+ */
+class LootTable {
+    static RARITIES = {
+        common: 'common',
+        uncommon: 'uncommon',
+        rare: 'rare',
+        epic: 'epic',
+        legendary: 'legendary'
+    };
+
+    // The rarities from most to least common.
+    static RARITY_TIERS = [
+        LootTable.RARITIES.common,
+        LootTable.RARITIES.uncommon,
+        LootTable.RARITIES.rare,
+        LootTable.RARITIES.epic,
+        LootTable.RARITIES.legendary
+    ];
+
+    constructor(entries, options) {
+        this.entries = entries;
+        this.rolls = 1;
+        this.guaranteed = [];
+        this.nothingWeight = 0;
+        this.getWeight = function(entry, xpLevel) {
+            var weight = (entry.weight === undefined) ? 1 : entry.weight;
+            var tier = LootTable.RARITY_TIERS.indexOf(
+                entry.rarity || LootTable.RARITIES.common
+            );
+            return weight * Math.pow(1 + xpLevel / 10, Math.max(tier, 0));
+        };
+        this.random = RandomUtils;
+        if (options) {
+            if (options.rolls !== undefined) {
+                this.rolls = options.rolls;
+            }
+            if (options.guaranteed) {
+                this.guaranteed = options.guaranteed;
+            }
+            if (options.nothingWeight !== undefined) {
+                this.nothingWeight = options.nothingWeight;
+            }
+            if (options.getWeight) {
+                this.getWeight = options.getWeight;
+            }
+            if (options.random) {
+                this.random = options.random;
+            }
+        }
+    }
+
+    /**
+     * Returns the probability distribution (map of entry to probability) of
+     * which entry is picked on each roll at the given XP level, where the
+     * null key is the chance of nothing. The map is empty if nothing can be
+     * picked.
+     */
+    getDistribution(xpLevel) {
+        var weights = new Map();
+        var totalWeight = 0;
+        for (const entry of this.entries) {
+            if ((entry.minXpLevel || 0) > xpLevel) {
+                continue;
+            }
+            let weight = this.getWeight(entry, xpLevel);
+            if (weight > 0) {
+                weights.set(entry, weight);
+                totalWeight += weight;
+            }
+        }
+        if (this.nothingWeight > 0) {
+            weights.set(null, this.nothingWeight);
+            totalWeight += this.nothingWeight;
+        }
+
+        var distribution = new Map();
+        for (const [entry, weight] of weights) {
+            distribution.set(entry, weight / totalWeight);
+        }
+        return distribution;
+    }
+
+    /**
+     * Rolls the drops at the given XP level (default 0.) Returns an array of
+     * `{item, quantity}`, one per distinct item, which is empty if nothing
+     * dropped.
+     */
+    roll(xpLevel) {
+        return this._roll(xpLevel || 0, this.random);
+    }
+
+    /**
+     * Rolls the drops at the player's XP level and adds them to the player's
+     * items (see `Player.addItem()`.) Returns an array of
+     * `{item, quantity, status}`, where the status is what `addItem()`
+     * returned (drops that don't fit are left behind.)
+     */
+    give(player) {
+        return this.roll(player.xpLevel).map((drop) => {
+            return {
+                item: drop.item,
+                quantity: drop.quantity,
+                status: player.addItem(drop.item, drop.quantity)
+            };
+        });
+    }
+
+    /**
+     * For designers: rolls the table the given number of times at the XP
+     * level, and returns an array of `{item, dropRate, averageQuantity}`,
+     * most often dropped first, where `dropRate` is the fraction of the
+     * rolls the item dropped in, and `averageQuantity` is the average
+     * quantity per roll.
+     *
+     * The rolls use their own random source (by default an unseeded
+     * `RandomUtils`, or `random` in the options), so that simulating doesn't
+     * change the game's random sequence.
+     */
+    simulate(numRolls, xpLevel, options) {
+        var random = new RandomUtils();
+        if (options && options.random) {
+            random = options.random;
+        }
+
+        // map of item to `{drops, quantity}` totals
+        var totals = new Map();
+        for (let i=0; i<numRolls; i++) {
+            for (const drop of this._roll(xpLevel || 0, random)) {
+                if (! totals.has(drop.item)) {
+                    totals.set(drop.item, {drops: 0, quantity: 0});
+                }
+                totals.get(drop.item).drops++;
+                totals.get(drop.item).quantity += drop.quantity;
+            }
+        }
+
+        var report = [];
+        for (const [item, total] of totals) {
+            report.push({
+                item: item,
+                dropRate: total.drops / numRolls,
+                averageQuantity: total.quantity / numRolls
+            });
+        }
+        report.sort((a, b) => b.dropRate - a.dropRate);
+        return report;
+    }
+
+    /**
+     * Rolls the drops with the given random source.
+     */
+    _roll(xpLevel, random) {
+        // map of item to quantity, so each item appears once
+        var drops = new Map();
+        for (const entry of this.guaranteed) {
+            this._addDrops(drops, entry, xpLevel, random);
+        }
+        var distribution = this.getDistribution(xpLevel);
+        if (distribution.size > 0) {
+            for (let i=0; i<this.rolls; i++) {
+                let entry = random.randomOptionWithProbabilityDistribution(
+                    distribution
+                );
+                if (entry) {
+                    this._addDrops(drops, entry, xpLevel, random);
+                }
+            }
+        }
+
+        var result = [];
+        for (const [item, quantity] of drops) {
+            if (quantity > 0) {
+                result.push({item: item, quantity: quantity});
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Adds the drops of the entry to the map of item to quantity.
+     */
+    _addDrops(drops, entry, xpLevel, random) {
+        var quantity = LootTable._rollQuantity(entry.quantity, random);
+        if (entry.table) {
+            for (let i=0; i<quantity; i++) {
+                for (const drop of entry.table._roll(xpLevel, random)) {
+                    drops.set(
+                        drop.item, (drops.get(drop.item) || 0) + drop.quantity
+                    );
+                }
+            }
+            return;
+        }
+        drops.set(entry.item, (drops.get(entry.item) || 0) + quantity);
+    }
+
+    /**
+     * Rolls the quantity of an entry (see above.)
+     */
+    static _rollQuantity(quantity, random) {
+        if (quantity === undefined) {
+            return 1;
+        }
+        if (Array.isArray(quantity)) {
+            return random.randomInt(quantity[0], quantity[1]);
+        }
+        if (typeof quantity == 'string') {
+            return Math.max(random.roll(quantity).total, 0);
+        }
+        return quantity;
+    }
+}
+
+module.exports = {
+    LootTable: LootTable
+};
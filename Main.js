@@ -1,18 +1,24 @@
 /*
  * In this file, we gather all the classes/functions/etc. we want to export
- * as part of Plawser.
+ * as part of Plawser: everything headless from Core.js, plus the modules
+ * that need a DOM.
  */
 
-var GameObjects = require('./GameObjects');
-var Player = require('./Player');
-var RandomUtils = require('./RandomUtils');
+var AchievementNotifier = require('./AchievementNotifier');
+var Animation = require('./Animation');
+var Core = require('./Core');
+var Narrator = require('./Narrator');
+var ShopScreen = require('./ShopScreen');
+var SkillPointAllocator = require('./SkillPointAllocator');
+var Slideshow = require('./Slideshow');
 var WebUtils = require('./WebUtils');
 
-window.plawser = {
-    GameObject: GameObjects.GameObject,
-    Enemy: GameObjects.Enemy,
-    Item: GameObjects.Item,
-    Player: Player.Player,
-    RandomUtils: RandomUtils.RandomUtils,
+window.plawser = Object.assign({}, Core, {
+    AchievementNotifier: AchievementNotifier.AchievementNotifier,
+    Animation: Animation.Animation,
+    Narrator: Narrator.Narrator,
+    ShopScreen: ShopScreen.ShopScreen,
+    SkillPointAllocator: SkillPointAllocator.SkillPointAllocator,
+    Slideshow: Slideshow.Slideshow,
     WebUtils: WebUtils.WebUtils
-};
+});
@@ -0,0 +1,440 @@
+var RandomUtils = require('./RandomUtils').RandomUtils;
+var Scene = require('./Scene').Scene;
+
+/**
+ * Constructs a MapGenerator, which builds random maps (dungeon floors,
+ * overworld paths, etc.) of connected rooms on a grid, and places things
+ * (encounters, items, anything) in them.
+ *
+ * A map is plain JSON-serializable data, so it can be saved as is (e.g. as a
+ * `SaveManager` section, see SaveSystem.js):
+ *
+ * ```
+ *  {
+ *      seed: 42,
+ *      startRoomId: 'room-0',
+ *      exitRoomIds: ['room-7'],
+ *      rooms: {
+ *          'room-0': {
+ *              id: 'room-0',
+ *              x: 0,
+ *              y: 0,
+ *              distance: 0,
+ *              exits: {north: 'room-1', east: 'room-3'},
+ *              contents: [{kind: 'item', value: 'potion'}]
+ *          },
+ *          ...
+ *      }
+ *  }
+ * ```
+ *
+ * where every exit goes both ways, `distance` is the number of rooms from
+ * the start, and the rooms on the way from the start to the first exit have
+ * `onMainPath` set. Rooms are generated from the start: each new room is
+ * added next to the end of the corridor being grown or, with the branching
+ * chance, next to any room (starting a side branch.) Then some of the dead
+ * ends (rooms with a single exit) are joined to a neighbouring room, making
+ * loops.
+ *
+ * Placements say what to put in the rooms: each is an object with:
+ *
+ * kind -- what is placed, e.g. 'encounter' or 'item' (copied into the
+ *      room's `contents`)
+ *
+ * weights -- a map (or object) of value to (relative, unnormalized) weight,
+ *      e.g. item ids; the value placed is picked with
+ *      `RandomUtils.randomOptionWithProbabilityDistribution()`
+ *
+ * chance -- the chance (value between 0 and 1) that a room gets one,
+ *      default 0.25
+ *
+ * where -- which rooms can get one, one of `MapGenerator.WHERE`: 'any',
+ *      'deadEnd', 'mainPath' or 'offPath', default 'any' (the start room
+ *      never does)
+ *
+ * With the same seed and options, the same map comes out every time.
+ *
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      numRooms -- the number of rooms, or a `[min, max]` range, default 12
+ *
+ *      branching -- the chance (value between 0 and 1) that a new room
+ *          starts a side branch, default 0.3
+ *
+ *      deadEndRatio -- the fraction (value between 0 and 1) of the dead ends
+ *          that are kept, default 0.5
+ *
+ *      numExits -- the number of exit rooms, default 1
+ *
+ *      getExitWeight -- a function that computes the (relative,
+ *          unnormalized) weight of a room being an exit, signature
+ *          `(distance from the start, room) --> number`; by default the
+ *          distance squared, so exits tend to be far away
+ *
+ *      placements -- an array of placements, as above
+ *
+ *      random -- the `RandomUtils` instance to use (see RandomUtils.js) when
+ *          `generate()` isn't given a seed, default the default instance
+ */
+class MapGenerator {
+    static DIRECTIONS = {
+        north: {dx: 0, dy: -1, opposite: 'south'},
+        south: {dx: 0, dy: 1, opposite: 'north'},
+        east: {dx: 1, dy: 0, opposite: 'west'},
+        west: {dx: -1, dy: 0, opposite: 'east'}
+    };
+
+    static WHERE = {
+        any: 'any',
+        deadEnd: 'deadEnd',
+        mainPath: 'mainPath',
+        offPath: 'offPath'
+    };
+
+    constructor(options) {
+        this.numRooms = 12;
+        this.branching = 0.3;
+        this.deadEndRatio = 0.5;
+        this.numExits = 1;
+        this.getExitWeight = function(distance, room) {
+            return distance * distance;
+        };
+        this.placements = [];
+        this.random = RandomUtils;
+        if (options) {
+            if (options.numRooms !== undefined) {
+                this.numRooms = options.numRooms;
+            }
+            if (options.branching !== undefined) {
+                this.branching = options.branching;
+            }
+            if (options.deadEndRatio !== undefined) {
+                this.deadEndRatio = options.deadEndRatio;
+            }
+            if (options.numExits !== undefined) {
+                this.numExits = options.numExits;
+            }
+            if (options.getExitWeight) {
+                this.getExitWeight = options.getExitWeight;
+            }
+            if (options.placements) {
+                this.placements = options.placements;
+            }
+            if (options.random) {
+                this.random = options.random;
+            }
+        }
+    }
+
+    /**
+     * Generates a map (see above.) If a seed (number or string) is given,
+     * the map is generated with `RandomUtils.withSeed(seed)`, so the same
+     * seed always gives the same map; otherwise with the generator's random
+     * source.
+     */
+    generate(seed) {
+        var random = this.random;
+        if (seed !== undefined && seed !== null) {
+            random = RandomUtils.withSeed(seed);
+        }
+        var numRooms = Array.isArray(this.numRooms) ? (
+            random.randomInt(this.numRooms[0], this.numRooms[1])
+        ) : this.numRooms;
+
+        var map = {
+            seed: (seed === undefined) ? null : seed,
+            startRoomId: null,
+            exitRoomIds: [],
+            rooms: {}
+        };
+        // map of "x,y" to room, for finding neighbours
+        var grid = new Map();
+        var addRoom = (x, y) => {
+            var room = {
+                id: `room-${Object.keys(map.rooms).length}`,
+                x: x,
+                y: y,
+                distance: 0,
+                onMainPath: false,
+                exits: {},
+                contents: []
+            };
+            map.rooms[room.id] = room;
+            grid.set(`${x},${y}`, room);
+            return room;
+        };
+
+        var start = addRoom(0, 0);
+        map.startRoomId = start.id;
+        // the end of the corridor being grown
+        var pathEnd = start;
+        var rooms = [start];
+        while (rooms.length < numRooms) {
+            let branch = random.randomBooleanWithChance(this.branching);
+            let parent = branch ? random.randomOption(rooms) : pathEnd;
+            let free = MapGenerator._freeDirections(parent, grid);
+            if (free.length == 0) {
+                // boxed in, so we carry on from any room that isn't
+                let candidates = rooms.filter((room) => {
+                    return MapGenerator._freeDirections(room, grid).length > 0;
+                });
+                parent = random.randomOption(candidates);
+                free = MapGenerator._freeDirections(parent, grid);
+            }
+            let direction = random.randomOption(free);
+            let offset = MapGenerator.DIRECTIONS[direction];
+            let room = addRoom(parent.x + offset.dx, parent.y + offset.dy);
+            MapGenerator._connect(parent, room, direction);
+            rooms.push(room);
+            if (! branch) {
+                pathEnd = room;
+            }
+        }
+
+        this._joinDeadEnds(map, grid, random);
+        MapGenerator._computeDistances(map);
+        this._placeExits(map, random);
+        this._placeContents(map, random);
+        return map;
+    }
+
+    /**
+     * Returns the rooms of the map next to the room, as an array of
+     * `{direction, room}`.
+     */
+    static getNeighbours(map, roomId) {
+        var room = map.rooms[roomId];
+        return Object.keys(room.exits).map((direction) => {
+            return {
+                direction: direction,
+                room: map.rooms[room.exits[direction]]
+            };
+        });
+    }
+
+    /**
+     * Returns the ids of the rooms on the shortest way from one room to
+     * another (both included), or null if there is none.
+     */
+    static findPath(map, fromRoomId, toRoomId) {
+        // breadth-first search, remembering where we came from
+        var cameFrom = new Map([[fromRoomId, null]]);
+        var queue = [fromRoomId];
+        while (queue.length > 0) {
+            let roomId = queue.shift();
+            if (roomId == toRoomId) {
+                let path = [];
+                for (let id=roomId; id!==null; id=cameFrom.get(id)) {
+                    path.unshift(id);
+                }
+                return path;
+            }
+            for (const nextId of Object.values(map.rooms[roomId].exits)) {
+                if (! cameFrom.has(nextId)) {
+                    cameFrom.set(nextId, roomId);
+                    queue.push(nextId);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Adds a `Scene` (see Scene.js) for every room of the map to the
+     * `SceneManager`, with an exit for every direction, so the map can be
+     * navigated. The scene ids are the room ids.
+     *
+     * @param map (required)
+     *      the map, as returned by `generate()`
+     * @param sceneManager (required)
+     *      the `SceneManager` to add the scenes to
+     * @param buildOptions (optional)
+     *      a function that returns extra options for the scene of a room
+     *      (e.g. its title, content or `onEnter`, see `Scene`), signature
+     *      `(room, map) --> object`
+     */
+    static addScenes(map, sceneManager, buildOptions) {
+        for (const room of Object.values(map.rooms)) {
+            let options = buildOptions ? buildOptions(room, map) : {};
+            let exits = Object.keys(room.exits).map((direction) => {
+                return {
+                    label: direction.charAt(0).toUpperCase()
+                        + direction.slice(1),
+                    target: room.exits[direction]
+                };
+            });
+            let sceneOptions = Object.assign({}, options, {
+                exits: exits.concat(options.exits || [])
+            });
+            sceneManager.addScene(new Scene(room.id, sceneOptions));
+        }
+    }
+
+    /**
+     * Joins each dead end to a neighbouring room it isn't connected to yet,
+     * except for the fraction of dead ends that are kept.
+     */
+    _joinDeadEnds(map, grid, random) {
+        for (const room of Object.values(map.rooms)) {
+            if (Object.keys(room.exits).length != 1
+                    || room.id == map.startRoomId
+                    || random.randomBooleanWithChance(this.deadEndRatio)) {
+                continue;
+            }
+            let joinable = Object.keys(MapGenerator.DIRECTIONS).filter(
+                (direction) => {
+                    var offset = MapGenerator.DIRECTIONS[direction];
+                    return ! room.exits[direction] && grid.has(
+                        `${room.x + offset.dx},${room.y + offset.dy}`
+                    );
+                }
+            );
+            if (joinable.length > 0) {
+                let direction = random.randomOption(joinable);
+                let offset = MapGenerator.DIRECTIONS[direction];
+                MapGenerator._connect(room, grid.get(
+                    `${room.x + offset.dx},${room.y + offset.dy}`
+                ), direction);
+            }
+        }
+    }
+
+    /**
+     * Picks the exit rooms by weight, and marks the way to the first one as
+     * the main path.
+     */
+    _placeExits(map, random) {
+        var candidates = Object.values(map.rooms).filter((room) => {
+            return room.id != map.startRoomId;
+        });
+        for (let i=0; i<this.numExits && candidates.length > 0; i++) {
+            let room = random.randomOptionWithProbabilityDistribution(
+                MapGenerator._normalize(new Map(candidates.map((candidate) => {
+                    return [candidate, this.getExitWeight(
+                        candidate.distance, candidate
+                    )];
+                })))
+            );
+            if (! room) {
+                break;
+            }
+            map.exitRoomIds.push(room.id);
+            candidates = candidates.filter((candidate) => candidate !== room);
+        }
+
+        var mainPath = (map.exitRoomIds.length > 0) ? MapGenerator.findPath(
+            map, map.startRoomId, map.exitRoomIds[0]
+        ) : [map.startRoomId];
+        for (const roomId of mainPath) {
+            map.rooms[roomId].onMainPath = true;
+        }
+    }
+
+    /**
+     * Places the contents of the rooms (see the placements above.)
+     */
+    _placeContents(map, random) {
+        for (const placement of this.placements) {
+            let weights = (placement.weights instanceof Map) ? (
+                placement.weights
+            ) : new Map(Object.entries(placement.weights));
+            let distribution = MapGenerator._normalize(weights);
+            if (distribution.size == 0) {
+                continue;
+            }
+            let chance = (placement.chance === undefined) ? (
+                0.25
+            ) : placement.chance;
+            for (const room of Object.values(map.rooms)) {
+                if (room.id == map.startRoomId
+                        || ! MapGenerator._matchesWhere(room, placement.where)
+                        || ! random.randomBooleanWithChance(chance)) {
+                    continue;
+                }
+                room.contents.push({
+                    kind: placement.kind,
+                    value: random.randomOptionWithProbabilityDistribution(
+                        distribution
+                    )
+                });
+            }
+        }
+    }
+
+    /**
+     * Whether the room is one of the rooms the placement's `where` allows.
+     */
+    static _matchesWhere(room, where) {
+        if (where == MapGenerator.WHERE.deadEnd) {
+            return Object.keys(room.exits).length == 1;
+        }
+        if (where == MapGenerator.WHERE.mainPath) {
+            return room.onMainPath;
+        }
+        if (where == MapGenerator.WHERE.offPath) {
+            return ! room.onMainPath;
+        }
+        return true;
+    }
+
+    /**
+     * Sets the `distance` of every room, by breadth-first search from the
+     * start.
+     */
+    static _computeDistances(map) {
+        var visited = new Set([map.startRoomId]);
+        var queue = [map.rooms[map.startRoomId]];
+        while (queue.length > 0) {
+            let room = queue.shift();
+            for (const nextId of Object.values(room.exits)) {
+                if (! visited.has(nextId)) {
+                    visited.add(nextId);
+                    map.rooms[nextId].distance = room.distance + 1;
+                    queue.push(map.rooms[nextId]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the directions next to the room that have no room yet.
+     */
+    static _freeDirections(room, grid) {
+        return Object.keys(MapGenerator.DIRECTIONS).filter((direction) => {
+            var offset = MapGenerator.DIRECTIONS[direction];
+            return ! grid.has(`${room.x + offset.dx},${room.y + offset.dy}`);
+        });
+    }
+
+    /**
+     * Connects the two rooms both ways, the second being in the direction
+     * from the first.
+     */
+    static _connect(room, otherRoom, direction) {
+        room.exits[direction] = otherRoom.id;
+        otherRoom.exits[MapGenerator.DIRECTIONS[direction].opposite] = room.id;
+    }
+
+    /**
+     * Normalizes the map of key to weight into a probability distribution,
+     * leaving out keys without weight.
+     */
+    static _normalize(weights) {
+        var total = 0;
+        for (const weight of weights.values()) {
+            total += Math.max(weight, 0);
+        }
+        var distribution = new Map();
+        for (const [key, weight] of weights) {
+            if (weight > 0) {
+                distribution.set(key, weight / total);
+            }
+        }
+        return distribution;
+    }
+}
+
+module.exports = {
+    MapGenerator: MapGenerator
+};
@@ -0,0 +1,347 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var Inventory = require('./Inventory').Inventory;
+
+/**
+ * Constructs a Merchant, which sells items to the player and buys items from
+ * the player, for the player's money (see `Player.money`.) Prices are based
+ * on the items' `value` (see `Item` in GameObjects.js.)
+ *
+ * The merchant's stock is kept in `stock`, an array of
+ * `{item, quantity, maxQuantity, restockQuantity}`, where the quantity can
+ * be `Infinity` for wares that never run out. Every `restockInterval` ticks
+ * (see `tick()`), each entry gets `restockQuantity` more, up to
+ * `maxQuantity`. Items bought from the player are added to the stock, to be
+ * sold back.
+ *
+ * Wares only show up once the player's XP level is high enough: see
+ * `getWares()`.
+ *
+ * The stock can be saved with `toJSON()` and restored with `restore()`,
+ * e.g. as a `SaveManager` section (see SaveSystem.js.)
+ *
+ * A Merchant is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * itemBought -- `{item, quantity, price}`, when the player buys something,
+ *      where the price is the total paid
+ *
+ * itemSold -- `{item, quantity, price}`, when the player sells something
+ *
+ * restocked -- `{}`, when the stock is restocked
+ *
+ * @param name (required)
+ *      the name of the merchant
+ * @param stock (required)
+ *      an array of `{item, quantity, maxQuantity, restockQuantity}`, where
+ *      only the item is required; the quantity defaults to `Infinity`, the
+ *      max quantity to the quantity, and the restock quantity to the max
+ *      quantity (restocking fully)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      buyMultiplier -- the price the player pays, as a multiple of the
+ *          item's value, default 1
+ *
+ *      sellMultiplier -- the price the player gets, as a multiple of the
+ *          item's value, default 0.5
+ *
+ *      getBuyPrice, getSellPrice -- functions that compute the price (per
+ *          item) the player pays or gets instead of the multipliers,
+ *          signature `(Item object, Player object) --> number`
+ *
+ *      buysItem -- a function that decides whether the merchant buys the
+ *          item, signature `(Item object) --> boolean`, by default items
+ *          with a value
+ *
+ *      money -- the money the merchant has to buy items with, default
+ *          `Infinity`
+ *
+ *      levelAllowance -- how many levels above the player's XP level wares
+ *          are still shown, default 0
+ *
+ *      restockInterval -- the number of ticks between restocks, default 0
+ *          (never restock automatically)
+ */
+class Merchant extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        buy: {
+            invalidQuantity: 'invalidQuantity',
+            notInStock: 'notInStock',
+            levelTooLow: 'levelTooLow',
+            insufficientFunds: 'insufficientFunds',
+            inventoryFull: 'inventoryFull',
+            success: 'success'
+        },
+        sell: {
+            invalidQuantity: 'invalidQuantity',
+            doesNotHave: 'doesNotHave',
+            notWanted: 'notWanted',
+            merchantInsufficientFunds: 'merchantInsufficientFunds',
+            success: 'success'
+        }
+    };
+
+    constructor(name, stock, options) {
+        super();
+
+        this.name = name;
+        this.stock = stock.map((entry) => {
+            var quantity = (entry.quantity === undefined) ? (
+                Infinity
+            ) : entry.quantity;
+            var maxQuantity = (entry.maxQuantity === undefined) ? (
+                quantity
+            ) : entry.maxQuantity;
+            return {
+                item: entry.item,
+                quantity: quantity,
+                maxQuantity: maxQuantity,
+                restockQuantity: (entry.restockQuantity === undefined) ? (
+                    maxQuantity
+                ) : entry.restockQuantity
+            };
+        });
+        this.buyMultiplier = 1;
+        this.sellMultiplier = 0.5;
+        this.getBuyPrice = (item, player) => {
+            return Math.ceil(item.value * this.buyMultiplier);
+        };
+        this.getSellPrice = (item, player) => {
+            return Math.floor(item.value * this.sellMultiplier);
+        };
+        this.buysItem = function(item) {
+            return item.value > 0;
+        };
+        this.money = Infinity;
+        this.levelAllowance = 0;
+        this.restockInterval = 0;
+        if (options) {
+            if (options.buyMultiplier !== undefined) {
+                this.buyMultiplier = options.buyMultiplier;
+            }
+            if (options.sellMultiplier !== undefined) {
+                this.sellMultiplier = options.sellMultiplier;
+            }
+            if (options.getBuyPrice) {
+                this.getBuyPrice = options.getBuyPrice;
+            }
+            if (options.getSellPrice) {
+                this.getSellPrice = options.getSellPrice;
+            }
+            if (options.buysItem) {
+                this.buysItem = options.buysItem;
+            }
+            if (options.money !== undefined) {
+                this.money = options.money;
+            }
+            if (options.levelAllowance !== undefined) {
+                this.levelAllowance = options.levelAllowance;
+            }
+            if (options.restockInterval) {
+                this.restockInterval = options.restockInterval;
+            }
+        }
+
+        // ticks since the last restock
+        this.ticks = 0;
+    }
+
+    /**
+     * Returns the stock entries the player can see: those in stock, and
+     * whose item's `xpLevel` is at most the player's XP level (plus the
+     * level allowance.)
+     */
+    getWares(player) {
+        return this.stock.filter((entry) => {
+            return entry.quantity > 0
+                && entry.item.xpLevel <= player.xpLevel + this.levelAllowance;
+        });
+    }
+
+    /**
+     * Returns how many of the item the merchant has.
+     */
+    getQuantity(item) {
+        var entry = this._getEntry(item);
+        return entry ? entry.quantity : 0;
+    }
+
+    /**
+     * The player buys the given quantity (default 1, and otherwise a whole
+     * number above zero) of the item from the merchant. Returns the
+     * appropriate status constant above and changes nothing if not
+     * successful (atomic failure.)
+     */
+    buy(player, item, quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        if (! Inventory.isValidQuantity(quantity)) {
+            return Merchant.STATUS_CONSTANTS.buy.invalidQuantity;
+        }
+        var entry = this._getEntry(item);
+        if (! entry || entry.quantity < quantity) {
+            return Merchant.STATUS_CONSTANTS.buy.notInStock;
+        }
+        if (item.xpLevel > player.xpLevel + this.levelAllowance) {
+            return Merchant.STATUS_CONSTANTS.buy.levelTooLow;
+        }
+        var price = this.getBuyPrice(item, player) * quantity;
+        if (price > player.money) {
+            return Merchant.STATUS_CONSTANTS.buy.insufficientFunds;
+        }
+        if (! player.inventory.canAdd(item, quantity)) {
+            return Merchant.STATUS_CONSTANTS.buy.inventoryFull;
+        }
+
+        player.spendMoney(price);
+        player.addItem(item, quantity);
+        entry.quantity -= quantity;
+        this.money += price;
+        this.emit('itemBought', {
+            item: item,
+            quantity: quantity,
+            price: price
+        });
+        return Merchant.STATUS_CONSTANTS.buy.success;
+    }
+
+    /**
+     * The player sells the given quantity (default 1, and otherwise a whole
+     * number above zero) of the item to the merchant. Returns the
+     * appropriate status constant above and changes nothing if not
+     * successful (atomic failure.)
+     */
+    sell(player, item, quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        if (! Inventory.isValidQuantity(quantity)) {
+            return Merchant.STATUS_CONSTANTS.sell.invalidQuantity;
+        }
+        if (! player.inventory.has(item, quantity)) {
+            return Merchant.STATUS_CONSTANTS.sell.doesNotHave;
+        }
+        if (! this.buysItem(item)) {
+            return Merchant.STATUS_CONSTANTS.sell.notWanted;
+        }
+        var price = this.getSellPrice(item, player) * quantity;
+        if (price > this.money) {
+            return Merchant.STATUS_CONSTANTS.sell.merchantInsufficientFunds;
+        }
+
+        player.removeItem(item, quantity);
+        player.addMoney(price);
+        this.money -= price;
+        var entry = this._getEntry(item);
+        if (entry) {
+            entry.quantity += quantity;
+        }
+        else {
+            this.stock.push({
+                item: item,
+                quantity: quantity,
+                // bought items aren't restocked
+                maxQuantity: 0,
+                restockQuantity: 0
+            });
+        }
+        this.emit('itemSold', {
+            item: item,
+            quantity: quantity,
+            price: price
+        });
+        return Merchant.STATUS_CONSTANTS.sell.success;
+    }
+
+    /**
+     * Counts the given number of ticks (default 1), restocking every
+     * `restockInterval` ticks. What a tick is is up to the game, e.g. a day,
+     * or a scene entered.
+     */
+    tick(numTicks) {
+        if (! this.restockInterval) {
+            return;
+        }
+        this.ticks += (numTicks === undefined) ? 1 : numTicks;
+        while (this.ticks >= this.restockInterval) {
+            this.ticks -= this.restockInterval;
+            this.restock();
+        }
+    }
+
+    /**
+     * Adds each entry's restock quantity, up to its max quantity.
+     */
+    restock() {
+        for (const entry of this.stock) {
+            if (entry.quantity < entry.maxQuantity) {
+                entry.quantity = Math.min(
+                    entry.quantity + entry.restockQuantity, entry.maxQuantity
+                );
+            }
+        }
+        this.emit('restocked', {});
+    }
+
+    /**
+     * Returns the stock, money and ticks as plain JSON-serializable data.
+     * Every item in stock must be registered in a `Registry` (see
+     * Registry.js.)
+     */
+    toJSON() {
+        // JSON has no Infinity, so we save null instead
+        var save = (number) => (number == Infinity) ? null : number;
+        return {
+            stock: this.stock.map((entry) => {
+                if (entry.item.id === undefined || entry.item.id === null) {
+                    throw new Error(
+                        `Item "${entry.item.name}" can't be saved since it `
+                        + 'isn\'t registered'
+                    );
+                }
+                return {
+                    id: entry.item.id,
+                    quantity: save(entry.quantity),
+                    maxQuantity: save(entry.maxQuantity),
+                    restockQuantity: save(entry.restockQuantity)
+                };
+            }),
+            money: save(this.money),
+            ticks: this.ticks
+        };
+    }
+
+    /**
+     * Restores the stock, money and ticks from the data returned by
+     * `toJSON()`, looking the items up in the `Registry` of items.
+     */
+    restore(data, itemRegistry) {
+        var load = (number) => (number === null) ? Infinity : number;
+        this.stock = data.stock.map((saved) => {
+            if (! itemRegistry.has(saved.id)) {
+                throw new Error(`Saved item id "${saved.id}" isn't registered`);
+            }
+            return {
+                item: itemRegistry.get(saved.id),
+                quantity: load(saved.quantity),
+                maxQuantity: load(saved.maxQuantity),
+                restockQuantity: load(saved.restockQuantity)
+            };
+        });
+        this.money = load(data.money);
+        this.ticks = data.ticks;
+    }
+
+    /**
+     * Returns the stock entry of the item, or undefined.
+     */
+    _getEntry(item) {
+        return this.stock.find((entry) => entry.item === item);
+    }
+}
+
+module.exports = {
+    Merchant: Merchant
+};
@@ -0,0 +1,317 @@
+var Animation = require('./Animation').Animation;
+var EventEmitter = require('./EventEmitter').EventEmitter;
+
+// Whether the element (the target of a key event) does something of its own
+// with Space, e.g. typing in a text field, or pressing a button or a
+// selectable block (see `WebUtils.prepareElsAsSelectableBlocks()`.)
+function usesSpace(el) {
+    if (! el || ! el.closest) {
+        return false;
+    }
+    return el.isContentEditable || el.closest(
+        'input, textarea, select, button, [contenteditable], [role="button"], '
+        + '[role="checkbox"], [role="radio"], [role="option"], '
+        + '[role="switch"], [role="tab"], [role="menuitem"]'
+    ) !== null;
+}
+
+/**
+ * Constructs a Narrator, which presents the prose of a text game: it prints
+ * blocks of text into the output element, either with a typewriter effect
+ * (character by character) or a block at a time (fading each paragraph in),
+ * and keeps a log of everything shown.
+ *
+ * Blocks are HTML, the same as `GameObject.description` allows (see
+ * GameObjects.js); the typewriter effect reveals the text inside the HTML
+ * without breaking its tags.
+ *
+ * Clicking the output element (or pressing Space, or calling `skip()`)
+ * shows the rest of the current block at once. Blocks queued with `say()`
+ * are shown one after the other. Space is left alone when it's pressed in a
+ * text field, on a button, or on anything else that uses it.
+ *
+ * The message log is kept in `log` (an array of `{html, time}`), and can be
+ * shown with `renderLog()`, saved with `toJSON()` and restored with
+ * `restore()`, e.g. as a `SaveManager` section (see SaveSystem.js.)
+ *
+ * A Narrator is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * blockStart, blockEnd -- `{html}`, when a block starts and finishes showing
+ *
+ * idle -- `{}`, when every queued block has been shown
+ *
+ * @param outputEl (required)
+ *      the HTML element to print the text into
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      mode -- 'typewriter' or 'paragraph' (fade each block in), default
+ *          'typewriter'
+ *
+ *      speed -- for the typewriter, the number of characters per second,
+ *          default 40 (can be changed later with `setSpeed()`)
+ *
+ *      fadeDuration -- for paragraphs, the fade duration in milliseconds,
+ *          default 600
+ *
+ *      pauseAfterBlock -- the pause after each block before the next one,
+ *          in milliseconds, default 400
+ *
+ *      maxLogSize -- the max number of blocks kept in the log (the oldest
+ *          are dropped), default 500
+ *
+ *      keyTarget -- the element listening for Space, default `document`
+ */
+class Narrator extends EventEmitter {
+    static MODES = {
+        typewriter: 'typewriter',
+        paragraph: 'paragraph'
+    };
+
+    constructor(outputEl, options) {
+        super();
+
+        this.outputEl = outputEl;
+        this.mode = Narrator.MODES.typewriter;
+        this.speed = 40;
+        this.fadeDuration = 600;
+        this.pauseAfterBlock = 400;
+        this.maxLogSize = 500;
+        this.keyTarget = (typeof document != 'undefined') ? document : null;
+        if (options) {
+            if (options.mode) {
+                this.mode = options.mode;
+            }
+            if (options.speed) {
+                this.speed = options.speed;
+            }
+            if (options.fadeDuration !== undefined) {
+                this.fadeDuration = options.fadeDuration;
+            }
+            if (options.pauseAfterBlock !== undefined) {
+                this.pauseAfterBlock = options.pauseAfterBlock;
+            }
+            if (options.maxLogSize) {
+                this.maxLogSize = options.maxLogSize;
+            }
+            if (options.keyTarget) {
+                this.keyTarget = options.keyTarget;
+            }
+        }
+
+        this.log = [];
+        // array of `{html, resolve}` of the blocks waiting to be shown
+        this.queue = [];
+        // the handle of the running animation (or pause), if any
+        this.currentHandle = null;
+        this.busy = false;
+        // set by skipAll() until the queue is empty
+        this._skippingAll = false;
+
+        this._onClick = () => {
+            this.skip();
+        };
+        this._onKeyDown = (e) => {
+            if (e.key == ' ' && this.busy && ! usesSpace(e.target)) {
+                e.preventDefault();
+                this.skip();
+            }
+        };
+        this.outputEl.addEventListener('click', this._onClick);
+        if (this.keyTarget) {
+            this.keyTarget.addEventListener('keydown', this._onKeyDown);
+        }
+    }
+
+    /**
+     * Queues the HTML block to be shown after the blocks before it. Returns
+     * a Promise that resolves once it has been shown.
+     */
+    say(html) {
+        return new Promise((resolve) => {
+            this.queue.push({html: html, resolve: resolve});
+            if (! this.busy) {
+                this._showNext();
+            }
+        });
+    }
+
+    /**
+     * Shows the rest of the current block at once (the next block then
+     * starts as usual.)
+     */
+    skip() {
+        if (this.currentHandle) {
+            this.currentHandle.finish();
+        }
+    }
+
+    /**
+     * Shows every queued block at once.
+     */
+    skipAll() {
+        this._skippingAll = true;
+        this.skip();
+    }
+
+    /**
+     * Whether a block is being shown (or waiting to be.)
+     */
+    isBusy() {
+        return this.busy;
+    }
+
+    /**
+     * Sets the typewriter speed, in characters per second. Takes effect from
+     * the next block.
+     */
+    setSpeed(charactersPerSecond) {
+        this.speed = charactersPerSecond;
+    }
+
+    /**
+     * Clears the output element (the log is kept.)
+     */
+    clear() {
+        this.outputEl.innerHTML = '';
+    }
+
+    /**
+     * Renders the message log into the element (replacing what was there),
+     * as a scrollable list scrolled to the most recent block.
+     */
+    renderLog(logEl) {
+        logEl.innerHTML = '';
+        logEl.style.overflowY = 'auto';
+        logEl.setAttribute('role', 'log');
+        for (const entry of this.log) {
+            let entryEl = document.createElement('div');
+            entryEl.className = 'plawser-narrator-log-entry';
+            entryEl.innerHTML = entry.html;
+            logEl.appendChild(entryEl);
+        }
+        logEl.scrollTop = logEl.scrollHeight;
+    }
+
+    /**
+     * Returns the message log as plain JSON-serializable data.
+     */
+    toJSON() {
+        return this.log.map((entry) => {
+            return {html: entry.html, time: entry.time};
+        });
+    }
+
+    /**
+     * Restores the message log from the data returned by `toJSON()`.
+     */
+    restore(data) {
+        this.log = data.map((entry) => {
+            return {html: entry.html, time: entry.time};
+        });
+    }
+
+    /**
+     * Removes the handlers added by the narrator.
+     */
+    destroy() {
+        this.outputEl.removeEventListener('click', this._onClick);
+        if (this.keyTarget) {
+            this.keyTarget.removeEventListener('keydown', this._onKeyDown);
+        }
+    }
+
+    /**
+     * Shows the next queued block, then the one after, and so on.
+     */
+    async _showNext() {
+        this.busy = true;
+        while (this.queue.length > 0) {
+            let block = this.queue.shift();
+            this._addToLog(block.html);
+            this.emit('blockStart', {html: block.html});
+
+            let blockEl = document.createElement('div');
+            blockEl.className = 'plawser-narrator-block';
+            blockEl.innerHTML = block.html;
+            this.outputEl.appendChild(blockEl);
+
+            this.currentHandle = (this.mode == Narrator.MODES.paragraph) ? (
+                this._fadeIn(blockEl)
+            ) : this._typeOut(blockEl);
+            if (this._skippingAll) {
+                this.currentHandle.finish();
+            }
+            await this.currentHandle;
+            this.outputEl.scrollTop = this.outputEl.scrollHeight;
+            this.emit('blockEnd', {html: block.html});
+            block.resolve();
+
+            if (this.queue.length > 0 && ! this._skippingAll) {
+                this.currentHandle = Animation.wait(this.pauseAfterBlock);
+                await this.currentHandle;
+            }
+        }
+        this.currentHandle = null;
+        this._skippingAll = false;
+        this.busy = false;
+        this.emit('idle', {});
+    }
+
+    /**
+     * Fades the block element in.
+     */
+    _fadeIn(blockEl) {
+        blockEl.style.opacity = 0.0;
+        return Animation.fadeIn(blockEl, {duration: this.fadeDuration});
+    }
+
+    /**
+     * Reveals the text of the block element character by character, keeping
+     * its HTML structure: the text nodes are emptied first, then filled back
+     * in as the animation goes.
+     */
+    _typeOut(blockEl) {
+        var textNodes = [];
+        var walker = document.createTreeWalker(blockEl, NodeFilter.SHOW_TEXT);
+        while (walker.nextNode()) {
+            textNodes.push({
+                node: walker.currentNode,
+                text: walker.currentNode.nodeValue
+            });
+        }
+        var totalLength = 0;
+        for (const textNode of textNodes) {
+            textNode.node.nodeValue = '';
+            totalLength += textNode.text.length;
+        }
+
+        return Animation.animate(null, () => {
+            return (progress) => {
+                var remaining = Math.round(totalLength * progress);
+                for (const textNode of textNodes) {
+                    let shown = Math.min(remaining, textNode.text.length);
+                    textNode.node.nodeValue = textNode.text.slice(0, shown);
+                    remaining -= shown;
+                }
+            };
+        }, {
+            duration: totalLength / this.speed * 1000,
+            easing: 'linear'
+        });
+    }
+
+    /**
+     * Adds the HTML block to the log, dropping the oldest if it's too long.
+     */
+    _addToLog(html) {
+        this.log.push({html: html, time: Date.now()});
+        if (this.log.length > this.maxLogSize) {
+            this.log.splice(0, this.log.length - this.maxLogSize);
+        }
+    }
+}
+
+module.exports = {
+    Narrator: Narrator
+};
@@ -0,0 +1,304 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var Player = require('./Player').Player;
+
+/**
+ * Constructs an Ally, which is a companion who travels and fights alongside
+ * the player as a member of a `Party` (see below.) An ally is a kind of
+ * `Player` (see Player.js), so it has its own skills, items, XP, HP and
+ * status effects, and the same methods and events.
+ *
+ * In a battle (see Battle.js), every ally still standing takes a turn after
+ * the player, via its `act`.
+ *
+ * Like a `GameObject` (see GameObjects.js), an Ally has an `id`, which is null
+ * until it's registered in a `Registry` (see Registry.js); allies must be
+ * registered for the party to be saved.
+ *
+ * The arguments to the constructor are all the same as `Player`, and the
+ * options also include:
+ *
+ *      act -- a function that completes the ally's turn in battle, signature
+ *          `(Ally object, Battle object, member index) --> void`, where the
+ *          member index is the ally's index into the party's `members`; by
+ *          default, it attacks a random enemy still standing for the
+ *          battle's `getAttackDamage()`
+ *
+ *      isProperName -- whether the name is a proper name, default true
+ *
+ *      description -- the description of the ally, where HTML is respected,
+ *          default ''
+ */
+class Ally extends Player {
+    constructor(name, initialSkills, initialXp, getLevelFromXp, initialItems,
+            options) {
+        super(
+            name, initialSkills, initialXp, getLevelFromXp, initialItems,
+            options
+        );
+
+        this.id = null;
+        this.isProperName = true;
+        this.description = '';
+        this.act = function(ally, battle, member) {
+            var targets = battle.getLivingTargets();
+            if (targets.length == 0) {
+                return;
+            }
+            var target = battle.random.randomOption(targets);
+            battle.damageEnemy(target, battle.getAttackDamage(
+                ally, battle.combatants[target].enemy
+            ));
+        };
+        if (options) {
+            if (options.act) {
+                this.act = options.act;
+            }
+            if (options.isProperName !== undefined) {
+                this.isProperName = options.isProperName;
+            }
+            if (options.description) {
+                this.description = options.description;
+            }
+        }
+    }
+}
+
+/**
+ * Constructs a Party, which holds the player and the allies traveling with
+ * them. A battle (see Battle.js) can be fought by a whole party instead of
+ * the player alone: the allies take turns too, enemies attack any member
+ * still standing, and items can be used on any member. The battle is lost
+ * once the player (not an ally) is out of HP.
+ *
+ * The members are in `members`, the player first, then the allies in the
+ * order they joined. Indices into `members` are how battles and `act`
+ * functions refer to party members.
+ *
+ * The XP granted by a won battle is split between the members still
+ * standing according to the `xpSplit` option (see `Party.XP_SPLITS`.)
+ *
+ * Who is in the party (and the allies' own state) can be saved with
+ * `toJSON()` and restored with `restore()`, e.g. as a `SaveManager` section
+ * (see SaveSystem.js); the player is saved separately (see
+ * `Player.toJSON()`.)
+ *
+ * A Party is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * memberAdded, memberRemoved -- `{ally}`, when an ally joins or leaves
+ *
+ * xpGranted -- `{xp, shares}`, when XP is split between the members, where
+ *      shares is an array of `{member, xp}`
+ *
+ * @param player (required)
+ *      the `Player` (see Player.js)
+ * @param allies (optional)
+ *      an array of the `Ally`s that start off in the party, default none
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      maxSize -- the max number of members, counting the player, default
+ *          unlimited
+ *
+ *      xpSplit -- how XP is split, one of `Party.XP_SPLITS`, or a function
+ *          that returns the XP of each member, signature `(number, array of
+ *          members) --> array of numbers`, default 'even'
+ */
+class Party extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        addMember: {
+            alreadyInParty: 'alreadyInParty',
+            partyFull: 'partyFull',
+            success: 'success'
+        },
+        removeMember: {
+            notInParty: 'notInParty',
+            success: 'success'
+        }
+    };
+
+    // The ways XP can be split between the members still standing:
+    //
+    // full -- every member gets all of the XP
+    //
+    // even -- the XP is divided equally (rounded down, with what's left over
+    //      going to the first members)
+    //
+    // byLevel -- the XP is divided in proportion to the members' XP levels
+    //      (rounded down, with what's left over going to the first members)
+    static XP_SPLITS = {
+        full: 'full',
+        even: 'even',
+        byLevel: 'byLevel'
+    };
+
+    constructor(player, allies, options) {
+        super();
+
+        this.player = player;
+        this.allies = allies ? allies.slice() : [];
+        this.maxSize = Infinity;
+        this.xpSplit = Party.XP_SPLITS.even;
+        if (options) {
+            if (options.maxSize) {
+                this.maxSize = options.maxSize;
+            }
+            if (options.xpSplit) {
+                this.xpSplit = options.xpSplit;
+            }
+        }
+    }
+
+    /**
+     * An array of every member: the player first, then the allies.
+     */
+    get members() {
+        return [this.player].concat(this.allies);
+    }
+
+    /**
+     * Returns the members that still have HP left.
+     */
+    getLivingMembers() {
+        return this.members.filter((member) => ! member.isDefeated());
+    }
+
+    /**
+     * Whether the party has lost, i.e. the player is out of HP.
+     */
+    isDefeated() {
+        return this.player.isDefeated();
+    }
+
+    /**
+     * Adds the ally to the party. Returns the appropriate status constant
+     * above.
+     */
+    addMember(ally) {
+        if (this.members.includes(ally)) {
+            return Party.STATUS_CONSTANTS.addMember.alreadyInParty;
+        }
+        if (this.members.length >= this.maxSize) {
+            return Party.STATUS_CONSTANTS.addMember.partyFull;
+        }
+        this.allies.push(ally);
+        this.emit('memberAdded', {ally: ally});
+        return Party.STATUS_CONSTANTS.addMember.success;
+    }
+
+    /**
+     * Removes the ally from the party. Returns the appropriate status
+     * constant above.
+     */
+    removeMember(ally) {
+        var index = this.allies.indexOf(ally);
+        if (index == -1) {
+            return Party.STATUS_CONSTANTS.removeMember.notInParty;
+        }
+        this.allies.splice(index, 1);
+        this.emit('memberRemoved', {ally: ally});
+        return Party.STATUS_CONSTANTS.removeMember.success;
+    }
+
+    /**
+     * Returns how the XP would be split between the members still standing
+     * (see the `xpSplit` option), as an array of `{member, xp}`, without
+     * granting it.
+     */
+    splitXp(xp) {
+        var members = this.getLivingMembers();
+        if (members.length == 0) {
+            return [];
+        }
+        var amounts;
+        if (typeof this.xpSplit == 'function') {
+            amounts = this.xpSplit(xp, members);
+        }
+        else if (this.xpSplit == Party.XP_SPLITS.full) {
+            amounts = members.map(() => xp);
+        }
+        else {
+            let weights = (this.xpSplit == Party.XP_SPLITS.byLevel) ? (
+                members.map((member) => Math.max(member.xpLevel, 0))
+            ) : members.map(() => 1);
+            let totalWeight = weights.reduce((a, b) => a + b, 0) || 1;
+            amounts = weights.map((weight) => {
+                return Math.floor(xp * weight / totalWeight);
+            });
+            // what's left over from rounding down goes to the first members
+            let leftOver = xp - amounts.reduce((a, b) => a + b, 0);
+            for (let i=0; i<leftOver; i++) {
+                amounts[i % amounts.length]++;
+            }
+        }
+        return members.map((member, i) => {
+            return {member: member, xp: amounts[i]};
+        });
+    }
+
+    /**
+     * Splits the XP between the members still standing (see `splitXp()`)
+     * and gives every member their share via `Player.setXp()`. Returns the
+     * shares.
+     */
+    grantXp(xp) {
+        var shares = this.splitXp(xp);
+        for (const share of shares) {
+            if (share.xp != 0) {
+                share.member.setXp(share.member.xp + share.xp);
+            }
+        }
+        this.emit('xpGranted', {xp: xp, shares: shares});
+        return shares;
+    }
+
+    /**
+     * Returns the allies (by id) and their state as plain JSON-serializable
+     * data. Every ally must be registered in a `Registry` (see Registry.js.)
+     */
+    toJSON() {
+        return {
+            allies: this.allies.map((ally) => {
+                if (ally.id === undefined || ally.id === null) {
+                    throw new Error(
+                        `Ally "${ally.name}" can't be saved since it isn't `
+                        + 'registered'
+                    );
+                }
+                return {id: ally.id, state: ally.toJSON()};
+            })
+        };
+    }
+
+    /**
+     * Restores the allies from the data returned by `toJSON()`, looking them
+     * up in the `Registry` of allies and restoring their state (see
+     * `Player.restore()`.)
+     *
+     * @param data (required)
+     *      the data returned by `toJSON()`
+     * @param allyRegistry (required)
+     *      the `Registry` of allies
+     * @param itemRegistry (required)
+     *      the `Registry` of items the allies' items are looked up in
+     * @param statusEffectRegistry (optional)
+     *      the `Registry` of status effects, needed if any were active when
+     *      saved
+     */
+    restore(data, allyRegistry, itemRegistry, statusEffectRegistry) {
+        this.allies = data.allies.map((saved) => {
+            if (! allyRegistry.has(saved.id)) {
+                throw new Error(`Saved ally id "${saved.id}" isn't registered`);
+            }
+            var ally = allyRegistry.get(saved.id);
+            ally.restore(saved.state, itemRegistry, statusEffectRegistry);
+            return ally;
+        });
+    }
+}
+
+module.exports = {
+    Ally: Ally,
+    Party: Party
+};
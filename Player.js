@@ -1,3 +1,8 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var Inventory = require('./Inventory').Inventory;
+var RandomUtils = require('./RandomUtils').RandomUtils;
+var StatusEffectManager = require('./StatusEffects').StatusEffectManager;
+
 /**
  * Constructs a Player, which represents the stats, info, state, and
  * functionality for a player of the game.
@@ -11,12 +16,76 @@
  *      the XP that the player starts off with
  * @param getLevelFromXp (required)
  *      a function that given a numerical XP value computes the corresponding
- *      XP level, signature `(number) --> number`
+ *      XP level, signature `(number) --> number`; or an `XpCurve` (see
+ *      XpCurve.js), which also lets `xpToNextLevel()` and
+ *      `getLevelProgress()` work
  * @param initialItems (required)
  *      an array of `Item`s that the player starts off with (see
  *      GameObjects.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      maxHp -- the max HP of the player, which the player also starts off
+ *          with, default 10
+ *
+ *      inventoryCapacity -- the max number of item stacks the player can
+ *          carry, default unlimited (see Inventory.js)
+ *
+ *      equipmentSlots -- an array of the names of the player's equipment
+ *          slots, default `Inventory.DEFAULT_SLOTS`
+ *
+ *      random -- the `RandomUtils` instance skill checks roll with (see
+ *          RandomUtils.js), default the default instance
+ *
+ *      money -- the money the player starts off with, default 0
+ *
+ *      skillPointsPerLevel -- the unspent skill points the player gets for
+ *          every level gained, either a number or a function of the new
+ *          level, signature `(number) --> number`, default 0
+ *
+ * The player's items are kept in `inventory`, an `Inventory` (see
+ * Inventory.js); `items` is an array of the carried items, for convenience.
+ *
+ * The player's temporary status effects (e.g. poisoned, or a strength buff)
+ * are kept in `statusEffects`, a `StatusEffectManager` (see
+ * StatusEffects.js.) They don't change the base skill values in `skills`;
+ * use `getSkillValue()` for the value with the effects applied.
+ *
+ * Skill points gained by leveling up are kept in `unspentSkillPoints` until
+ * they're spent on skills with `spendSkillPoints()` (see also
+ * SkillPointAllocator.js for a UI to spend them.)
+ *
+ * A Player is an `EventEmitter` (see EventEmitter.js), so the UI can bind to
+ * changes instead of polling. The following events are emitted when the
+ * instance methods below change the player's state:
+ *
+ * xpChanged -- `{oldXp, newXp}`
+ *
+ * levelUp, levelDown -- `{oldLevel, newLevel}`, when the XP level goes up or
+ *      down
+ *
+ * skillPointsGained -- `{amount, unspentSkillPoints}`, when leveling up
+ *      grants skill points
+ *
+ * hpChanged -- `{oldHp, newHp}`
+ *
+ * moneyChanged -- `{oldMoney, newMoney}`
+ *
+ * skillAdded -- `{skillName, description, value}`
+ *
+ * skillImproved -- `{skillName, oldValue, newValue}`
+ *
+ * skillPointsSpent -- `{skillName, amount, unspentSkillPoints}`
+ *
+ * itemAdded, itemRemoved -- `{item, quantity}`
+ *
+ * itemUsed -- `{item}`
+ *
+ * itemEquipped, itemUnequipped -- `{item, slot}`
+ *
+ * skillChecked -- the result of `check()`
  */
-class Player {
+class Player extends EventEmitter {
     // Status constants returned by the instance methods to indicate status
     // (success, failure, etc.) of the operation.
     static STATUS_CONSTANTS = {
@@ -27,16 +96,88 @@ class Player {
         improveSkill: {
             doesNotExist: 'doesNotExist',
             success: 'success'
-        }
+        },
+        spendMoney: {
+            insufficientFunds: 'insufficientFunds',
+            success: 'success'
+        },
+        spendSkillPoints: {
+            doesNotExist: 'doesNotExist',
+            notEnoughPoints: 'notEnoughPoints',
+            success: 'success'
+        },
+        addItem: Inventory.STATUS_CONSTANTS.add,
+        removeItem: Inventory.STATUS_CONSTANTS.remove,
+        useItem: Inventory.STATUS_CONSTANTS.use,
+        equip: Inventory.STATUS_CONSTANTS.equip,
+        unequip: Inventory.STATUS_CONSTANTS.unequip
     };
 
-    constructor(name, initialSkills, initialXp, getLevelFromXp, initialItems) {
+    // The kinds of critical results of `check()`.
+    static CRITICALS = {
+        success: 'success',
+        failure: 'failure'
+    };
+
+    constructor(name, initialSkills, initialXp, getLevelFromXp, initialItems,
+            options) {
+        super();
+
+        var maxHp = 10;
+        var inventoryOptions = {};
+        // the class itself, so that its static methods use whatever the
+        // default instance is at the time
+        this.random = RandomUtils;
+        this.skillPointsPerLevel = 0;
+        var money = 0;
+        if (options) {
+            if (options.maxHp !== undefined) {
+                maxHp = options.maxHp;
+            }
+            if (options.inventoryCapacity !== undefined) {
+                inventoryOptions.capacity = options.inventoryCapacity;
+            }
+            if (options.equipmentSlots) {
+                inventoryOptions.slots = options.equipmentSlots;
+            }
+            if (options.random) {
+                this.random = options.random;
+            }
+            if (options.skillPointsPerLevel) {
+                this.skillPointsPerLevel = options.skillPointsPerLevel;
+            }
+            if (options.money) {
+                money = options.money;
+            }
+        }
+
         this.name = name;
         this.skills = initialSkills;
         this.xp = initialXp;
+        // the XpCurve, if we were given one instead of a function
+        this.xpCurve = null;
+        if (typeof getLevelFromXp != 'function') {
+            this.xpCurve = getLevelFromXp;
+            getLevelFromXp = this.xpCurve.getLevelFromXp;
+        }
         this.getLevelFromXp = getLevelFromXp;
         this.xpLevel = this.recalculateXpLevel();
-        this.items = initialItems;
+        this.unspentSkillPoints = 0;
+        this.inventory = new Inventory(initialItems, inventoryOptions);
+        this.maxHp = maxHp;
+        this.hp = maxHp;
+        this.money = money;
+        this.statusEffects = new StatusEffectManager(this, (amount) => {
+            this.setHp(this.hp + amount);
+        });
+    }
+
+    /**
+     * An array of the items the player is carrying (not counting equipped
+     * ones), where an item appears as many times as its quantity.
+     */
+    get items() {
+        return this.inventory.getItems();
     }
 
     /**
@@ -51,8 +192,93 @@ class Player {
      * Sets the XP value, and auto-recalculates and sets XP level too.
      */
     setXp(newXp) {
+        var oldXp = this.xp;
+        var oldLevel = this.xpLevel;
         this.xp = newXp;
         this.xpLevel = this.recalculateXpLevel();
+
+        if (oldXp != newXp) {
+            this.emit('xpChanged', {oldXp: oldXp, newXp: newXp});
+        }
+        if (this.xpLevel > oldLevel) {
+            this.emit('levelUp', {oldLevel: oldLevel, newLevel: this.xpLevel});
+            this._grantSkillPoints(oldLevel, this.xpLevel);
+        }
+        else if (this.xpLevel < oldLevel) {
+            this.emit('levelDown', {
+                oldLevel: oldLevel,
+                newLevel: this.xpLevel
+            });
+        }
+    }
+
+    /**
+     * Returns the XP still needed to reach the next level (0 at the max
+     * level), or undefined if the player wasn't given an `XpCurve`.
+     */
+    xpToNextLevel() {
+        if (! this.xpCurve) {
+            return undefined;
+        }
+        return this.xpCurve.xpToNextLevel(this.xp);
+    }
+
+    /**
+     * Returns how far the player is from the current level to the next, as a
+     * percentage (0 to 100), or undefined if the player wasn't given an
+     * `XpCurve`.
+     */
+    getLevelProgress() {
+        if (! this.xpCurve) {
+            return undefined;
+        }
+        return this.xpCurve.getProgressPercentage(this.xp);
+    }
+
+    /**
+     * Sets the HP value, clamped between 0 and the max HP.
+     */
+    setHp(newHp) {
+        var oldHp = this.hp;
+        this.hp = Math.min(Math.max(newHp, 0), this.maxHp);
+        if (oldHp != this.hp) {
+            this.emit('hpChanged', {oldHp: oldHp, newHp: this.hp});
+        }
+    }
+
+    /**
+     * Adds the amount of money (negative to take some away, but never below
+     * 0.)
+     */
+    addMoney(amount) {
+        var oldMoney = this.money;
+        this.money = Math.max(this.money + amount, 0);
+        if (oldMoney != this.money) {
+            this.emit('moneyChanged', {
+                oldMoney: oldMoney,
+                newMoney: this.money
+            });
+        }
+    }
+
+    /**
+     * Spends the amount of money. Returns the appropriate status constant
+     * above and spends nothing if the player doesn't have enough (atomic
+     * failure.)
+     */
+    spendMoney(amount) {
+        if (amount > this.money) {
+            return Player.STATUS_CONSTANTS.spendMoney.insufficientFunds;
+        }
+        this.addMoney(-amount);
+        return Player.STATUS_CONSTANTS.spendMoney.success;
+    }
+
+    /**
+     * Whether the player has run out of HP.
+     */
+    isDefeated() {
+        return this.hp <= 0;
     }
 
     /**
@@ -61,7 +287,7 @@ class Player {
      * Otherwise, adds the skill and initializes the skill points for it.
      */
     addSkill(skillName, skillDescription, skillPoints) {
-        if (this.playerStats.customSkills.has(skillName)) {
+        if (this.skills.has(skillName)) {
             return Player.STATUS_CONSTANTS.addSkill.alreadyExists;
         }
 
@@ -69,9 +295,108 @@ class Player {
             description: skillDescription,
             value: skillPoints
         });
+        this.emit('skillAdded', {
+            skillName: skillName,
+            description: skillDescription,
+            value: skillPoints
+        });
         return Player.STATUS_CONSTANTS.addSkill.success;
     }
     
+    /**
+     * Returns the current value of the skill: its base value plus the
+     * modifiers of the active status effects. Returns undefined if the
+     * player doesn't have the skill.
+     */
+    getSkillValue(skillName) {
+        if (! this.skills.has(skillName)) {
+            return undefined;
+        }
+        return this.skills.get(skillName).value
+            + this.statusEffects.getSkillModifier(skillName);
+    }
+
+    /**
+     * Makes a skill check: rolls the dice, adds the skill's value (see
+     * `getSkillValue()`; 0 if the player doesn't have the skill) and any
+     * extra modifier, and compares the total against the difficulty. The
+     * check succeeds if the total is at least the difficulty.
+     *
+     * If every die rolled its max (before exploding), that's a critical
+     * success, which always succeeds; if every die rolled 1, that's a
+     * critical failure, which always fails.
+     *
+     * Returns `{skillName, difficulty, roll, skillValue, modifier, total,
+     * margin, success, critical}`, where `roll` is what `RandomUtils.roll()`
+     * returns, `margin` is the total minus the difficulty, and `critical` is
+     * one of `Player.CRITICALS` or null.
+     *
+     * @param skillName (required)
+     *      the name of the skill to check
+     * @param difficulty (required)
+     *      the total needed to succeed
+     * @param options (optional)
+     *      an object with any of the following:
+     *
+     *      dice -- the dice notation to roll, default '1d20'
+     *
+     *      advantage, disadvantage -- see `RandomUtils.roll()`
+     *
+     *      modifier -- an extra number added to the total, default 0
+     *
+     *      random -- the `RandomUtils` instance to roll with, default the
+     *          player's
+     */
+    check(skillName, difficulty, options) {
+        var dice = '1d20';
+        var modifier = 0;
+        var random = this.random;
+        var rollOptions = {};
+        if (options) {
+            if (options.dice) {
+                dice = options.dice;
+            }
+            if (options.modifier) {
+                modifier = options.modifier;
+            }
+            if (options.random) {
+                random = options.random;
+            }
+            rollOptions.advantage = options.advantage;
+            rollOptions.disadvantage = options.disadvantage;
+        }
+
+        var roll = random.roll(dice, rollOptions);
+        var skillValue = this.getSkillValue(skillName) || 0;
+        var total = roll.total + skillValue + modifier;
+        var critical = null;
+        if (roll.dice.length > 0) {
+            if (roll.dice.every((die) => die.rolls[0] == die.sides)) {
+                critical = Player.CRITICALS.success;
+            }
+            else if (roll.dice.every((die) => die.rolls[0] == 1)) {
+                critical = Player.CRITICALS.failure;
+            }
+        }
+        var success = (critical == Player.CRITICALS.success) || (
+            critical != Player.CRITICALS.failure && total >= difficulty
+        );
+
+        var result = {
+            skillName: skillName,
+            difficulty: difficulty,
+            roll: roll,
+            skillValue: skillValue,
+            modifier: modifier,
+            total: total,
+            margin: total - difficulty,
+            success: success,
+            critical: critical
+        };
+        this.emit('skillChecked', result);
+        return result;
+    }
+
     /**
      * Improve a skill by the given amount. Returns the appropriate status
      * constant.
@@ -86,8 +411,267 @@ class Player {
             description: description,
             value: oldValue + improvePoints
         });
+        this.emit('skillImproved', {
+            skillName: skillName,
+            oldValue: oldValue,
+            newValue: oldValue + improvePoints
+        });
         return Player.STATUS_CONSTANTS.improveSkill.success;
     }
+
+    /**
+     * Spends the given number (default 1) of unspent skill points on the
+     * skill, improving it by that much (see `improveSkill()`.) Returns the
+     * appropriate status constant above and fails completely if not
+     * successful (atomic failure.)
+     */
+    spendSkillPoints(skillName, points) {
+        if (points === undefined) {
+            points = 1;
+        }
+        if (! this.skills.has(skillName)) {
+            return Player.STATUS_CONSTANTS.spendSkillPoints.doesNotExist;
+        }
+        if (points > this.unspentSkillPoints) {
+            return Player.STATUS_CONSTANTS.spendSkillPoints.notEnoughPoints;
+        }
+        this.unspentSkillPoints -= points;
+        this.improveSkill(skillName, points);
+        this.emit('skillPointsSpent', {
+            skillName: skillName,
+            amount: points,
+            unspentSkillPoints: this.unspentSkillPoints
+        });
+        return Player.STATUS_CONSTANTS.spendSkillPoints.success;
+    }
+
+    /**
+     * Grants the skill points for every level gained (see the
+     * `skillPointsPerLevel` option.)
+     */
+    _grantSkillPoints(oldLevel, newLevel) {
+        var amount = 0;
+        for (let level=oldLevel + 1; level<=newLevel; level++) {
+            amount += (typeof this.skillPointsPerLevel == 'function') ? (
+                this.skillPointsPerLevel(level)
+            ) : this.skillPointsPerLevel;
+        }
+        if (amount > 0) {
+            this.unspentSkillPoints += amount;
+            this.emit('skillPointsGained', {
+                amount: amount,
+                unspentSkillPoints: this.unspentSkillPoints
+            });
+        }
+    }
+
+    /**
+     * Adds the given quantity (default 1) of the item to the inventory.
+     * Returns the appropriate status constant above.
+     */
+    addItem(item, quantity) {
+        var status = this.inventory.add(item, quantity);
+        if (status == Player.STATUS_CONSTANTS.addItem.success) {
+            this.emit('itemAdded', {item: item, quantity: quantity || 1});
+        }
+        return status;
+    }
+
+    /**
+     * Removes the given quantity (default 1) of the item from the inventory.
+     * Returns the appropriate status constant above.
+     */
+    removeItem(item, quantity) {
+        var status = this.inventory.remove(item, quantity);
+        if (status == Player.STATUS_CONSTANTS.removeItem.success) {
+            this.emit('itemRemoved', {item: item, quantity: quantity || 1});
+        }
+        return status;
+    }
+
+    /**
+     * Uses the item, if the player's XP level is high enough, calling its
+     * `act` with this player and any extra arguments given (e.g. the
+     * `Battle`.) Returns the appropriate status constant above.
+     */
+    useItem(item, ...actArgs) {
+        var status = this.inventory.use(item, this, ...actArgs);
+        if (status == Player.STATUS_CONSTANTS.useItem.success) {
+            if (item.consumable) {
+                this.emit('itemRemoved', {item: item, quantity: 1});
+            }
+            this.emit('itemUsed', {item: item});
+        }
+        return status;
+    }
+
+    /**
+     * Uses one of this player's items on another member of the party (see
+     * Party.js), e.g. a potion on an ally: same as `useItem()`, but the
+     * item's `act` is called with the member instead of this player. The XP
+     * level needed is checked against this player.
+     */
+    useItemOn(member, item, ...actArgs) {
+        if (! this.inventory.has(item)) {
+            return Player.STATUS_CONSTANTS.useItem.doesNotHave;
+        }
+        if (this.xpLevel < item.xpLevel) {
+            return Player.STATUS_CONSTANTS.useItem.levelTooLow;
+        }
+        if (item.consumable) {
+            this.inventory.remove(item);
+            this.emit('itemRemoved', {item: item, quantity: 1});
+        }
+        item.act(member, ...actArgs);
+        this.emit('itemUsed', {item: item});
+        return Player.STATUS_CONSTANTS.useItem.success;
+    }
+
+    /**
+     * Equips the item in its slot, if the player's XP level is high enough.
+     * Returns the appropriate status constant above.
+     */
+    equip(item) {
+        var previous = this.inventory.getEquipped(item.slot);
+        var status = this.inventory.equip(item, this);
+        if (status == Player.STATUS_CONSTANTS.equip.success) {
+            if (previous) {
+                this.emit('itemUnequipped', {item: previous, slot: item.slot});
+            }
+            this.emit('itemEquipped', {item: item, slot: item.slot});
+        }
+        return status;
+    }
+
+    /**
+     * Unequips the item in the given slot. Returns the appropriate status
+     * constant above.
+     */
+    unequip(slot) {
+        var item = this.inventory.getEquipped(slot);
+        var status = this.inventory.unequip(slot);
+        if (status == Player.STATUS_CONSTANTS.unequip.success) {
+            this.emit('itemUnequipped', {item: item, slot: slot});
+        }
+        return status;
+    }
+
+    /**
+     * Returns the player as plain JSON-serializable data (also used by
+     * `JSON.stringify`.) The skills `Map` is saved as an array of entries,
+     * and items are saved by their `id`, so every item must be registered in
+     * a `Registry` (see Registry.js), as must every active status effect.
+     * The `getLevelFromXp` function can't be saved, so it has to be passed
+     * back in to `Player.fromJSON()`.
+     */
+    toJSON() {
+        var getId = (item) => {
+            if (item.id === undefined || item.id === null) {
+                throw new Error(
+                    `Item "${item.name}" can't be saved since it isn't `
+                    + 'registered'
+                );
+            }
+            return item.id;
+        };
+        var equipment = {};
+        for (const [slot, item] of this.inventory.equipment) {
+            equipment[slot] = item ? getId(item) : null;
+        }
+
+        return {
+            name: this.name,
+            skills: Array.from(this.skills.entries()),
+            xp: this.xp,
+            unspentSkillPoints: this.unspentSkillPoints,
+            hp: this.hp,
+            maxHp: this.maxHp,
+            money: this.money,
+            items: this.items.map(getId),
+            equipment: equipment,
+            statusEffects: this.statusEffects.toJSON()
+        };
+    }
+
+    /**
+     * Restores this player's state from the data returned by `toJSON()`
+     * (everything but the functions, which stay as they are), without
+     * emitting events. This is how an existing object such as an `Ally` (see
+     * Party.js) is loaded; `Player.fromJSON()` builds a new one.
+     *
+     * @param data (required)
+     *      the data returned by `toJSON()`
+     * @param itemRegistry (required)
+     *      the `Registry` of items to look the saved item ids up in (see
+     *      Registry.js)
+     * @param statusEffectRegistry (optional)
+     *      the `Registry` of status effects, needed if any were active when
+     *      saved
+     */
+    restore(data, itemRegistry, statusEffectRegistry) {
+        var getItem = (id) => {
+            if (! itemRegistry.has(id)) {
+                throw new Error(`Saved item id "${id}" isn't registered`);
+            }
+            return itemRegistry.get(id);
+        };
+        this.name = data.name;
+        this.skills = new Map(data.skills);
+        this.xp = data.xp;
+        this.xpLevel = this.recalculateXpLevel();
+        this.unspentSkillPoints = data.unspentSkillPoints || 0;
+        // older saves don't have the max HP
+        if (data.maxHp !== undefined) {
+            this.maxHp = data.maxHp;
+        }
+        this.hp = Math.min(Math.max(data.hp, 0), this.maxHp);
+        this.money = data.money || 0;
+        this.inventory = new Inventory(data.items.map(getItem), {
+            capacity: this.inventory.capacity,
+            slots: this.inventory.slots
+        });
+        if (data.equipment) {
+            for (const slot of Object.keys(data.equipment)) {
+                if (data.equipment[slot] !== null
+                        && this.inventory.equipment.has(slot)) {
+                    this.inventory.equipment.set(
+                        slot, getItem(data.equipment[slot])
+                    );
+                }
+            }
+        }
+        this.statusEffects.restore(
+            data.statusEffects || [], statusEffectRegistry
+        );
+    }
+
+    /**
+     * Rebuilds a Player from the data returned by `toJSON()`.
+     *
+     * @param data (required)
+     *      the data returned by `toJSON()`
+     * @param getLevelFromXp (required)
+     *      same as the constructor argument, since functions can't be saved
+     * @param itemRegistry (required)
+     *      the `Registry` of items to look the saved item ids up in (see
+     *      Registry.js)
+     * @param options (optional)
+     *      same as the constructor argument (except `maxHp` and `money`,
+     *      which are saved),
+     *      and also:
+     *
+     *      statusEffectRegistry -- the `Registry` of status effects, needed
+     *          if any were active when saved
+     */
+    static fromJSON(data, getLevelFromXp, itemRegistry, options) {
+        var player = new Player(
+            data.name, new Map(), 0, getLevelFromXp, [], options
+        );
+        player.restore(
+            data, itemRegistry, options && options.statusEffectRegistry
+        );
+        return player;
+    }
 }
 
 module.exports = {
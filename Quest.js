@@ -0,0 +1,482 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var Player = require('./Player').Player;
+
+/**
+ * Constructs a Quest, which is a definition of a task the player can take
+ * on, made up of one or more objectives. The player's progress on quests is
+ * kept by a `QuestLog` (below), so the same Quest can be shared.
+ *
+ * Every objective is an object with:
+ *
+ * type -- one of `Quest.OBJECTIVE_TYPES`: 'defeat' (defeat an enemy),
+ *      'obtain' (obtain an item), 'visit' (enter a scene) or 'custom' (any
+ *      other game event, reported with `QuestLog.notify()`)
+ *
+ * target -- what has to be defeated/obtained/visited: the `id` (or, if it
+ *      isn't registered, the `name`) of the enemy or item, the id of the
+ *      scene, or the name of the custom event
+ *
+ * count (optional) -- how many times, default 1
+ *
+ * description (optional) -- the description shown in the quest log
+ *
+ * For example, "defeat 3 goblins, then bring the amulet to the priest":
+ *
+ * ```
+ *  new Quest('amulet', {
+ *      title: 'The Lost Amulet',
+ *      objectives: [
+ *          {type: 'defeat', target: 'goblin', count: 3},
+ *          {type: 'obtain', target: 'amulet'},
+ *          {type: 'custom', target: 'amuletReturned'}
+ *      ],
+ *      rewards: {xp: 100, items: [{id: 'potion', quantity: 2}]}
+ *  });
+ * ```
+ *
+ * @param id (required)
+ *      the unique string id of the quest
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      title -- the title of the quest
+ *
+ *      description -- the description of the quest, where HTML is respected
+ *
+ *      objectives -- the array of objectives, as above
+ *
+ *      ordered -- whether the objectives are steps that must be done in
+ *          order (progress only counts towards the first unfinished one),
+ *          default true
+ *
+ *      rewards -- an object with `xp` (the XP granted) and/or `items` (an
+ *          array of `{id, quantity}` of the items granted, quantity
+ *          optional), paid when the quest is completed
+ */
+class Quest {
+    static OBJECTIVE_TYPES = {
+        defeat: 'defeat',
+        obtain: 'obtain',
+        visit: 'visit',
+        custom: 'custom'
+    };
+
+    constructor(id, options) {
+        this.id = id;
+        this.title = '';
+        this.description = '';
+        this.objectives = [];
+        this.ordered = true;
+        this.rewards = {};
+        if (options) {
+            if (options.title) {
+                this.title = options.title;
+            }
+            if (options.description) {
+                this.description = options.description;
+            }
+            if (options.objectives) {
+                this.objectives = options.objectives;
+            }
+            if (options.ordered !== undefined) {
+                this.ordered = options.ordered;
+            }
+            if (options.rewards) {
+                this.rewards = options.rewards;
+            }
+        }
+    }
+}
+
+/**
+ * Constructs a QuestLog, which keeps track of the player's quests and their
+ * progress, and pays the rewards when a quest is completed.
+ *
+ * Progress is tracked automatically from game events: the player's
+ * `itemAdded` events are tracked from the start, and battles and the scene
+ * manager can be tracked with `trackBattle()` and `trackSceneManager()`.
+ * Anything else can be reported with `notify()`. Items the player already
+ * carries count towards an 'obtain' objective as soon as it's being worked
+ * on (when the quest starts, or for an ordered quest, once the steps before
+ * it are done.)
+ *
+ * The quest log can be saved with `toJSON()` and restored with `restore()`,
+ * e.g. as a `SaveManager` section (see SaveSystem.js), alongside the player.
+ * If loading replaces the player (e.g. with `Player.fromJSON()`) rather than
+ * restoring it in place (with `Player.restore()`), call `setPlayer()` with
+ * the new one, or its items stop counting.
+ *
+ * A QuestLog is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * questStarted, questCompleted, questFailed -- `{quest}`
+ *
+ * objectiveProgress -- `{quest, objectiveIndex, progress}`, when progress is
+ *      made on an objective
+ *
+ * objectiveCompleted -- `{quest, objectiveIndex}`
+ *
+ * rewardNotGranted -- `{quest, item, quantity}`, when a reward item doesn't
+ *      fit in the player's inventory (e.g. so the game can leave it
+ *      somewhere to be picked up later)
+ *
+ * @param player (required)
+ *      the `Player` (see Player.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      questRegistry -- the `Registry` of quests (see Registry.js), needed to
+ *          restore a saved quest log
+ *
+ *      itemRegistry -- the `Registry` of items, needed for item rewards
+ */
+class QuestLog extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        start: {
+            alreadyStarted: 'alreadyStarted',
+            success: 'success'
+        },
+        fail: {
+            notActive: 'notActive',
+            success: 'success'
+        }
+    };
+
+    static QUEST_STATUSES = {
+        active: 'active',
+        completed: 'completed',
+        failed: 'failed'
+    };
+
+    constructor(player, options) {
+        super();
+
+        this.player = player;
+        this.questRegistry = null;
+        this.itemRegistry = null;
+        if (options) {
+            if (options.questRegistry) {
+                this.questRegistry = options.questRegistry;
+            }
+            if (options.itemRegistry) {
+                this.itemRegistry = options.itemRegistry;
+            }
+        }
+
+        // map of quest id to `{quest, status, progress}`, where progress is
+        // an array of the count done for each objective
+        this.entries = new Map();
+
+        this._unsubscribe = null;
+        this.setPlayer(player);
+    }
+
+    /**
+     * Follows the given player's items from now on instead of the previous
+     * player's, e.g. after loading a saved game replaced the player.
+     */
+    setPlayer(player) {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+        }
+        this.player = player;
+        this._unsubscribe = this.player.on('itemAdded', (data) => {
+            this.notify(
+                Quest.OBJECTIVE_TYPES.obtain, data.item, data.quantity
+            );
+        });
+    }
+
+    /**
+     * Stops following the player's items.
+     */
+    destroy() {
+        if (this._unsubscribe) {
+            this._unsubscribe();
+            this._unsubscribe = null;
+        }
+    }
+
+    /**
+     * Tracks the `enemyDefeated` events of the `Battle` (see Battle.js.)
+     * Returns a function that stops tracking when called.
+     */
+    trackBattle(battle) {
+        return battle.on('enemyDefeated', (data) => {
+            this.notify(Quest.OBJECTIVE_TYPES.defeat, data.enemy);
+        });
+    }
+
+    /**
+     * Tracks the `sceneEnter` events of the `SceneManager` (see Scene.js.)
+     * Returns a function that stops tracking when called.
+     */
+    trackSceneManager(sceneManager) {
+        return sceneManager.on('sceneEnter', (data) => {
+            this.notify(Quest.OBJECTIVE_TYPES.visit, data.sceneId);
+        });
+    }
+
+    /**
+     * Starts the quest. Returns the appropriate status constant above.
+     */
+    start(quest) {
+        if (this.entries.has(quest.id)) {
+            return QuestLog.STATUS_CONSTANTS.start.alreadyStarted;
+        }
+        this.entries.set(quest.id, {
+            quest: quest,
+            status: QuestLog.QUEST_STATUSES.active,
+            progress: quest.objectives.map(() => 0)
+        });
+        this.emit('questStarted', {quest: quest});
+        this._countCarriedItems(this.entries.get(quest.id));
+        return QuestLog.STATUS_CONSTANTS.start.success;
+    }
+
+    /**
+     * Fails the active quest with the given id (e.g. when the quest-giver
+     * dies.) Returns the appropriate status constant above.
+     */
+    fail(questId) {
+        var entry = this.entries.get(questId);
+        if (! entry || entry.status != QuestLog.QUEST_STATUSES.active) {
+            return QuestLog.STATUS_CONSTANTS.fail.notActive;
+        }
+        entry.status = QuestLog.QUEST_STATUSES.failed;
+        this.emit('questFailed', {quest: entry.quest});
+        return QuestLog.STATUS_CONSTANTS.fail.success;
+    }
+
+    /**
+     * Reports that something happened in the game (the given quantity of
+     * times, default 1), making progress on the matching objectives of the
+     * active quests.
+     *
+     * @param type (required)
+     *      one of `Quest.OBJECTIVE_TYPES`
+     * @param target (required)
+     *      the enemy or item (or its id), the scene id, or the custom event
+     *      name
+     * @param quantity (optional)
+     *      default 1
+     */
+    notify(type, target, quantity) {
+        quantity = quantity || 1;
+        var targetIds = [target];
+        if (target !== null && typeof target == 'object') {
+            targetIds = [target.id, target.name];
+        }
+
+        // copy first, since completing a quest can grant items, which
+        // notifies again
+        for (const entry of Array.from(this.entries.values())) {
+            if (entry.status != QuestLog.QUEST_STATUSES.active) {
+                continue;
+            }
+            let objectives = entry.quest.objectives;
+            for (let i=0; i<objectives.length; i++) {
+                let count = objectives[i].count || 1;
+                if (entry.progress[i] >= count) {
+                    continue;
+                }
+                if (objectives[i].type == type
+                        && targetIds.indexOf(objectives[i].target) != -1) {
+                    this._makeProgress(entry, i, quantity);
+                }
+                if (entry.quest.ordered) {
+                    // only the first unfinished objective counts
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Returns the entry `{quest, status, progress}` for the quest with the
+     * given id, or undefined if it hasn't been started.
+     */
+    getEntry(questId) {
+        return this.entries.get(questId);
+    }
+
+    /**
+     * Returns an array of the entries `{quest, status, progress}` of the
+     * active quests.
+     */
+    getActive() {
+        return this._getWithStatus(QuestLog.QUEST_STATUSES.active);
+    }
+
+    /**
+     * Returns an array of the entries of the completed quests.
+     */
+    getCompleted() {
+        return this._getWithStatus(QuestLog.QUEST_STATUSES.completed);
+    }
+
+    /**
+     * Returns an array of the entries of the failed quests.
+     */
+    getFailed() {
+        return this._getWithStatus(QuestLog.QUEST_STATUSES.failed);
+    }
+
+    /**
+     * Returns the quest log as plain JSON-serializable data.
+     */
+    toJSON() {
+        return Array.from(this.entries.values()).map((entry) => {
+            return {
+                id: entry.quest.id,
+                status: entry.status,
+                progress: entry.progress.slice()
+            };
+        });
+    }
+
+    /**
+     * Restores the quest log from the data returned by `toJSON()`, replacing
+     * the current entries. Needs the `questRegistry` option.
+     */
+    restore(data) {
+        this.entries = new Map();
+        for (const saved of data) {
+            if (! this.questRegistry || ! this.questRegistry.has(saved.id)) {
+                throw new Error(
+                    `Saved quest id "${saved.id}" isn't registered`
+                );
+            }
+            this.entries.set(saved.id, {
+                quest: this.questRegistry.get(saved.id),
+                status: saved.status,
+                progress: saved.progress.slice()
+            });
+        }
+    }
+
+    /**
+     * Adds to the progress of the entry's objective at the given index, and
+     * completes the quest if every objective is done.
+     */
+    _makeProgress(entry, objectiveIndex, quantity) {
+        var count = entry.quest.objectives[objectiveIndex].count || 1;
+        entry.progress[objectiveIndex] = Math.min(
+            entry.progress[objectiveIndex] + quantity, count
+        );
+        this.emit('objectiveProgress', {
+            quest: entry.quest,
+            objectiveIndex: objectiveIndex,
+            progress: entry.progress[objectiveIndex]
+        });
+        if (entry.progress[objectiveIndex] < count) {
+            return;
+        }
+
+        this.emit('objectiveCompleted', {
+            quest: entry.quest,
+            objectiveIndex: objectiveIndex
+        });
+        var allDone = entry.quest.objectives.every((objective, i) => {
+            return entry.progress[i] >= (objective.count || 1);
+        });
+        if (allDone) {
+            this._complete(entry);
+        }
+        else if (entry.quest.ordered) {
+            // on to the next step
+            this._countCarriedItems(entry);
+        }
+    }
+
+    /**
+     * Counts the items the player already carries towards the entry's
+     * 'obtain' objectives being worked on (for an ordered quest, just the
+     * first unfinished one), since they were obtained before they counted.
+     */
+    _countCarriedItems(entry) {
+        var objectives = entry.quest.objectives;
+        for (let i=0; i<objectives.length; i++) {
+            // making progress can complete the quest
+            if (entry.status != QuestLog.QUEST_STATUSES.active) {
+                return;
+            }
+            let count = objectives[i].count || 1;
+            if (entry.progress[i] >= count) {
+                continue;
+            }
+            if (objectives[i].type == Quest.OBJECTIVE_TYPES.obtain) {
+                let carried = this._countCarried(objectives[i].target);
+                if (carried > entry.progress[i]) {
+                    this._makeProgress(entry, i, carried - entry.progress[i]);
+                }
+            }
+            if (entry.quest.ordered) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Returns how many items the player carries whose id (or name) is the
+     * target.
+     */
+    _countCarried(target) {
+        var items = new Set();
+        for (const stack of this.player.inventory.stacks) {
+            if (stack.item.id === target || stack.item.name === target) {
+                items.add(stack.item);
+            }
+        }
+        var total = 0;
+        for (const item of items) {
+            total += this.player.inventory.count(item);
+        }
+        return total;
+    }
+
+    /**
+     * Completes the entry's quest and pays its rewards.
+     */
+    _complete(entry) {
+        entry.status = QuestLog.QUEST_STATUSES.completed;
+        var rewards = entry.quest.rewards;
+        if (rewards.xp) {
+            this.player.setXp(this.player.xp + rewards.xp);
+        }
+        if (rewards.items) {
+            for (const reward of rewards.items) {
+                if (! this.itemRegistry || ! this.itemRegistry.has(reward.id)) {
+                    throw new Error(
+                        `Reward item id "${reward.id}" isn't registered`
+                    );
+                }
+                let item = this.itemRegistry.get(reward.id);
+                let status = this.player.addItem(item, reward.quantity);
+                if (status != Player.STATUS_CONSTANTS.addItem.success) {
+                    this.emit('rewardNotGranted', {
+                        quest: entry.quest,
+                        item: item,
+                        quantity: reward.quantity || 1
+                    });
+                }
+            }
+        }
+        this.emit('questCompleted', {quest: entry.quest});
+    }
+
+    /**
+     * Returns an array of the entries with the given status.
+     */
+    _getWithStatus(status) {
+        return Array.from(this.entries.values()).filter((entry) => {
+            return entry.status == status;
+        });
+    }
+}
+
+module.exports = {
+    Quest: Quest,
+    QuestLog: QuestLog
+};
@@ -1,8 +1,173 @@
 /**
- * A class that contains static utilities for randomization that are useful
- * later (e.g., randomized scene generation.)
+ * A class that contains utilities for randomization that are useful later
+ * (e.g., randomized scene generation.)
+ *
+ * The utilities can be called statically (e.g.
+ * `RandomUtils.randomOption(arr)`), in which case they use the default
+ * instance, which is backed by `Math.random()` unless replaced with
+ * `RandomUtils.setDefault()`.
+ *
+ * They can also be called on an instance with its own seeded generator, made
+ * with `RandomUtils.withSeed(seed)`, which returns the same sequence of
+ * random values every time for the same seed. This is what we want for
+ * reproducible bug reports and deterministic tests. The state of a seeded
+ * instance can be saved with `getState()` and resumed with
+ * `RandomUtils.fromState()`, so that e.g. a saved game continues with the
+ * exact same random sequence.
+ *
+ * Dice can be rolled with `roll()`, using the usual dice notation: a sum of
+ * terms, each either a number or `NdS` (N dice with S sides, N default 1),
+ * where a `!` after a dice term makes its dice explode (a die that rolls its
+ * max is rolled again and added), e.g. `"2d6+3"`, `"d20"`, `"3d6!-1"` or
+ * `"1d8+1d4"`. Advantage and disadvantage (roll twice, keep the higher or
+ * lower total) are options of `roll()`.
+ *
+ * @param seed (optional)
+ *      a number or string to seed the generator with; if not given, the
+ *      instance uses `Math.random()` (and so can't be reproduced or saved)
  */
 class RandomUtils {
+    constructor(seed) {
+        // The generator state is a single 32-bit unsigned integer (see
+        // next()), or null when we're backed by Math.random().
+        this.state = null;
+        if (seed !== undefined && seed !== null) {
+            this.state = RandomUtils.hashSeed(seed);
+        }
+    }
+
+    /**
+     * Returns a new instance seeded with the given number or string.
+     */
+    static withSeed(seed) {
+        return new RandomUtils(seed);
+    }
+
+    /**
+     * Returns a new instance that resumes from the given state (as returned
+     * by `getState()`.)
+     */
+    static fromState(state) {
+        var instance = new RandomUtils();
+        instance.setState(state);
+        return instance;
+    }
+
+    /**
+     * Returns the instance used by the static methods.
+     */
+    static getDefault() {
+        return RandomUtils.defaultInstance;
+    }
+
+    /**
+     * Replaces the instance used by the static methods, e.g. with a seeded
+     * one so that everything random in the game becomes reproducible.
+     */
+    static setDefault(instance) {
+        RandomUtils.defaultInstance = instance;
+    }
+
+    /**
+     * Parses the dice notation (see above) into `{terms, modifier}`, where
+     * `terms` is an array of `{count, sides, sign, exploding}` (sign 1 or -1)
+     * and `modifier` is the sum of the number terms. Throws an Error if the
+     * notation is invalid.
+     */
+    static parseDice(notation) {
+        var compact = String(notation).trim().toLowerCase()
+            .replace(/\s*([+-])\s*/g, '$1');
+        var termRegex = /([+-]?)(?:(\d*)d(\d+)(!?)|(\d+))/y;
+        var parsed = {terms: [], modifier: 0};
+        var index = 0;
+        while (index < compact.length) {
+            termRegex.lastIndex = index;
+            let match = termRegex.exec(compact);
+            // every term but the first needs a sign
+            if (! match || (index > 0 && ! match[1])) {
+                throw new Error(`Invalid dice notation: "${notation}"`);
+            }
+            let sign = (match[1] == '-') ? -1 : 1;
+            if (match[5] !== undefined) {
+                parsed.modifier += sign * parseInt(match[5]);
+            }
+            else {
+                let count = match[2] ? parseInt(match[2]) : 1;
+                let sides = parseInt(match[3]);
+                let exploding = (match[4] == '!');
+                if (count < 1 || sides < 1 || (exploding && sides < 2)) {
+                    throw new Error(`Invalid dice notation: "${notation}"`);
+                }
+                parsed.terms.push({
+                    count: count,
+                    sides: sides,
+                    sign: sign,
+                    exploding: exploding
+                });
+            }
+            index = termRegex.lastIndex;
+        }
+        if (index == 0) {
+            throw new Error(`Invalid dice notation: "${notation}"`);
+        }
+        return parsed;
+    }
+
+    /**
+     * Turns the given seed (number or string) into the initial 32-bit
+     * generator state.
+     */
+    static hashSeed(seed) {
+        var str = String(seed);
+        // FNV-1a hash of the seed's characters
+        var hash = 2166136261;
+        for (let i=0; i<str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Returns the generator state, which is serializable (a number), or null
+     * if this instance is backed by `Math.random()`.
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Sets the generator state (as returned by `getState()`.)
+     */
+    setState(state) {
+        this.state = (state === null || state === undefined) ? null : (
+            state >>> 0
+        );
+    }
+
+    /**
+     * Same as `getState()`, so that `JSON.stringify` saves the state.
+     */
+    toJSON() {
+        return this.getState();
+    }
+
+    /**
+     * Returns a random number from 0 (inclusive) to 1 (exclusive), like
+     * `Math.random()`. Everything else is built on this.
+     */
+    next() {
+        if (this.state === null) {
+            return Math.random();
+        }
+        // mulberry32: small, fast, and good enough for games
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        var t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
     /**
      * Using the given distribution (map of value to probability), returns a
      * random option.
@@ -19,12 +184,12 @@ class RandomUtils {
      * 
      * The probability values obviously must add to 1.
      */
-    static randomOptionWithProbabilityDistribution(distributionMap) {
+    randomOptionWithProbabilityDistribution(distributionMap) {
         // We get a random number from 0 to 1, then we see at what map element
         // do the cumulative distribution probability values go above this
         // number. That element gives us our random option.
 
-        var randomDouble = Math.random();
+        var randomDouble = this.next();
         var sum = 0;
         // shouldn't be necessary, but in case the loop exits without
         // returning, need to know the last key
@@ -45,19 +210,138 @@ class RandomUtils {
      * Returns a boolean that is true with given probability (value between
      * 0 and 1.)
      */
-    static randomBooleanWithChance(chance) {
-        return (Math.random() <= chance);
+    randomBooleanWithChance(chance) {
+        return (this.next() <= chance);
     }
 
     /**
      * Returns a randomly chosen option from the provided array, with equal
      * chance to all.
      */
+    randomOption(arr) {
+        return arr[Math.floor(this.next() * arr.length)];
+    }
+
+    /**
+     * Returns a random integer from min to max (both inclusive.)
+     */
+    randomInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Rolls the dice in the given notation (see above.) Returns
+     * `{notation, total, dice, modifier, discarded}`, where `dice` is an
+     * array of `{sides, sign, rolls, value}` for every die rolled (`rolls`
+     * has more than one value only if the die exploded, and `value` is their
+     * signed sum), `modifier` is the sum of the number terms, and `discarded`
+     * is the other roll (same format) with advantage or disadvantage, else
+     * null.
+     *
+     * @param notation (required)
+     *      the dice notation string, e.g. `"2d6+3"`
+     * @param options (optional)
+     *      an object with any of the following:
+     *
+     *      advantage -- if true, roll twice and keep the higher total
+     *
+     *      disadvantage -- if true, roll twice and keep the lower total (if
+     *          both are given, they cancel out)
+     */
+    roll(notation, options) {
+        var parsed = RandomUtils.parseDice(notation);
+        var advantage = !! (options && options.advantage);
+        var disadvantage = !! (options && options.disadvantage);
+        var result = this._rollParsed(notation, parsed);
+        if (advantage != disadvantage) {
+            let other = this._rollParsed(notation, parsed);
+            let keepOther = advantage ? (
+                other.total > result.total
+            ) : (other.total < result.total);
+            if (keepOther) {
+                [result, other] = [other, result];
+            }
+            other.discarded = null;
+            result.discarded = other;
+        }
+        return result;
+    }
+
+    /**
+     * Rolls the parsed dice (see parseDice()) once.
+     */
+    _rollParsed(notation, parsed) {
+        // no die explodes forever, however lucky
+        var maxExplosions = 100;
+        var dice = [];
+        var total = parsed.modifier;
+        for (const term of parsed.terms) {
+            for (let i=0; i<term.count; i++) {
+                let rolls = [this.randomInt(1, term.sides)];
+                while (term.exploding && rolls[rolls.length - 1] == term.sides
+                        && rolls.length <= maxExplosions) {
+                    rolls.push(this.randomInt(1, term.sides));
+                }
+                let value = term.sign * rolls.reduce((a, b) => a + b, 0);
+                dice.push({
+                    sides: term.sides,
+                    sign: term.sign,
+                    rolls: rolls,
+                    value: value
+                });
+                total += value;
+            }
+        }
+        return {
+            notation: notation,
+            total: total,
+            dice: dice,
+            modifier: parsed.modifier,
+            discarded: null
+        };
+    }
+
+    /**
+     * Same as `randomOptionWithProbabilityDistribution()` on the default
+     * instance.
+     */
+    static randomOptionWithProbabilityDistribution(distributionMap) {
+        return RandomUtils.defaultInstance
+            .randomOptionWithProbabilityDistribution(distributionMap);
+    }
+
+    /**
+     * Same as `randomBooleanWithChance()` on the default instance.
+     */
+    static randomBooleanWithChance(chance) {
+        return RandomUtils.defaultInstance.randomBooleanWithChance(chance);
+    }
+
+    /**
+     * Same as `randomOption()` on the default instance.
+     */
     static randomOption(arr) {
-        return arr[Math.floor(Math.random() * arr.length)];
+        return RandomUtils.defaultInstance.randomOption(arr);
+    }
+
+    /**
+     * Same as `randomInt()` on the default instance.
+     */
+    static randomInt(min, max) {
+        return RandomUtils.defaultInstance.randomInt(min, max);
+    }
+
+    /**
+     * Same as `roll()` on the default instance.
+     */
+    static roll(notation, options) {
+        return RandomUtils.defaultInstance.roll(notation, options);
     }
 }
 
+// The instance used by the static methods (see setDefault().)
+RandomUtils.defaultInstance = new RandomUtils();
+
 module.exports = {
     RandomUtils: RandomUtils
 };
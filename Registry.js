@@ -0,0 +1,70 @@
+/**
+ * Constructs a Registry, which keeps track of game objects (e.g. every
+ * `Item` in the game) by a unique string id.
+ *
+ * This is how saved games refer to objects: we can't save an `Item` itself
+ * (its `act` is a function), so we save its id and look it up in the registry
+ * when loading.
+ *
+ * @param objects (optional)
+ *      an object of id to game object to register right away
+ */
+class Registry {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        register: {
+            alreadyExists: 'alreadyExists',
+            success: 'success'
+        }
+    };
+
+    constructor(objects) {
+        this.objects = new Map();
+        if (objects) {
+            for (const id of Object.keys(objects)) {
+                this.register(id, objects[id]);
+            }
+        }
+    }
+
+    /**
+     * Registers the object under the given id, and sets the object's `id`
+     * property to it. Returns the appropriate status constant above and
+     * doesn't register anything if the id is already taken.
+     */
+    register(id, object) {
+        if (this.objects.has(id)) {
+            return Registry.STATUS_CONSTANTS.register.alreadyExists;
+        }
+        object.id = id;
+        this.objects.set(id, object);
+        return Registry.STATUS_CONSTANTS.register.success;
+    }
+
+    /**
+     * Whether an object is registered under the given id.
+     */
+    has(id) {
+        return this.objects.has(id);
+    }
+
+    /**
+     * Returns the object registered under the given id, or undefined if
+     * there isn't one.
+     */
+    get(id) {
+        return this.objects.get(id);
+    }
+
+    /**
+     * Returns an array of all the registered objects.
+     */
+    getAll() {
+        return Array.from(this.objects.values());
+    }
+}
+
+module.exports = {
+    Registry: Registry
+};
@@ -0,0 +1,508 @@
+var TextFormatter = require('./TextFormatter').TextFormatter;
+
+/**
+ * The base class of renderers, which let the same game be played through
+ * different front ends: a text console (`ConsoleRenderer`, below), a script
+ * of inputs for automated playthroughs (`ScriptedRenderer`, below), or your
+ * own.
+ *
+ * A renderer only needs to implement two methods:
+ *
+ * `print(html)` -- shows the text (HTML, as in `GameObject.description`)
+ *
+ * `choose(prompt, labels)` -- asks the player to pick one of the labels,
+ *      returning a Promise of the index picked
+ *
+ * The `play*()` methods here build on those two to run the game's systems
+ * (scenes, battles and dialogues) without a DOM, e.g.:
+ *
+ * ```
+ *  var renderer = new ScriptedRenderer(['Talk to the priest', 0, 'North']);
+ *  await renderer.playSceneStep(sceneManager);
+ *  await renderer.playDialogue(dialogue);
+ *  await renderer.playSceneStep(sceneManager);
+ * ```
+ *
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      formatter -- the `TextFormatter` used to write the game's messages
+ *          (see TextFormatter.js), default an English one
+ */
+class Renderer {
+    constructor(options) {
+        this.formatter = new TextFormatter();
+        if (options) {
+            if (options.formatter) {
+                this.formatter = options.formatter;
+            }
+        }
+    }
+
+    /**
+     * Shows the text. Must be implemented by subclasses.
+     */
+    print(html) {
+        throw new Error('Renderer subclasses must implement print()');
+    }
+
+    /**
+     * Asks the player to pick one of the labels (an array of strings), and
+     * returns a Promise of the index picked. Must be implemented by
+     * subclasses.
+     */
+    choose(prompt, labels) {
+        throw new Error('Renderer subclasses must implement choose()');
+    }
+
+    /**
+     * Prints the current scene of the `SceneManager` (see Scene.js): its
+     * title and content.
+     */
+    showScene(sceneManager) {
+        var scene = sceneManager.getCurrentScene();
+        if (! scene) {
+            return;
+        }
+        if (scene.title) {
+            this.print(`<b>${scene.title}</b>`);
+        }
+        var content = scene.content;
+        if (typeof content == 'function') {
+            content = content(sceneManager);
+        }
+        if (typeof content != 'string') {
+            // an HTML element
+            content = content ? content.innerHTML : '';
+        }
+        if (content) {
+            this.print(content);
+        }
+    }
+
+    /**
+     * Shows the current scene and lets the player pick one of its labeled
+     * hotspots or exits, which is then activated (see
+     * `SceneManager.activateHotspot()`.) Returns a Promise of the hotspot or
+     * exit picked, or null if the scene has neither.
+     */
+    async playSceneStep(sceneManager) {
+        this.showScene(sceneManager);
+        var scene = sceneManager.getCurrentScene();
+        if (! scene) {
+            return null;
+        }
+        var options = scene.hotspots.filter((hotspot) => hotspot.label)
+            .concat(scene.exits);
+        if (options.length == 0) {
+            return null;
+        }
+
+        var index = await this.choose(
+            'What do you do?', options.map((option) => option.label)
+        );
+        var option = options[index];
+        if (scene.hotspots.includes(option)) {
+            sceneManager.activateHotspot(option);
+        }
+        else {
+            sceneManager.goTo(option.target);
+        }
+        return option;
+    }
+
+    /**
+     * Plays the `Battle` (see Battle.js) until it's over: every turn, prints
+     * what's going on and lets the player attack an enemy, use an item or
+     * flee. Returns a Promise of the outcome (one of `Battle.OUTCOMES`.)
+     */
+    async playBattle(battle) {
+        var player = battle.player;
+        var unsubscribers = [
+            battle.on('enemyDamaged', (data) => {
+                this._printFormatted(
+                    '{enemy:the} takes {damage} damage.', data
+                );
+            }),
+            battle.on('enemyHealed', (data) => {
+                this._printFormatted('{enemy:the} heals {amount} HP.', data);
+            }),
+            battle.on('enemyDefeated', (data) => {
+                this._printFormatted('{enemy:the} is defeated!', data);
+            }),
+            battle.on('enemyAction', (data) => {
+                let damage = data.memberHpBefore - data.memberHpAfter;
+                if (damage > 0) {
+                    this._printFormatted((data.member == 0) ? (
+                        '{enemy:the} hits you for {damage} damage.'
+                    ) : '{enemy:the} hits {ally} for {damage} damage.', {
+                        enemy: data.enemy,
+                        ally: battle.party.members[data.member],
+                        damage: damage
+                    });
+                }
+            }),
+            battle.on('end', (data) => {
+                this.print(`The battle is over: ${data.outcome}.`);
+                for (const share of data.xpShares) {
+                    if (share.xp <= 0) {
+                        continue;
+                    }
+                    this._printFormatted((share.member === player) ? (
+                        'You gain {xp} XP.'
+                    ) : '{ally} gains {xp} XP.', {
+                        ally: share.member,
+                        xp: share.xp
+                    });
+                }
+                for (const drop of data.loot) {
+                    this._printFormatted('You get {item:#quantity}.', drop);
+                }
+            })
+        ];
+
+        while (! battle.isOver()) {
+            this.print(Renderer._describeBattle(battle));
+
+            // one action per enemy standing, per distinct usable item, and
+            // fleeing
+            let actions = [];
+            for (const target of battle.getLivingTargets()) {
+                actions.push({
+                    label: `Attack ${battle.combatants[target].enemy.name}`,
+                    run: () => battle.attack(target)
+                });
+            }
+            for (const item of new Set(player.items)) {
+                if (item.xpLevel > player.xpLevel) {
+                    continue;
+                }
+                actions.push({
+                    label: `Use ${item.name}`,
+                    run: async () => {
+                        let member = await this._chooseMember(battle);
+                        battle.useItem(
+                            item, await this._chooseTarget(battle), member
+                        );
+                    }
+                });
+            }
+            actions.push({
+                label: 'Flee',
+                run: () => battle.flee()
+            });
+
+            let index = await this.choose(
+                'What do you do?', actions.map((action) => action.label)
+            );
+            await actions[index].run();
+        }
+
+        for (const unsubscribe of unsubscribers) {
+            unsubscribe();
+        }
+        return battle.outcome;
+    }
+
+    /**
+     * Plays the `Dialogue` (see Dialogue.js) from its start until it ends,
+     * printing every node and letting the player pick the choices.
+     */
+    async playDialogue(dialogue) {
+        dialogue.start();
+        while (! dialogue.isFinished()) {
+            let node = dialogue.getCurrentNode();
+            this.print(node.speaker ? (
+                `<b>${node.speaker}:</b> ${node.text}`
+            ) : node.text);
+
+            let labels = dialogue.getAvailableChoices().map((choice) => {
+                return choice.text;
+            });
+            if (labels.length == 0) {
+                // choosing it ends the dialogue (see `Dialogue.choose()`)
+                labels = ['Continue'];
+            }
+            dialogue.choose(await this.choose('', labels));
+        }
+    }
+
+    /**
+     * Prints the template filled in by the formatter (see
+     * `TextFormatter.format()`.)
+     */
+    _printFormatted(template, values) {
+        this.print(this.formatter.format(template, values));
+    }
+
+    /**
+     * Lets the player pick which enemy an item is used on, if there's more
+     * than one. Returns a Promise of the target index.
+     */
+    async _chooseTarget(battle) {
+        var targets = battle.getLivingTargets();
+        if (targets.length == 1) {
+            return targets[0];
+        }
+        var index = await this.choose('On which enemy?', targets.map(
+            (target) => battle.combatants[target].enemy.name
+        ));
+        return targets[index];
+    }
+
+    /**
+     * Lets the player pick which party member an item is used on, if they
+     * have allies. Returns a Promise of the member index.
+     */
+    async _chooseMember(battle) {
+        var members = battle.party.members;
+        if (members.length == 1) {
+            return 0;
+        }
+        return await this.choose('On whom?', members.map((member, i) => {
+            return (i == 0) ? 'Yourself' : member.name;
+        }));
+    }
+
+    /**
+     * Returns a line describing the HP of the party and the enemies.
+     */
+    static _describeBattle(battle) {
+        var enemies = battle.getLivingTargets().map((target) => {
+            var combatant = battle.combatants[target];
+            return `${combatant.enemy.name} ${combatant.hp}/`
+                + combatant.enemy.maxHp;
+        });
+        var allies = battle.party.allies.map((ally) => {
+            return `${ally.name} ${ally.hp}/${ally.maxHp}`;
+        });
+        return `Turn ${battle.turn}. You: ${battle.player.hp}/`
+            + `${battle.player.maxHp} HP. `
+            + ((allies.length > 0) ? `Allies: ${allies.join(', ')}. ` : '')
+            + `Enemies: ${enemies.join(', ')}.`;
+    }
+
+    /**
+     * Returns the plain text of the HTML, for text-only renderers.
+     */
+    static htmlToText(html) {
+        return String(html)
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|h\d)>/gi, '\n')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, '\'')
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+}
+
+/**
+ * Constructs a ConsoleRenderer, which plays the game in a text terminal (in
+ * Node): text is printed as plain text, and choices are numbered, picked by
+ * typing the number.
+ *
+ * @param options (optional)
+ *      same as the `Renderer` argument, and also:
+ *
+ *      input -- the readable stream to read the player's input from,
+ *          default `process.stdin`
+ *
+ *      output -- the writable stream to print to, default `process.stdout`
+ */
+class ConsoleRenderer extends Renderer {
+    constructor(options) {
+        super(options);
+
+        this.input = null;
+        this.output = null;
+        if (options) {
+            if (options.input) {
+                this.input = options.input;
+            }
+            if (options.output) {
+                this.output = options.output;
+            }
+        }
+        this.input = this.input || process.stdin;
+        this.output = this.output || process.stdout;
+        // created on the first choice, so that just printing doesn't keep
+        // the process waiting for input
+        this.readline = null;
+        // lines read but not used yet (input may be piped in all at once),
+        // and the resolve function of the choice waiting for a line
+        this.lines = [];
+        this.waitingForLine = null;
+    }
+
+    print(html) {
+        this.output.write(Renderer.htmlToText(html) + '\n');
+    }
+
+    async choose(prompt, labels) {
+        if (! this.readline) {
+            this._startReading();
+        }
+        if (prompt) {
+            this.print(prompt);
+        }
+        labels.forEach((label, i) => {
+            this.output.write(`  ${i + 1}. ${Renderer.htmlToText(label)}\n`);
+        });
+        while (true) {
+            this.output.write('> ');
+            let answer = await this._nextLine();
+            let index = parseInt(answer) - 1;
+            if (index >= 0 && index < labels.length) {
+                return index;
+            }
+            this.output.write(`Please enter a number from 1 to ${
+                labels.length
+            }.\n`);
+        }
+    }
+
+    /**
+     * Starts reading the input line by line.
+     */
+    _startReading() {
+        // required here, since it only exists in Node
+        this.readline = require('readline').createInterface({
+            input: this.input,
+            terminal: false
+        });
+        this.readline.on('line', (line) => {
+            this.lines.push(line);
+            this._giveLine();
+        });
+        this.readline.on('close', () => {
+            this.lines.push(null);
+            this._giveLine();
+        });
+    }
+
+    /**
+     * Returns a Promise of the next line of input, which rejects if the
+     * input has ended.
+     */
+    _nextLine() {
+        return new Promise((resolve, reject) => {
+            this.waitingForLine = (line) => {
+                if (line === null) {
+                    reject(new Error('The input ended'));
+                }
+                else {
+                    resolve(line);
+                }
+            };
+            this._giveLine();
+        });
+    }
+
+    /**
+     * Gives the next line read to the choice waiting for it, if any.
+     */
+    _giveLine() {
+        if (! this.waitingForLine || this.lines.length == 0) {
+            return;
+        }
+        var waitingForLine = this.waitingForLine;
+        this.waitingForLine = null;
+        // the end of the input stays, for any choices after
+        waitingForLine(
+            (this.lines[0] === null) ? null : this.lines.shift()
+        );
+    }
+
+    /**
+     * Stops reading input, so that the process can exit.
+     */
+    close() {
+        if (this.readline) {
+            this.readline.close();
+            this.readline = null;
+        }
+    }
+}
+
+/**
+ * Constructs a ScriptedRenderer, which plays the game from a script of
+ * inputs instead of a player, e.g. for automated playthroughs in CI.
+ * Everything printed (and every choice made) is recorded in `transcript`,
+ * an array of lines.
+ *
+ * Each input picks an option of the next choice, either by its index
+ * (number, from 0) or by its label (string, compared case-insensitively.)
+ * If an input doesn't match any option, or the script runs out, `choose()`
+ * rejects with an Error saying where, so a broken playthrough fails loudly.
+ *
+ * @param inputs (required)
+ *      the array of inputs, in order
+ * @param options (optional)
+ *      same as the `Renderer` argument, and also:
+ *
+ *      echo -- if true, also prints the transcript to the console as it
+ *          goes, default false
+ */
+class ScriptedRenderer extends Renderer {
+    constructor(inputs, options) {
+        super(options);
+
+        this.inputs = inputs.slice();
+        this.echo = false;
+        if (options) {
+            if (options.echo !== undefined) {
+                this.echo = options.echo;
+            }
+        }
+        this.transcript = [];
+    }
+
+    print(html) {
+        this._record(Renderer.htmlToText(html));
+    }
+
+    async choose(prompt, labels) {
+        var describe = `${prompt} [${labels.join(' | ')}]`;
+        if (this.inputs.length == 0) {
+            throw new Error(`The script ran out of inputs at: ${describe}`);
+        }
+        var input = this.inputs.shift();
+        var index = (typeof input == 'number') ? input : labels.findIndex(
+            (label) => label.toLowerCase() == String(input).toLowerCase()
+        );
+        if (index < 0 || index >= labels.length) {
+            throw new Error(`The input "${input}" matches no option at: ${
+                describe
+            }`);
+        }
+        this._record(`> ${labels[index]}`);
+        return index;
+    }
+
+    /**
+     * Whether every input of the script has been used.
+     */
+    isFinished() {
+        return this.inputs.length == 0;
+    }
+
+    /**
+     * Adds the line to the transcript.
+     */
+    _record(line) {
+        this.transcript.push(line);
+        if (this.echo) {
+            console.log(line);
+        }
+    }
+}
+
+module.exports = {
+    Renderer: Renderer,
+    ConsoleRenderer: ConsoleRenderer,
+    ScriptedRenderer: ScriptedRenderer
+};
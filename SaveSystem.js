@@ -0,0 +1,335 @@
+/**
+ * A storage backend that keeps saves in memory, which is useful for tests
+ * and for headless runs. Saves are lost when the page is closed.
+ *
+ * Every storage backend has the same four methods (`getItem`, `setItem`,
+ * `removeItem` and `keys`), so you can plug in your own (e.g. one that saves
+ * to a server) as long as it has them too.
+ */
+class MemoryStorageBackend {
+    constructor() {
+        this.data = new Map();
+    }
+
+    /**
+     * Returns the string stored under the key, or null if there isn't one.
+     */
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    /**
+     * Stores the string under the key.
+     */
+    setItem(key, value) {
+        this.data.set(key, value);
+    }
+
+    /**
+     * Removes whatever is stored under the key.
+     */
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * Returns an array of all the keys stored.
+     */
+    keys() {
+        return Array.from(this.data.keys());
+    }
+}
+
+/**
+ * A storage backend that keeps saves in the browser's `localStorage` (or any
+ * other object implementing the Web Storage API), so that they persist
+ * between visits.
+ *
+ * @param storage (optional)
+ *      the Web Storage object to use, default `window.localStorage`
+ */
+class LocalStorageBackend {
+    constructor(storage) {
+        this.storage = storage || window.localStorage;
+    }
+
+    getItem(key) {
+        return this.storage.getItem(key);
+    }
+
+    setItem(key, value) {
+        this.storage.setItem(key, value);
+    }
+
+    removeItem(key) {
+        this.storage.removeItem(key);
+    }
+
+    keys() {
+        var keys = [];
+        for (let i=0; i<this.storage.length; i++) {
+            keys.push(this.storage.key(i));
+        }
+        return keys;
+    }
+}
+
+/**
+ * Constructs a SaveManager, which saves and loads snapshots of the game state
+ * in named save slots.
+ *
+ * The game state is made up of sections, each added with `addSection()`
+ * along with how to save and load it. For example:
+ *
+ * ```
+ *  var saveManager = new SaveManager(new LocalStorageBackend());
+ *  saveManager.addSection('player', {
+ *      save: () => player.toJSON(),
+ *      load: (data) => {
+ *          player = Player.fromJSON(data, getLevelFromXp, itemRegistry);
+ *      }
+ *  });
+ *  saveManager.addSection('random', {
+ *      save: () => random.getState(),
+ *      load: (data) => random.setState(data)
+ *  });
+ *  saveManager.save('slot1');
+ *  // later...
+ *  saveManager.load('slot1');
+ * ```
+ *
+ * Every snapshot carries the schema `version` it was saved with. When you
+ * change the shape of your saved data, bump the version and add a migration
+ * that upgrades snapshots of the previous version, so older saves still
+ * load.
+ *
+ * @param storage (required)
+ *      the storage backend, e.g. a `LocalStorageBackend` or a
+ *      `MemoryStorageBackend`
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      version -- the current schema version (a whole number), default 1
+ *
+ *      migrations -- an object of version number to function that upgrades a
+ *          snapshot of that version to the next version, signature
+ *          `(snapshot) --> snapshot`; the snapshot is of the form
+ *          `{version, savedAt, sections: {sectionName: data}}`, and must
+ *          be returned even if it was changed in place
+ *
+ *      keyPrefix -- the prefix for the storage keys of the save slots,
+ *          default 'plawser-save:'
+ */
+class SaveManager {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        load: {
+            doesNotExist: 'doesNotExist',
+            unreadable: 'unreadable',
+            newerVersion: 'newerVersion',
+            missingMigration: 'missingMigration',
+            migrationFailed: 'migrationFailed',
+            success: 'success'
+        },
+        deleteSlot: {
+            doesNotExist: 'doesNotExist',
+            success: 'success'
+        }
+    };
+
+    constructor(storage, options) {
+        this.storage = storage;
+        this.version = 1;
+        this.migrations = {};
+        this.keyPrefix = 'plawser-save:';
+        if (options) {
+            if (options.version !== undefined) {
+                this.version = options.version;
+            }
+            if (options.migrations) {
+                this.migrations = options.migrations;
+            }
+            if (options.keyPrefix !== undefined) {
+                this.keyPrefix = options.keyPrefix;
+            }
+        }
+
+        // map of section name to `{save, load}`
+        this.sections = new Map();
+    }
+
+    /**
+     * Adds a section of game state to every snapshot, where `save` returns
+     * JSON-serializable data for the section, signature `() --> data`, and
+     * `load` restores the section from that data, signature
+     * `(data) --> void`.
+     *
+     * Adding a section with an existing name replaces it.
+     */
+    addSection(name, section) {
+        this.sections.set(name, section);
+    }
+
+    /**
+     * Returns a snapshot of the current game state (every section), which is
+     * plain JSON-serializable data.
+     */
+    snapshot() {
+        var sections = {};
+        for (const [name, section] of this.sections) {
+            sections[name] = section.save();
+        }
+        return {
+            version: this.version,
+            savedAt: Date.now(),
+            sections: sections
+        };
+    }
+
+    /**
+     * Restores the game state from the snapshot, migrating it to the
+     * current version first if needed. Sections in the snapshot that haven't
+     * been added (and vice versa) are skipped. Returns the appropriate status
+     * constant of `load` above and restores nothing if not successful: a
+     * snapshot that isn't of the form above, or with a section whose `load`
+     * throws, is unreadable (and the sections already loaded are put back
+     * the way they were, as far as they can be), and a migration that throws
+     * or doesn't return a snapshot has failed.
+     */
+    restore(snapshot) {
+        if (! SaveManager._isSnapshot(snapshot)) {
+            return SaveManager.STATUS_CONSTANTS.load.unreadable;
+        }
+        if (snapshot.version > this.version) {
+            return SaveManager.STATUS_CONSTANTS.load.newerVersion;
+        }
+        // migrate one version at a time
+        while (snapshot.version < this.version) {
+            let migrate = this.migrations[snapshot.version];
+            if (! migrate) {
+                return SaveManager.STATUS_CONSTANTS.load.missingMigration;
+            }
+            let fromVersion = snapshot.version;
+            try {
+                snapshot = migrate(snapshot);
+            }
+            catch (e) {
+                return SaveManager.STATUS_CONSTANTS.load.migrationFailed;
+            }
+            if (! SaveManager._isSnapshot(snapshot)) {
+                return SaveManager.STATUS_CONSTANTS.load.migrationFailed;
+            }
+            snapshot.version = fromVersion + 1;
+        }
+
+        var names = Array.from(this.sections.keys()).filter((name) => {
+            return name in snapshot.sections;
+        });
+        // what the sections are now, to put back if one of them fails (if we
+        // can't get that, we don't start, since we couldn't put them back)
+        var previous;
+        try {
+            previous = names.map((name) => this.sections.get(name).save());
+        }
+        catch (e) {
+            return SaveManager.STATUS_CONSTANTS.load.unreadable;
+        }
+        var loadedCount = 0;
+        try {
+            for (const name of names) {
+                this.sections.get(name).load(snapshot.sections[name]);
+                loadedCount++;
+            }
+        }
+        catch (e) {
+            // including the one that failed, which may be partly loaded
+            for (let i=0; i<=loadedCount; i++) {
+                try {
+                    this.sections.get(names[i]).load(previous[i]);
+                }
+                catch (e) {
+                    // we still put back the others
+                }
+            }
+            return SaveManager.STATUS_CONSTANTS.load.unreadable;
+        }
+        return SaveManager.STATUS_CONSTANTS.load.success;
+    }
+
+    /**
+     * Saves a snapshot of the current game state to the named slot,
+     * overwriting whatever was there.
+     */
+    save(slot) {
+        this.storage.setItem(
+            this.keyPrefix + slot, JSON.stringify(this.snapshot())
+        );
+    }
+
+    /**
+     * Loads the game state from the named slot. Returns the appropriate
+     * status constant above.
+     */
+    load(slot) {
+        var json = this.storage.getItem(this.keyPrefix + slot);
+        if (json === null) {
+            return SaveManager.STATUS_CONSTANTS.load.doesNotExist;
+        }
+        var snapshot;
+        try {
+            snapshot = JSON.parse(json);
+        }
+        catch (e) {
+            return SaveManager.STATUS_CONSTANTS.load.unreadable;
+        }
+        return this.restore(snapshot);
+    }
+
+    /**
+     * Whether there is a save in the named slot.
+     */
+    hasSlot(slot) {
+        return this.storage.getItem(this.keyPrefix + slot) !== null;
+    }
+
+    /**
+     * Returns an array of the names of all the save slots.
+     */
+    listSlots() {
+        return this.storage.keys().filter((key) => {
+            return key.startsWith(this.keyPrefix);
+        }).map((key) => {
+            return key.slice(this.keyPrefix.length);
+        });
+    }
+
+    /**
+     * Deletes the save in the named slot. Returns the appropriate status
+     * constant above.
+     */
+    deleteSlot(slot) {
+        if (! this.hasSlot(slot)) {
+            return SaveManager.STATUS_CONSTANTS.deleteSlot.doesNotExist;
+        }
+        this.storage.removeItem(this.keyPrefix + slot);
+        return SaveManager.STATUS_CONSTANTS.deleteSlot.success;
+    }
+
+    /**
+     * Whether the snapshot is of the form `{version, sections}` (see the
+     * `migrations` option), with a numeric version.
+     */
+    static _isSnapshot(snapshot) {
+        return snapshot !== null && typeof snapshot == 'object'
+            && typeof snapshot.version == 'number'
+            && snapshot.sections !== null
+            && typeof snapshot.sections == 'object';
+    }
+}
+
+module.exports = {
+    SaveManager: SaveManager,
+    MemoryStorageBackend: MemoryStorageBackend,
+    LocalStorageBackend: LocalStorageBackend
+};
@@ -0,0 +1,445 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var WebUtils = require('./WebUtils').WebUtils;
+
+/**
+ * Constructs a Scene, which is a single place (room, screen, etc.) the player
+ * can be in, with its content, clickable hotspots and exits to other scenes.
+ * Scenes are added to and navigated by a `SceneManager` (below.)
+ *
+ * @param id (required)
+ *      the unique string id of the scene
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      title -- the title of the scene
+ *
+ *      content -- the content of the scene, either an HTML string, an HTML
+ *          element, or a function that returns either of those, signature
+ *          `(SceneManager object) --> string or HTML element`
+ *
+ *      hotspots -- an array of clickable hotspots, each an object with:
+ *          `selector` (the elements in the content that are clickable) or
+ *          `area` (a clickable rectangle `{x, y, width, height}`, in
+ *          percentages of the scene's size), and optionally `label` (shown
+ *          as a tooltip), `onClick` (signature
+ *          `(SceneManager object) --> void`) and `target` (the id of the
+ *          scene to go to)
+ *
+ *      exits -- an array of exits shown below the content, each an object
+ *          with `label` and `target` (the id of the scene to go to)
+ *
+ *      onEnter -- a function called when the player enters the scene,
+ *          signature `(SceneManager object, previous scene id) --> void`
+ *
+ *      onExit -- a function called when the player leaves the scene,
+ *          signature `(SceneManager object, next scene id) --> void`
+ *
+ *      lootTable -- a `LootTable` (see LootTable.js) of what can be found in
+ *          the scene, e.g. in a chest, given to the player once with
+ *          `SceneManager.lootScene()`
+ */
+class Scene {
+    constructor(id, options) {
+        this.id = id;
+        this.title = '';
+        this.content = '';
+        this.hotspots = [];
+        this.exits = [];
+        this.onEnter = function(sceneManager, previousSceneId) {};
+        this.onExit = function(sceneManager, nextSceneId) {};
+        this.lootTable = null;
+
+        if (options) {
+            if (options.title) {
+                this.title = options.title;
+            }
+            if (options.content) {
+                this.content = options.content;
+            }
+            if (options.hotspots) {
+                this.hotspots = options.hotspots;
+            }
+            if (options.exits) {
+                this.exits = options.exits;
+            }
+            if (options.onEnter) {
+                this.onEnter = options.onEnter;
+            }
+            if (options.onExit) {
+                this.onExit = options.onExit;
+            }
+            if (options.lootTable) {
+                this.lootTable = options.lootTable;
+            }
+        }
+    }
+}
+
+/**
+ * Constructs a SceneManager, which holds the scenes of the game, keeps track
+ * of the current scene and the history of visited scenes (for going back),
+ * and renders the current scene into the container element, fading between
+ * scenes with `WebUtils.fadeOut()`/`fadeIn()`.
+ *
+ * A SceneManager is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * sceneExit -- `{sceneId, nextSceneId}`, when the player leaves a scene
+ *
+ * sceneEnter -- `{sceneId, previousSceneId}`, when the player enters a scene
+ *
+ * hotspotClick -- `{sceneId, hotspot}`, when a hotspot is activated
+ *
+ * sceneLooted -- `{sceneId, loot}`, when the loot of a scene is given to the
+ *      player (see `lootScene()`)
+ *
+ * The current scene, history and looted scenes can be saved with `toJSON()`
+ * and restored with `restore()`, e.g. as a `SaveManager` section (see
+ * SaveSystem.js):
+ *
+ * ```
+ *  saveManager.addSection('scenes', {
+ *      save: () => sceneManager.toJSON(),
+ *      load: (data) => sceneManager.restore(data)
+ *  });
+ * ```
+ *
+ * @param container (optional)
+ *      the HTML element to render the current scene into; if not given,
+ *      nothing is rendered, but navigation still works
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      fadeTimeStep -- the time step for the next frame of the fade
+ *          transition, default 30 milliseconds
+ *
+ *      transitions -- whether to fade between scenes, default true
+ */
+class SceneManager extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        addScene: {
+            alreadyExists: 'alreadyExists',
+            success: 'success'
+        },
+        goTo: {
+            doesNotExist: 'doesNotExist',
+            inTransition: 'inTransition',
+            success: 'success'
+        },
+        back: {
+            noHistory: 'noHistory',
+            inTransition: 'inTransition',
+            success: 'success'
+        },
+        lootScene: {
+            doesNotExist: 'doesNotExist',
+            noLoot: 'noLoot',
+            alreadyLooted: 'alreadyLooted',
+            success: 'success'
+        }
+    };
+
+    constructor(container, options) {
+        super();
+
+        this.container = container || null;
+        this.fadeTimeStep = 30;
+        this.transitions = true;
+        if (options) {
+            if (options.fadeTimeStep) {
+                this.fadeTimeStep = options.fadeTimeStep;
+            }
+            if (options.transitions !== undefined) {
+                this.transitions = options.transitions;
+            }
+        }
+
+        // map of scene id to Scene
+        this.scenes = new Map();
+        // id of the current scene, null before the first goTo()
+        this.currentSceneId = null;
+        // ids of the previously visited scenes, most recent last
+        this.history = [];
+        // ids of the scenes whose loot has been given to the player
+        this.lootedSceneIds = new Set();
+        this.inTransition = false;
+    }
+
+    /**
+     * Adds the scene. Returns the appropriate status constant above.
+     */
+    addScene(scene) {
+        if (this.scenes.has(scene.id)) {
+            return SceneManager.STATUS_CONSTANTS.addScene.alreadyExists;
+        }
+        this.scenes.set(scene.id, scene);
+        return SceneManager.STATUS_CONSTANTS.addScene.success;
+    }
+
+    /**
+     * Returns the scene with the given id, or undefined if there isn't one.
+     */
+    getScene(sceneId) {
+        return this.scenes.get(sceneId);
+    }
+
+    /**
+     * Returns the current scene, or null before the first `goTo()`.
+     */
+    getCurrentScene() {
+        if (this.currentSceneId === null) {
+            return null;
+        }
+        return this.scenes.get(this.currentSceneId);
+    }
+
+    /**
+     * Goes to the scene with the given id, calling the exit hook of the
+     * current scene and the enter hook of the new one, and transitioning
+     * between them. The callback (optional) is called once the transition is
+     * done. Returns the appropriate status constant above.
+     */
+    goTo(sceneId, callback) {
+        if (! this.scenes.has(sceneId)) {
+            return SceneManager.STATUS_CONSTANTS.goTo.doesNotExist;
+        }
+        if (this.inTransition) {
+            return SceneManager.STATUS_CONSTANTS.goTo.inTransition;
+        }
+        if (this.currentSceneId !== null) {
+            this.history.push(this.currentSceneId);
+        }
+        this._switchTo(sceneId, callback);
+        return SceneManager.STATUS_CONSTANTS.goTo.success;
+    }
+
+    /**
+     * Goes back to the previously visited scene (like `goTo()`, but without
+     * adding to the history.) Returns the appropriate status constant above.
+     */
+    back(callback) {
+        if (this.history.length == 0) {
+            return SceneManager.STATUS_CONSTANTS.back.noHistory;
+        }
+        if (this.inTransition) {
+            return SceneManager.STATUS_CONSTANTS.back.inTransition;
+        }
+        this._switchTo(this.history.pop(), callback);
+        return SceneManager.STATUS_CONSTANTS.back.success;
+    }
+
+    /**
+     * Activates the hotspot (an object from the current scene's `hotspots`),
+     * as if it were clicked: calls its `onClick` and goes to its `target`.
+     */
+    activateHotspot(hotspot) {
+        this.emit('hotspotClick', {
+            sceneId: this.currentSceneId,
+            hotspot: hotspot
+        });
+        if (hotspot.onClick) {
+            hotspot.onClick(this);
+        }
+        if (hotspot.target !== undefined) {
+            this.goTo(hotspot.target);
+        }
+    }
+
+    /**
+     * Rolls the loot of the scene with the given id (default the current
+     * scene) and gives it to the player (see `LootTable.give()`), only once
+     * per scene, e.g. from a hotspot's `onClick`:
+     *
+     * ```
+     *  onClick: (sceneManager) => sceneManager.lootScene(player)
+     * ```
+     *
+     * Returns the appropriate status constant above; the loot given is in
+     * the `sceneLooted` event.
+     */
+    lootScene(player, sceneId) {
+        if (sceneId === undefined) {
+            sceneId = this.currentSceneId;
+        }
+        var scene = this.scenes.get(sceneId);
+        if (! scene) {
+            return SceneManager.STATUS_CONSTANTS.lootScene.doesNotExist;
+        }
+        if (! scene.lootTable) {
+            return SceneManager.STATUS_CONSTANTS.lootScene.noLoot;
+        }
+        if (this.lootedSceneIds.has(sceneId)) {
+            return SceneManager.STATUS_CONSTANTS.lootScene.alreadyLooted;
+        }
+        this.lootedSceneIds.add(sceneId);
+        this.emit('sceneLooted', {
+            sceneId: sceneId,
+            loot: scene.lootTable.give(player)
+        });
+        return SceneManager.STATUS_CONSTANTS.lootScene.success;
+    }
+
+    /**
+     * Returns the current scene, history and looted scenes as plain
+     * JSON-serializable data.
+     */
+    toJSON() {
+        return {
+            currentSceneId: this.currentSceneId,
+            history: this.history.slice(),
+            lootedSceneIds: Array.from(this.lootedSceneIds)
+        };
+    }
+
+    /**
+     * Restores the current scene, history and looted scenes from the data
+     * returned by `toJSON()`, and re-renders. The enter/exit hooks aren't
+     * called, since the player isn't really moving.
+     */
+    restore(data) {
+        this.currentSceneId = data.currentSceneId;
+        this.history = data.history.slice();
+        // saves from before loot was tracked don't have it
+        this.lootedSceneIds = new Set(data.lootedSceneIds || []);
+        this.render();
+    }
+
+    /**
+     * Renders the current scene into the container (if there is one),
+     * replacing what was there.
+     */
+    render() {
+        if (! this.container) {
+            return;
+        }
+        this.container.innerHTML = '';
+        var scene = this.getCurrentScene();
+        if (scene) {
+            this.container.appendChild(this._buildSceneEl(scene));
+        }
+    }
+
+    /**
+     * Does the actual switch between scenes for goTo() and back().
+     */
+    _switchTo(sceneId, callback) {
+        var previousSceneId = this.currentSceneId;
+        var previousScene = this.getCurrentScene();
+        if (previousScene) {
+            previousScene.onExit(this, sceneId);
+            this.emit('sceneExit', {
+                sceneId: previousSceneId,
+                nextSceneId: sceneId
+            });
+        }
+
+        this.currentSceneId = sceneId;
+        var enter = () => {
+            this.getCurrentScene().onEnter(this, previousSceneId);
+            this.emit('sceneEnter', {
+                sceneId: sceneId,
+                previousSceneId: previousSceneId
+            });
+            if (callback) {
+                callback();
+            }
+        };
+
+        if (! this.container || ! this.transitions) {
+            this.render();
+            enter();
+            return;
+        }
+
+        // fade the old scene out (if there is one), render, fade the new one
+        // in
+        this.inTransition = true;
+        var fadeOptions = {fadeTimeStep: this.fadeTimeStep};
+        var fadeInNewScene = () => {
+            this.render();
+            this.container.style.opacity = 0.0;
+            WebUtils.fadeIn(this.container, () => {
+                this.inTransition = false;
+                enter();
+            }, fadeOptions);
+        };
+        if (previousScene) {
+            WebUtils.fadeOut(this.container, fadeInNewScene, fadeOptions);
+        }
+        else {
+            fadeInNewScene();
+        }
+    }
+
+    /**
+     * Builds the HTML element for the scene: content, hotspots, then exits.
+     */
+    _buildSceneEl(scene) {
+        var sceneEl = document.createElement('div');
+        sceneEl.className = 'plawser-scene';
+        // so that area hotspots are positioned relative to the scene
+        sceneEl.style.position = 'relative';
+
+        var content = scene.content;
+        if (typeof content == 'function') {
+            content = content(this);
+        }
+        if (typeof content == 'string') {
+            sceneEl.innerHTML = content;
+        }
+        else if (content) {
+            sceneEl.appendChild(content);
+        }
+
+        for (const hotspot of scene.hotspots) {
+            let hotspotEls = [];
+            if (hotspot.selector) {
+                hotspotEls = Array.from(
+                    sceneEl.querySelectorAll(hotspot.selector)
+                );
+            }
+            else if (hotspot.area) {
+                let areaEl = document.createElement('div');
+                areaEl.className = 'plawser-hotspot';
+                areaEl.style.position = 'absolute';
+                areaEl.style.left = hotspot.area.x + '%';
+                areaEl.style.top = hotspot.area.y + '%';
+                areaEl.style.width = hotspot.area.width + '%';
+                areaEl.style.height = hotspot.area.height + '%';
+                sceneEl.appendChild(areaEl);
+                hotspotEls = [areaEl];
+            }
+            for (const hotspotEl of hotspotEls) {
+                hotspotEl.style.cursor = 'pointer';
+                if (hotspot.label) {
+                    hotspotEl.title = hotspot.label;
+                }
+                hotspotEl.onclick = () => {
+                    this.activateHotspot(hotspot);
+                };
+            }
+        }
+
+        if (scene.exits.length > 0) {
+            let exitsEl = document.createElement('div');
+            exitsEl.className = 'plawser-scene-exits';
+            for (const exit of scene.exits) {
+                let exitButton = document.createElement('button');
+                exitButton.textContent = exit.label;
+                exitButton.onclick = () => {
+                    this.goTo(exit.target);
+                };
+                exitsEl.appendChild(exitButton);
+            }
+            sceneEl.appendChild(exitsEl);
+        }
+
+        return sceneEl;
+    }
+}
+
+module.exports = {
+    Scene: Scene,
+    SceneManager: SceneManager
+};
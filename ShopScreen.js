@@ -0,0 +1,408 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var WebUtils = require('./WebUtils').WebUtils;
+var Slideshow = require('./Slideshow').Slideshow;
+var TextFormatter = require('./TextFormatter').TextFormatter;
+
+/**
+ * Constructs a ShopScreen, which is a ready-made UI for trading with a
+ * `Merchant` (see Merchant.js):
+ *
+ * ```
+ *  var shop = new ShopScreen(merchant, player);
+ *  shop.on('close', () => {
+ *      shop.destroy();
+ *      panelEl.removeChild(shop.element);
+ *  });
+ *  panelEl.appendChild(shop.element);
+ * ```
+ *
+ * The screen shows the merchant's name, the player's money, a choice between
+ * buying and selling (see `WebUtils.prepareElsAsSelectableBlocks()`), and the
+ * wares (or the player's items) as selectable cards in a `Slideshow` (see
+ * Slideshow.js.) The slideshow is constructed directly rather than with
+ * `WebUtils.prepareSlideshow()`, which only returns its element, since the
+ * screen needs the instance to change the cards as the stock changes. Cards
+ * the player can't trade, e.g. can't afford, are disabled. The selected card
+ * is traded with the Buy/Sell button (or `trade()`), and the outcome is
+ * described in a message line, e.g. "You buy a potion for 10 gold."
+ *
+ * The HTML element for the screen is `element` (a div), which keeps itself
+ * up to date with the merchant and the player.
+ *
+ * A ShopScreen is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * trade -- `{mode, item, quantity, status}`, after every trade attempt,
+ *      where the status is one of `Merchant.STATUS_CONSTANTS.buy` or
+ *      `.sell`, depending on the mode
+ *
+ * close -- `{}`, when the Leave button is clicked
+ *
+ * @param merchant (required)
+ *      the `Merchant` to trade with
+ * @param player (required)
+ *      the `Player` who trades (see Player.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      numVisible -- the number of cards visible at a time, default 3
+ *
+ *      formatPrice -- a function that writes a price, signature
+ *          `(number) --> string`, default e.g. "10 gold"
+ *
+ *      formatter -- the `TextFormatter` (see TextFormatter.js) for the
+ *          messages, default one for the player
+ *
+ *      messages -- the message templates, in the same shape as
+ *          `ShopScreen.MESSAGES`, default those
+ */
+class ShopScreen extends EventEmitter {
+    static MODES = {
+        buy: 'buy',
+        sell: 'sell'
+    };
+
+    // The message templates for the outcome of a trade, by mode and status,
+    // filled in with `{item, quantity, price, merchant}` by the formatter
+    static MESSAGES = {
+        buy: {
+            invalidQuantity: 'You can\'t buy {quantity} of {item:the}.',
+            notInStock: '{merchant} has no more {item:plural}.',
+            levelTooLow: 'You aren\'t experienced enough for {item:the}.',
+            insufficientFunds: 'You can\'t afford {item:the}.',
+            inventoryFull: 'You have no room for {item:the}.',
+            success: 'You buy {item:#quantity} for {price}.'
+        },
+        sell: {
+            invalidQuantity: 'You can\'t sell {quantity} of {item:the}.',
+            doesNotHave: 'You don\'t have {item:the}.',
+            notWanted: '{merchant} doesn\'t want {item:the}.',
+            merchantInsufficientFunds: '{merchant} can\'t afford {item:the}.',
+            success: 'You sell {item:#quantity} for {price}.'
+        }
+    };
+
+    constructor(merchant, player, options) {
+        super();
+
+        this.merchant = merchant;
+        this.player = player;
+        this.numVisible = 3;
+        this.formatPrice = (price) => `${price} gold`;
+        this.formatter = null;
+        this.messages = ShopScreen.MESSAGES;
+        if (options) {
+            if (options.numVisible) {
+                this.numVisible = options.numVisible;
+            }
+            if (options.formatPrice) {
+                this.formatPrice = options.formatPrice;
+            }
+            if (options.formatter) {
+                this.formatter = options.formatter;
+            }
+            if (options.messages) {
+                this.messages = options.messages;
+            }
+        }
+        if (! this.formatter) {
+            this.formatter = new TextFormatter({player: player});
+        }
+
+        this.mode = ShopScreen.MODES.buy;
+        // the items of the cards currently shown, in order
+        this.items = [];
+        // the item of the selected card, kept across re-renders
+        this.selectedItem = null;
+        this._cardsController = null;
+
+        this._build();
+
+        // re-render whenever the stock, the money or the items change
+        this._unsubscribers = [
+            'moneyChanged', 'itemAdded', 'itemRemoved', 'levelUp', 'levelDown'
+        ].map((eventName) => this.player.on(eventName, () => this.render()));
+        for (const eventName of ['itemBought', 'itemSold', 'restocked']) {
+            this._unsubscribers.push(
+                this.merchant.on(eventName, () => this.render())
+            );
+        }
+        this.render();
+    }
+
+    /**
+     * Switches between buying and selling (one of `ShopScreen.MODES`.)
+     */
+    setMode(mode) {
+        if (mode == this.mode) {
+            return;
+        }
+        this.mode = mode;
+        this.selectedItem = null;
+        this._modeController.setSelected(
+            (mode == ShopScreen.MODES.buy) ? 0 : 1
+        );
+        var actionLabel = (mode == ShopScreen.MODES.buy) ? 'Buy' : 'Sell';
+        this.actionButton.textContent = actionLabel;
+        this.actionButton.setAttribute('aria-label', actionLabel);
+        this.messageEl.textContent = '';
+        this.render();
+    }
+
+    /**
+     * Returns the price of one of the item in the current mode.
+     */
+    getPrice(item) {
+        if (this.mode == ShopScreen.MODES.buy) {
+            return this.merchant.getBuyPrice(item, this.player);
+        }
+        return this.merchant.getSellPrice(item, this.player);
+    }
+
+    /**
+     * Buys or sells (depending on the mode) the given quantity (default 1)
+     * of the selected item, shows the outcome in the message line, and
+     * returns the status constant of `Merchant.buy()` or `Merchant.sell()`,
+     * or null if nothing is selected.
+     */
+    trade(quantity) {
+        if (quantity === undefined) {
+            quantity = 1;
+        }
+        var item = this.selectedItem;
+        if (! item) {
+            return null;
+        }
+        var price = this.getPrice(item) * quantity;
+        var status = (this.mode == ShopScreen.MODES.buy) ? (
+            this.merchant.buy(this.player, item, quantity)
+        ) : this.merchant.sell(this.player, item, quantity);
+
+        this.messageEl.innerHTML = this.formatter.format(
+            this.messages[this.mode][status], {
+                item: item,
+                quantity: quantity,
+                price: this.formatPrice(price),
+                merchant: this.merchant
+            }
+        );
+        this.emit('trade', {
+            mode: this.mode,
+            item: item,
+            quantity: quantity,
+            status: status
+        });
+        return status;
+    }
+
+    /**
+     * Re-renders the money and the cards from the merchant's and the
+     * player's current state. This is done automatically when they change.
+     */
+    render() {
+        this.moneyEl.textContent = `Money: ${this.formatPrice(
+            this.player.money
+        )}`;
+
+        if (this._cardsController) {
+            this._cardsController.destroy();
+        }
+        this.items = (this.mode == ShopScreen.MODES.buy) ? (
+            this.merchant.getWares(this.player).map((entry) => entry.item)
+        ) : this._getPlayerItems();
+        if (! this.items.includes(this.selectedItem)) {
+            this.selectedItem = null;
+        }
+
+        var cards = this.items.map((item) => this._buildCard(item));
+        this.slideshow.setItems(cards);
+        this.emptyEl.style.display = (cards.length > 0) ? 'none' : '';
+        this.emptyEl.textContent = (this.mode == ShopScreen.MODES.buy) ? (
+            'Nothing for sale.'
+        ) : 'You have nothing to sell.';
+
+        this._cardsController = WebUtils.prepareElsAsSelectableBlocks(cards, {
+            label: (this.mode == ShopScreen.MODES.buy) ? 'Wares' : 'Your items',
+            groupEl: this.listEl,
+            onSelect: (index) => {
+                this.selectedItem = this.items[index];
+                this.actionButton.disabled = false;
+            }
+        });
+        for (let i=0; i<this.items.length; i++) {
+            if (! this._canTrade(this.items[i])) {
+                this._cardsController.setDisabled(i, true);
+            }
+        }
+        var selectedIndex = this.items.indexOf(this.selectedItem);
+        if (selectedIndex != -1 && this._canTrade(this.selectedItem)) {
+            this._cardsController.setSelected(selectedIndex);
+        }
+        else {
+            this.selectedItem = null;
+        }
+        this.actionButton.disabled = ! this.selectedItem;
+    }
+
+    /**
+     * Stops following the merchant's and the player's changes.
+     */
+    destroy() {
+        for (const unsubscribe of this._unsubscribers) {
+            unsubscribe();
+        }
+        this._unsubscribers = [];
+        if (this._cardsController) {
+            this._cardsController.destroy();
+            this._cardsController = null;
+        }
+        this._modeController.destroy();
+        this.slideshow.destroy();
+    }
+
+    /**
+     * Builds the parts of the element that don't change: the header, the
+     * mode choice, the slideshow and the buttons.
+     */
+    _build() {
+        this.element = document.createElement('div');
+        this.element.className = 'plawser-shop';
+        this.element.setAttribute('role', 'group');
+        this.element.setAttribute('aria-label', this.merchant.name);
+
+        var nameEl = document.createElement('div');
+        nameEl.className = 'plawser-shop-name';
+        nameEl.textContent = this.merchant.name;
+        this.element.appendChild(nameEl);
+
+        this.moneyEl = document.createElement('div');
+        this.moneyEl.className = 'plawser-shop-money';
+        this.moneyEl.setAttribute('aria-live', 'polite');
+        this.element.appendChild(this.moneyEl);
+
+        var modesEl = document.createElement('div');
+        modesEl.className = 'plawser-shop-modes';
+        var modeEls = ['Buy', 'Sell'].map((label) => {
+            var modeEl = document.createElement('div');
+            modeEl.className = 'plawser-shop-mode';
+            modeEl.textContent = label;
+            modesEl.appendChild(modeEl);
+            return modeEl;
+        });
+        this.element.appendChild(modesEl);
+        this._modeController = WebUtils.prepareElsAsSelectableBlocks(modeEls, {
+            label: 'Buy or sell',
+            onSelect: (index) => {
+                this.setMode(
+                    (index == 0) ? ShopScreen.MODES.buy : ShopScreen.MODES.sell
+                );
+            }
+        });
+        this._modeController.setSelected(0);
+
+        this.listEl = document.createElement('div');
+        this.listEl.className = 'plawser-shop-list';
+        this.slideshow = new Slideshow([], {numVisible: this.numVisible});
+        this.listEl.appendChild(this.slideshow.element);
+        this.emptyEl = document.createElement('div');
+        this.emptyEl.className = 'plawser-shop-empty';
+        this.listEl.appendChild(this.emptyEl);
+        this.element.appendChild(this.listEl);
+
+        var buttonsEl = document.createElement('div');
+        buttonsEl.className = 'plawser-shop-buttons';
+        this.actionButton = this._createButton('Buy', 'Buy', () => {
+            this.trade();
+        });
+        buttonsEl.appendChild(this.actionButton);
+        buttonsEl.appendChild(this._createButton('Leave', 'Leave', () => {
+            this.emit('close', {});
+        }));
+        this.element.appendChild(buttonsEl);
+
+        this.messageEl = document.createElement('div');
+        this.messageEl.className = 'plawser-shop-message';
+        this.messageEl.setAttribute('aria-live', 'polite');
+        this.element.appendChild(this.messageEl);
+    }
+
+    /**
+     * Builds the card of the item: its name, description, price and
+     * quantity.
+     */
+    _buildCard(item) {
+        var cardEl = document.createElement('div');
+        cardEl.className = 'plawser-shop-card';
+
+        var nameEl = document.createElement('div');
+        nameEl.className = 'plawser-shop-card-name';
+        nameEl.textContent = item.name;
+        cardEl.appendChild(nameEl);
+
+        if (item.description) {
+            let descriptionEl = document.createElement('div');
+            descriptionEl.className = 'plawser-shop-card-description';
+            descriptionEl.innerHTML = item.description;
+            cardEl.appendChild(descriptionEl);
+        }
+
+        var priceEl = document.createElement('div');
+        priceEl.className = 'plawser-shop-card-price';
+        priceEl.textContent = this.formatPrice(this.getPrice(item));
+        cardEl.appendChild(priceEl);
+
+        var quantity = (this.mode == ShopScreen.MODES.buy) ? (
+            this.merchant.getQuantity(item)
+        ) : this.player.inventory.count(item);
+        if (quantity != Infinity) {
+            let quantityEl = document.createElement('div');
+            quantityEl.className = 'plawser-shop-card-quantity';
+            quantityEl.textContent = (this.mode == ShopScreen.MODES.buy) ? (
+                `In stock: ${quantity}`
+            ) : `You have: ${quantity}`;
+            cardEl.appendChild(quantityEl);
+        }
+        return cardEl;
+    }
+
+    /**
+     * Whether one of the item can be traded in the current mode right now.
+     */
+    _canTrade(item) {
+        var price = this.getPrice(item);
+        if (this.mode == ShopScreen.MODES.buy) {
+            return price <= this.player.money
+                && this.player.inventory.canAdd(item, 1);
+        }
+        return this.merchant.buysItem(item) && price <= this.merchant.money;
+    }
+
+    /**
+     * Returns the distinct items the player carries, in inventory order.
+     */
+    _getPlayerItems() {
+        var items = [];
+        for (const stack of this.player.inventory.stacks) {
+            if (! items.includes(stack.item)) {
+                items.push(stack.item);
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Creates a button with the given HTML, accessible label and click
+     * handler.
+     */
+    _createButton(html, label, onClick) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.innerHTML = html;
+        button.setAttribute('aria-label', label);
+        button.onclick = onClick;
+        return button;
+    }
+}
+
+module.exports = {
+    ShopScreen: ShopScreen
+};
@@ -0,0 +1,293 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+
+/**
+ * Constructs a SkillPointAllocator, which is a reusable UI for spending the
+ * player's unspent skill points (see `Player.spendSkillPoints()`), e.g.
+ * after a level up:
+ *
+ * ```
+ *  player.on('skillPointsGained', () => {
+ *      var allocator = new SkillPointAllocator(player);
+ *      allocator.on('confirm', () => {
+ *          allocator.destroy();
+ *          panelEl.removeChild(allocator.element);
+ *      });
+ *      panelEl.appendChild(allocator.element);
+ *  });
+ * ```
+ *
+ * Every skill has a row with its value and -/+ buttons. Points are only
+ * pending until the Confirm button (or `confirm()`) spends them, so the
+ * player can change their mind with the - buttons or Reset.
+ *
+ * The HTML element for the allocator is `element` (a div), which keeps
+ * itself up to date with the player.
+ *
+ * A SkillPointAllocator is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * change -- `{skillName, pending, remaining}`, when a pending allocation
+ *      changes, where remaining is the number of points not yet allocated
+ *
+ * confirm -- `{allocations}`, once the pending points are spent, where
+ *      allocations is a map of skill name to points spent
+ *
+ * @param player (required)
+ *      the `Player` whose points are spent (see Player.js)
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      skills -- an array of the names of the skills that can be improved,
+ *          default all of the player's skills
+ *
+ *      showDescriptions -- whether to show the skills' descriptions, default
+ *          true
+ */
+class SkillPointAllocator extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        allocate: {
+            doesNotExist: 'doesNotExist',
+            notEnoughPoints: 'notEnoughPoints',
+            nothingToRemove: 'nothingToRemove',
+            success: 'success'
+        }
+    };
+
+    constructor(player, options) {
+        super();
+
+        this.player = player;
+        this.skillNames = null;
+        this.showDescriptions = true;
+        if (options) {
+            if (options.skills) {
+                this.skillNames = options.skills;
+            }
+            if (options.showDescriptions !== undefined) {
+                this.showDescriptions = options.showDescriptions;
+            }
+        }
+
+        // map of skill name to the points allocated but not yet spent
+        this.pending = new Map();
+
+        this.element = document.createElement('div');
+        this.element.className = 'plawser-skill-allocator';
+        this.element.setAttribute('role', 'group');
+        this.element.setAttribute('aria-label', 'Skill points');
+
+        // re-render whenever the player's skills or points change
+        this._unsubscribers = [
+            'skillAdded', 'skillImproved', 'skillPointsGained'
+        ].map((eventName) => this.player.on(eventName, () => this.render()));
+        this._unsubscribers.push(this.player.on('skillPointsSpent', () => {
+            // points spent elsewhere can leave fewer than are allocated, in
+            // which case the allocation starts over
+            if (this.getRemainingPoints() < 0) {
+                this.pending = new Map();
+            }
+            this.render();
+        }));
+        this.render();
+    }
+
+    /**
+     * Returns the names of the skills that can be improved.
+     */
+    getSkillNames() {
+        var skillNames = this.skillNames || Array.from(
+            this.player.skills.keys()
+        );
+        return skillNames.filter((name) => this.player.skills.has(name));
+    }
+
+    /**
+     * Returns the number of unspent points not yet allocated.
+     */
+    getRemainingPoints() {
+        var allocated = 0;
+        for (const points of this.pending.values()) {
+            allocated += points;
+        }
+        return this.player.unspentSkillPoints - allocated;
+    }
+
+    /**
+     * Changes the points allocated to the skill by the amount (default 1;
+     * negative to take points back.) Returns the appropriate status constant
+     * above and fails completely if not successful (atomic failure.)
+     */
+    allocate(skillName, amount) {
+        if (amount === undefined) {
+            amount = 1;
+        }
+        if (! this.getSkillNames().includes(skillName)) {
+            return SkillPointAllocator.STATUS_CONSTANTS.allocate.doesNotExist;
+        }
+        var pending = this.pending.get(skillName) || 0;
+        if (amount > this.getRemainingPoints()) {
+            return SkillPointAllocator.STATUS_CONSTANTS.allocate
+                .notEnoughPoints;
+        }
+        if (pending + amount < 0) {
+            return SkillPointAllocator.STATUS_CONSTANTS.allocate
+                .nothingToRemove;
+        }
+
+        this.pending.set(skillName, pending + amount);
+        this.emit('change', {
+            skillName: skillName,
+            pending: pending + amount,
+            remaining: this.getRemainingPoints()
+        });
+        this.render();
+        return SkillPointAllocator.STATUS_CONSTANTS.allocate.success;
+    }
+
+    /**
+     * Takes back every pending point.
+     */
+    reset() {
+        this.pending = new Map();
+        this.render();
+    }
+
+    /**
+     * Spends the pending points on their skills.
+     */
+    confirm() {
+        var allocations = new Map();
+        // cleared first, since spending re-renders
+        var pending = this.pending;
+        this.pending = new Map();
+        for (const [skillName, points] of pending) {
+            if (points > 0) {
+                this.player.spendSkillPoints(skillName, points);
+                allocations.set(skillName, points);
+            }
+        }
+        this.render();
+        this.emit('confirm', {allocations: allocations});
+    }
+
+    /**
+     * Re-renders the element from the player's current state. This is done
+     * automatically when the player's skills or points change.
+     */
+    render() {
+        // the buttons are rebuilt, so we keep the focus on the same one
+        var focusedLabel = null;
+        if (this.element.contains(document.activeElement)) {
+            focusedLabel = document.activeElement.getAttribute('aria-label');
+        }
+        this.element.innerHTML = '';
+
+        var remainingEl = document.createElement('div');
+        remainingEl.className = 'plawser-skill-allocator-remaining';
+        remainingEl.setAttribute('aria-live', 'polite');
+        remainingEl.textContent = `Skill points: ${this.getRemainingPoints()}`;
+        this.element.appendChild(remainingEl);
+
+        for (const skillName of this.getSkillNames()) {
+            this.element.appendChild(this._buildRow(skillName));
+        }
+
+        var buttonsEl = document.createElement('div');
+        buttonsEl.className = 'plawser-skill-allocator-buttons';
+        var hasPending = this.getRemainingPoints()
+            < this.player.unspentSkillPoints;
+        var resetButton = this._createButton('Reset', 'Reset', () => {
+            this.reset();
+        });
+        resetButton.disabled = ! hasPending;
+        var confirmButton = this._createButton('Confirm', 'Confirm', () => {
+            this.confirm();
+        });
+        confirmButton.disabled = ! hasPending;
+        buttonsEl.appendChild(resetButton);
+        buttonsEl.appendChild(confirmButton);
+        this.element.appendChild(buttonsEl);
+
+        for (const button of this.element.querySelectorAll('button')) {
+            if (button.getAttribute('aria-label') == focusedLabel
+                    && ! button.disabled) {
+                button.focus();
+            }
+        }
+    }
+
+    /**
+     * Stops following the player's changes.
+     */
+    destroy() {
+        for (const unsubscribe of this._unsubscribers) {
+            unsubscribe();
+        }
+        this._unsubscribers = [];
+    }
+
+    /**
+     * Builds the row of the skill: its name, value, pending points and
+     * buttons.
+     */
+    _buildRow(skillName) {
+        var skill = this.player.skills.get(skillName);
+        var pending = this.pending.get(skillName) || 0;
+
+        var rowEl = document.createElement('div');
+        rowEl.className = 'plawser-skill-allocator-row';
+
+        var nameEl = document.createElement('span');
+        nameEl.className = 'plawser-skill-allocator-name';
+        nameEl.textContent = skillName;
+        rowEl.appendChild(nameEl);
+
+        var valueEl = document.createElement('span');
+        valueEl.className = 'plawser-skill-allocator-value';
+        valueEl.textContent = (pending > 0) ? (
+            `${skill.value} (+${pending})`
+        ) : String(skill.value);
+        rowEl.appendChild(valueEl);
+
+        var minusButton = this._createButton(
+            '&minus;', `Remove a point from ${skillName}`, () => {
+                this.allocate(skillName, -1);
+            }
+        );
+        minusButton.disabled = (pending == 0);
+        var plusButton = this._createButton(
+            '+', `Add a point to ${skillName}`, () => {
+                this.allocate(skillName, 1);
+            }
+        );
+        plusButton.disabled = (this.getRemainingPoints() <= 0);
+        rowEl.appendChild(minusButton);
+        rowEl.appendChild(plusButton);
+
+        if (this.showDescriptions && skill.description) {
+            let descriptionEl = document.createElement('div');
+            descriptionEl.className = 'plawser-skill-allocator-description';
+            descriptionEl.innerHTML = skill.description;
+            rowEl.appendChild(descriptionEl);
+        }
+        return rowEl;
+    }
+
+    /**
+     * Creates a button with the given HTML, accessible label and click
+     * handler.
+     */
+    _createButton(html, label, onClick) {
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.innerHTML = html;
+        button.setAttribute('aria-label', label);
+        button.onclick = onClick;
+        return button;
+    }
+}
+
+module.exports = {
+    SkillPointAllocator: SkillPointAllocator
+};
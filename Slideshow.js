@@ -0,0 +1,368 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+var WebUtils = require('./WebUtils').WebUtils;
+
+/**
+ * Constructs a Slideshow, which shows the given divs in a "slideshow" row a
+ * page at a time, where arrows to either side can be clicked to navigate
+ * between pages. Handles transitions as well.
+ *
+ * (Since movement transitions can be complex with many nested elements
+ * having their own absolute/relative/etc positions, we do fade transitions
+ * here.)
+ *
+ * The slideshow can also be navigated with the left/right arrow keys (once
+ * it has the focus) and by swiping on touch screens, and from code with
+ * `next()`, `prev()` and `goTo()`. Its items can be replaced at any time with
+ * `setItems()`, e.g. for an inventory or shop list whose contents change.
+ *
+ * The HTML element for the slideshow is `element` (a table); the divs are
+ * added directly (therefore modifying their parents), rather than copied.
+ *
+ * A Slideshow is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * pageChange -- `{page, previousPage}`, when the current page changes
+ *
+ * @param divs (required)
+ *      the array of divs to show
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      numVisible -- the number of divs visible at a time, default 3; or
+ *          'auto' to fit as many as possible in the width of the
+ *          slideshow's parent element (see itemWidth), which is recomputed
+ *          once the slideshow is attached to the page and whenever the
+ *          parent is resized
+ *
+ *      itemWidth -- with numVisible 'auto', the width of a div in pixels,
+ *          default 150
+ *
+ *      fadeTimeStep -- the time step for the next frame of the fade
+ *          animation, default 10 milliseconds
+ *
+ *      showIndicator -- whether to show the page indicator (e.g. "2 / 5")
+ *          below the row, default true
+ */
+class Slideshow extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        goTo: {
+            outOfRange: 'outOfRange',
+            success: 'success'
+        }
+    };
+
+    // how far (in pixels) a touch has to move sideways to count as a swipe
+    static SWIPE_THRESHOLD = 50;
+
+    constructor(divs, options) {
+        super();
+
+        this.numVisibleOption = 3;
+        this.itemWidth = 150;
+        this.fadeTimeStep = 10;
+        this.showIndicator = true;
+        if (options) {
+            if (options.numVisible) {
+                this.numVisibleOption = options.numVisible;
+            }
+            if (options.itemWidth) {
+                this.itemWidth = options.itemWidth;
+            }
+            if (options.fadeTimeStep) {
+                this.fadeTimeStep = options.fadeTimeStep;
+            }
+            if (options.showIndicator !== undefined) {
+                this.showIndicator = options.showIndicator;
+            }
+        }
+
+        this.items = divs.slice();
+        this.page = 0;
+        this.inTransition = false;
+
+        // To show a row, we use a table html element with a single row: the
+        // left arrow button, the divs of the current page, then the right
+        // arrow button. When the page changes, we fade the row out, swap the
+        // divs, and fade it back in.
+
+        this.element = document.createElement('table');
+        this.element.className = 'plawser-slideshow';
+        // focusable, for the arrow keys
+        this.element.tabIndex = 0;
+        this.rowEl = document.createElement('tr');
+        this.element.appendChild(this.rowEl);
+
+        this.leftButton = this._createButton('&larr;', 'Previous page');
+        this.leftButton.onclick = () => {
+            this.prev();
+        };
+        this.rightButton = this._createButton('&rarr;', 'Next page');
+        this.rightButton.onclick = () => {
+            this.next();
+        };
+
+        this.indicatorEl = document.createElement('caption');
+        this.indicatorEl.className = 'plawser-slideshow-indicator';
+        this.indicatorEl.style.captionSide = 'bottom';
+        this.indicatorEl.setAttribute('aria-live', 'polite');
+        if (this.showIndicator) {
+            this.element.appendChild(this.indicatorEl);
+        }
+
+        this._onKeyDown = (e) => {
+            if (e.key == 'ArrowLeft') {
+                e.preventDefault();
+                this.prev();
+            }
+            else if (e.key == 'ArrowRight') {
+                e.preventDefault();
+                this.next();
+            }
+        };
+        this._touchStartX = null;
+        this._onTouchStart = (e) => {
+            this._touchStartX = e.changedTouches[0].clientX;
+        };
+        this._onTouchEnd = (e) => {
+            if (this._touchStartX === null) {
+                return;
+            }
+            var dx = e.changedTouches[0].clientX - this._touchStartX;
+            this._touchStartX = null;
+            if (dx <= -Slideshow.SWIPE_THRESHOLD) {
+                this.next();
+            }
+            else if (dx >= Slideshow.SWIPE_THRESHOLD) {
+                this.prev();
+            }
+        };
+        this.element.addEventListener('keydown', this._onKeyDown);
+        this.element.addEventListener('touchstart', this._onTouchStart);
+        this.element.addEventListener('touchend', this._onTouchEnd);
+
+        this._resizeObserver = null;
+        // the element being observed by the resize observer
+        this._observedEl = null;
+        this._onResize = () => {
+            this.refreshLayout();
+        };
+        if (this.numVisibleOption == 'auto') {
+            if (typeof ResizeObserver != 'undefined') {
+                // the slideshow itself changes size once it's attached, which
+                // is when we find its parent and observe that too (see
+                // refreshLayout())
+                this._resizeObserver = new ResizeObserver(this._onResize);
+                this._resizeObserver.observe(this.element);
+            }
+            else {
+                window.addEventListener('resize', this._onResize);
+            }
+        }
+
+        this.numVisible = this._computeNumVisible();
+        this._render();
+    }
+
+    /**
+     * The index of the current page.
+     */
+    get currentPage() {
+        return this.page;
+    }
+
+    /**
+     * The number of pages (at least 1, even with no items.)
+     */
+    get pageCount() {
+        return Math.max(Math.ceil(this.items.length / this.numVisible), 1);
+    }
+
+    /**
+     * Goes to the next page. Returns the appropriate status constant of
+     * `goTo` above.
+     */
+    next() {
+        return this.goTo(this.page + 1);
+    }
+
+    /**
+     * Goes to the previous page. Returns the appropriate status constant of
+     * `goTo` above.
+     */
+    prev() {
+        return this.goTo(this.page - 1);
+    }
+
+    /**
+     * Goes to the page with the given index, with a fade transition. Returns
+     * the appropriate status constant above.
+     */
+    goTo(page) {
+        if (page < 0 || page >= this.pageCount) {
+            return Slideshow.STATUS_CONSTANTS.goTo.outOfRange;
+        }
+        if (page == this.page) {
+            return Slideshow.STATUS_CONSTANTS.goTo.success;
+        }
+
+        var previousPage = this.page;
+        this.page = page;
+        this.emit('pageChange', {page: page, previousPage: previousPage});
+
+        // if a transition is already going on, it will show whatever the
+        // current page is once it's done (see _transition())
+        if (! this.inTransition) {
+            this._transition();
+        }
+        return Slideshow.STATUS_CONSTANTS.goTo.success;
+    }
+
+    /**
+     * Replaces the items with the given array of divs, staying on the same
+     * page if it still exists (or else going to the last page.)
+     */
+    setItems(divs) {
+        this.items = divs.slice();
+        this._clampPage();
+        this._render();
+    }
+
+    /**
+     * Recomputes how many divs fit (with numVisible 'auto') and re-renders,
+     * keeping the first visible div on the page shown. This is called
+     * automatically once the slideshow is attached and on resize (where
+     * there's no ResizeObserver, only when the window is resized, so it's
+     * then worth calling once the slideshow is attached.)
+     */
+    refreshLayout() {
+        if (this._resizeObserver && this.element.parentElement
+                && this._observedEl !== this.element.parentElement) {
+            if (this._observedEl) {
+                this._resizeObserver.unobserve(this._observedEl);
+            }
+            this._observedEl = this.element.parentElement;
+            this._resizeObserver.observe(this._observedEl);
+        }
+
+        var numVisible = this._computeNumVisible();
+        if (numVisible == this.numVisible) {
+            return;
+        }
+        var firstVisible = this.page * this.numVisible;
+        this.numVisible = numVisible;
+        this.page = Math.floor(firstVisible / numVisible);
+        this._clampPage();
+        this._render();
+    }
+
+    /**
+     * Removes the handlers added by the slideshow (the element itself is
+     * left for the caller to remove.)
+     */
+    destroy() {
+        this.element.removeEventListener('keydown', this._onKeyDown);
+        this.element.removeEventListener('touchstart', this._onTouchStart);
+        this.element.removeEventListener('touchend', this._onTouchEnd);
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+        }
+        else if (this.numVisibleOption == 'auto') {
+            window.removeEventListener('resize', this._onResize);
+        }
+    }
+
+    /**
+     * Creates an arrow button with the given HTML and accessible label.
+     */
+    _createButton(arrowHtml, label) {
+        var button = document.createElement('button');
+        // style the button to display nicely
+        button.style.height = '100%';
+        button.style.fontSize = 'large';
+        button.innerHTML = arrowHtml;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    /**
+     * Returns the number of divs to show per page.
+     */
+    _computeNumVisible() {
+        if (this.numVisibleOption != 'auto') {
+            return this.numVisibleOption;
+        }
+        var parentEl = this.element.parentElement;
+        if (! parentEl || ! parentEl.clientWidth) {
+            return 1;
+        }
+        return Math.max(Math.floor(parentEl.clientWidth / this.itemWidth), 1);
+    }
+
+    /**
+     * Keeps the page within range, e.g. after the items change.
+     */
+    _clampPage() {
+        var page = Math.min(this.page, this.pageCount - 1);
+        if (page != this.page) {
+            var previousPage = this.page;
+            this.page = page;
+            this.emit('pageChange', {page: page, previousPage: previousPage});
+        }
+    }
+
+    /**
+     * Fades the row out, renders the current page and fades it back in. If
+     * the page changed while fading in, does it all again, so the page shown
+     * is always the last one gone to.
+     */
+    _transition() {
+        this.inTransition = true;
+        var fadeOptions = {fadeTimeStep: this.fadeTimeStep};
+        WebUtils.fadeOut(this.rowEl, () => {
+            var renderedPage = this.page;
+            this._render();
+            WebUtils.fadeIn(this.rowEl, () => {
+                if (this.page != renderedPage) {
+                    this._transition();
+                }
+                else {
+                    this.inTransition = false;
+                }
+            }, fadeOptions);
+        }, fadeOptions);
+    }
+
+    /**
+     * Renders the current page into the row, and updates the buttons and
+     * the page indicator.
+     */
+    _render() {
+        this.rowEl.innerHTML = '';
+
+        var leftButtonTdEl = document.createElement('td');
+        leftButtonTdEl.appendChild(this.leftButton);
+        this.rowEl.appendChild(leftButtonTdEl);
+
+        var start = this.page * this.numVisible;
+        var end = Math.min(start + this.numVisible, this.items.length);
+        for (let i=start; i<end; i++) {
+            let tdEl = document.createElement('td');
+            tdEl.appendChild(this.items[i]);
+            this.rowEl.appendChild(tdEl);
+        }
+
+        var rightButtonTdEl = document.createElement('td');
+        rightButtonTdEl.appendChild(this.rightButton);
+        this.rowEl.appendChild(rightButtonTdEl);
+
+        // nothing comes before/after, button disabled
+        this.leftButton.disabled = (this.page == 0);
+        this.rightButton.disabled = (this.page >= this.pageCount - 1);
+        this.indicatorEl.textContent = `${this.page + 1} / ${this.pageCount}`;
+    }
+}
+
+module.exports = {
+    Slideshow: Slideshow
+};
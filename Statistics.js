@@ -0,0 +1,263 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+
+/**
+ * Constructs a Statistics, which counts gameplay facts, e.g. to show the
+ * player how they've played, or to unlock achievements (see
+ * Achievements.js.)
+ *
+ * Every statistic is a number with a name (see `Statistics.STATS` for the
+ * built-in ones), and can also be broken down by a key, e.g. enemies
+ * defeated by enemy id. Statistics are counted with `increment()`, either by
+ * the game or automatically by following the player, battles and the scene
+ * manager:
+ *
+ * ```
+ *  var statistics = new Statistics();
+ *  statistics.trackPlayer(player);
+ *  statistics.trackSceneManager(sceneManager);
+ *  // for every battle:
+ *  statistics.trackBattle(battle);
+ * ```
+ *
+ * The XP earned is also kept over time, in `xpHistory` (an array of
+ * `{time, amount, total}`.)
+ *
+ * The statistics can be saved with `toJSON()` and restored with
+ * `restore()`, e.g. as a `SaveManager` section (see SaveSystem.js.)
+ *
+ * A Statistics is an `EventEmitter` (see EventEmitter.js) and emits:
+ *
+ * statChanged -- `{stat, key, amount, value}`, when a statistic is
+ *      incremented, where key is null if not broken down, and value is the
+ *      new total
+ *
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      now -- a function that returns the current time for `xpHistory`,
+ *          signature `() --> number`, default `Date.now`
+ *
+ *      maxXpHistory -- the max number of entries kept in `xpHistory` (the
+ *          oldest are dropped), default 1000
+ */
+class Statistics extends EventEmitter {
+    // The statistics counted by the `track` methods, and what they're broken
+    // down by.
+    static STATS = {
+        // by enemy id (or name, if not registered)
+        enemiesDefeated: 'enemiesDefeated',
+        // by item id (or name)
+        itemsUsed: 'itemsUsed',
+        xpEarned: 'xpEarned',
+        // by skill name, counting the points the skill went up by
+        skillImprovements: 'skillImprovements',
+        // by scene id, counting every visit
+        scenesVisited: 'scenesVisited',
+        // by outcome (see `Battle.OUTCOMES`)
+        battlesFought: 'battlesFought'
+    };
+
+    constructor(options) {
+        super();
+
+        this.now = Date.now;
+        this.maxXpHistory = 1000;
+        if (options) {
+            if (options.now) {
+                this.now = options.now;
+            }
+            if (options.maxXpHistory) {
+                this.maxXpHistory = options.maxXpHistory;
+            }
+        }
+
+        // map of statistic name to its total
+        this.values = new Map();
+        // map of statistic name to a map of key to count
+        this.breakdowns = new Map();
+        this.xpHistory = [];
+    }
+
+    /**
+     * Adds the amount (default 1) to the statistic, and to its count for
+     * the key, if given.
+     */
+    increment(stat, amount, key) {
+        if (amount === undefined) {
+            amount = 1;
+        }
+        var value = this.get(stat) + amount;
+        this.values.set(stat, value);
+        if (key !== undefined && key !== null) {
+            if (! this.breakdowns.has(stat)) {
+                this.breakdowns.set(stat, new Map());
+            }
+            let breakdown = this.breakdowns.get(stat);
+            breakdown.set(key, (breakdown.get(key) || 0) + amount);
+        }
+        else {
+            key = null;
+        }
+        this.emit('statChanged', {
+            stat: stat,
+            key: key,
+            amount: amount,
+            value: value
+        });
+    }
+
+    /**
+     * Returns the total of the statistic, or its count for the key if
+     * given (0 if never counted.)
+     */
+    get(stat, key) {
+        if (key !== undefined && key !== null) {
+            let breakdown = this.breakdowns.get(stat);
+            return (breakdown && breakdown.get(key)) || 0;
+        }
+        return this.values.get(stat) || 0;
+    }
+
+    /**
+     * Returns the breakdown of the statistic, as an object of key to count.
+     */
+    getBreakdown(stat) {
+        return Object.fromEntries(this.breakdowns.get(stat) || []);
+    }
+
+    /**
+     * Returns the number of different keys the statistic was counted for,
+     * e.g. the number of different scenes visited.
+     */
+    countDistinct(stat) {
+        var breakdown = this.breakdowns.get(stat);
+        return breakdown ? breakdown.size : 0;
+    }
+
+    /**
+     * Follows the player's events to count the items used, the XP earned and
+     * the skill improvements. Returns a function that stops following.
+     */
+    trackPlayer(player) {
+        var unsubscribers = [
+            player.on('itemUsed', (data) => {
+                this.increment(
+                    Statistics.STATS.itemsUsed, 1,
+                    Statistics._getKey(data.item)
+                );
+            }),
+            player.on('xpChanged', (data) => {
+                var amount = data.newXp - data.oldXp;
+                if (amount > 0) {
+                    this._addXp(amount);
+                }
+            }),
+            player.on('skillImproved', (data) => {
+                var amount = data.newValue - data.oldValue;
+                if (amount > 0) {
+                    this.increment(
+                        Statistics.STATS.skillImprovements, amount,
+                        data.skillName
+                    );
+                }
+            })
+        ];
+        return () => {
+            for (const unsubscribe of unsubscribers) {
+                unsubscribe();
+            }
+        };
+    }
+
+    /**
+     * Follows the battle's events (see Battle.js) to count the enemies
+     * defeated and the battle's outcome. Returns a function that stops
+     * following (which happens by itself once the battle is over.)
+     */
+    trackBattle(battle) {
+        var unsubscribers = [
+            battle.on('enemyDefeated', (data) => {
+                this.increment(
+                    Statistics.STATS.enemiesDefeated, 1,
+                    Statistics._getKey(data.enemy)
+                );
+            }),
+            battle.on('end', (data) => {
+                this.increment(Statistics.STATS.battlesFought, 1, data.outcome);
+                stopTracking();
+            })
+        ];
+        var stopTracking = () => {
+            for (const unsubscribe of unsubscribers) {
+                unsubscribe();
+            }
+        };
+        return stopTracking;
+    }
+
+    /**
+     * Follows the scene manager's events (see Scene.js) to count the scenes
+     * visited. Returns a function that stops following.
+     */
+    trackSceneManager(sceneManager) {
+        return sceneManager.on('sceneEnter', (data) => {
+            this.increment(Statistics.STATS.scenesVisited, 1, data.sceneId);
+        });
+    }
+
+    /**
+     * Returns the statistics as plain JSON-serializable data.
+     */
+    toJSON() {
+        var breakdowns = {};
+        for (const [stat, breakdown] of this.breakdowns) {
+            breakdowns[stat] = Array.from(breakdown.entries());
+        }
+        return {
+            values: Array.from(this.values.entries()),
+            breakdowns: breakdowns,
+            xpHistory: this.xpHistory.slice()
+        };
+    }
+
+    /**
+     * Restores the statistics from the data returned by `toJSON()`.
+     */
+    restore(data) {
+        this.values = new Map(data.values);
+        this.breakdowns = new Map();
+        for (const stat of Object.keys(data.breakdowns)) {
+            this.breakdowns.set(stat, new Map(data.breakdowns[stat]));
+        }
+        this.xpHistory = (data.xpHistory || []).slice();
+    }
+
+    /**
+     * Counts the XP earned, and adds it to the XP history.
+     */
+    _addXp(amount) {
+        this.increment(Statistics.STATS.xpEarned, amount);
+        this.xpHistory.push({
+            time: this.now(),
+            amount: amount,
+            total: this.get(Statistics.STATS.xpEarned)
+        });
+        if (this.xpHistory.length > this.maxXpHistory) {
+            this.xpHistory.splice(0, this.xpHistory.length - this.maxXpHistory);
+        }
+    }
+
+    /**
+     * Returns the key a game object is counted under: its id, or its name
+     * if it isn't registered.
+     */
+    static _getKey(object) {
+        return (object.id === undefined || object.id === null) ? (
+            object.name
+        ) : object.id;
+    }
+}
+
+module.exports = {
+    Statistics: Statistics
+};
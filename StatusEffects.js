@@ -0,0 +1,326 @@
+var EventEmitter = require('./EventEmitter').EventEmitter;
+
+/**
+ * Constructs a StatusEffect, which is a definition of a named, temporary
+ * effect (e.g. "poisoned for 3 turns" or "strength +2 until the end of the
+ * battle") that can be put on the player or an enemy. The active effects of
+ * each are kept by a `StatusEffectManager` (below), so the same StatusEffect
+ * can be shared.
+ *
+ * Apart from the hooks, everything is plain data, so status effects can also
+ * be loaded from JSON (see ContentLoader.js.)
+ *
+ * @param id (required)
+ *      the unique string id of the effect
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      name -- the name shown to the player, default the id
+ *
+ *      description -- the description, where HTML is respected
+ *
+ *      duration -- how long the effect lasts, in the duration unit, default
+ *          3 (ignored for the 'battle' unit)
+ *
+ *      durationUnit -- one of `StatusEffect.DURATION_UNITS`: 'turns' (battle
+ *          turns), 'scenes' (scenes entered) or 'battle' (until the end of
+ *          the battle), default 'turns'
+ *
+ *      stacking -- what happens when the effect is added again while it's
+ *          active, one of `StatusEffect.STACKING_RULES`: 'refresh' (reset the
+ *          duration), 'extend' (add to the duration), 'stack' (add a stack,
+ *          up to maxStacks, and reset the duration) or 'ignore', default
+ *          'refresh'
+ *
+ *      maxStacks -- with 'stack', the max number of stacks, default 5
+ *
+ *      skillModifiers -- an object of skill name to the amount the skill
+ *          changes by (per stack) while the effect is active, e.g.
+ *          `{strength: 2}`; the base skill values aren't changed (see
+ *          `Player.getSkillValue()`)
+ *
+ *      hpPerTick -- the HP gained (or lost, if negative) per stack every
+ *          tick, e.g. -1 for poison, default 0
+ *
+ *      onApply, onTick, onExpire -- functions called when the effect is
+ *          added (or added again), every tick, and when it ends (expires or
+ *          is removed), signature `(StatusEffectManager object, active
+ *          effect) --> void`, where the active effect is
+ *          `{effect, remaining, stacks}`
+ */
+class StatusEffect {
+    static DURATION_UNITS = {
+        turns: 'turns',
+        scenes: 'scenes',
+        battle: 'battle'
+    };
+
+    static STACKING_RULES = {
+        refresh: 'refresh',
+        extend: 'extend',
+        stack: 'stack',
+        ignore: 'ignore'
+    };
+
+    constructor(id, options) {
+        this.id = id;
+        this.name = id;
+        this.description = '';
+        this.duration = 3;
+        this.durationUnit = StatusEffect.DURATION_UNITS.turns;
+        this.stacking = StatusEffect.STACKING_RULES.refresh;
+        this.maxStacks = 5;
+        this.skillModifiers = {};
+        this.hpPerTick = 0;
+        this.onApply = function(manager, active) {};
+        this.onTick = function(manager, active) {};
+        this.onExpire = function(manager, active) {};
+        if (options) {
+            for (const key of ['name', 'description', 'duration',
+                    'durationUnit', 'stacking', 'maxStacks', 'skillModifiers',
+                    'hpPerTick', 'onApply', 'onTick', 'onExpire']) {
+                if (options[key] !== undefined) {
+                    this[key] = options[key];
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Constructs a StatusEffectManager, which keeps the active status effects of
+ * one owner (the player, or an enemy in a battle), ticks their durations,
+ * and sums up their skill modifiers.
+ *
+ * Ticking is done by whoever owns the time unit: a `Battle` (see Battle.js)
+ * ticks 'turns' at the end of every turn and ends the 'battle' effects when
+ * it's over, while 'scenes' have to be ticked by the game, e.g.:
+ *
+ * ```
+ *  sceneManager.on('sceneEnter', () => {
+ *      player.statusEffects.tick(StatusEffect.DURATION_UNITS.scenes);
+ *  });
+ * ```
+ *
+ * A StatusEffectManager is an `EventEmitter` (see EventEmitter.js) and emits
+ * the following, each with `{effect, remaining, stacks}`:
+ *
+ * effectAdded -- when an effect is added (or added again)
+ *
+ * effectTicked -- when an effect ticks
+ *
+ * effectExpired -- when an effect ends (expires or is removed)
+ *
+ * @param owner (required)
+ *      the object the effects are on (e.g. the `Player`)
+ * @param changeHp (required)
+ *      a function that changes the owner's HP by the given amount (negative
+ *      for damage), signature `(number) --> void`, used for `hpPerTick`
+ */
+class StatusEffectManager extends EventEmitter {
+    // Status constants returned by the instance methods to indicate status
+    // (success, failure, etc.) of the operation.
+    static STATUS_CONSTANTS = {
+        add: {
+            added: 'added',
+            refreshed: 'refreshed',
+            extended: 'extended',
+            stacked: 'stacked',
+            ignored: 'ignored'
+        },
+        remove: {
+            notActive: 'notActive',
+            success: 'success'
+        }
+    };
+
+    constructor(owner, changeHp) {
+        super();
+
+        this.owner = owner;
+        this.changeHp = changeHp;
+        // map of effect id to `{effect, remaining, stacks}`
+        this.active = new Map();
+    }
+
+    /**
+     * Adds the status effect, following its stacking rule if it's already
+     * active. The duration (optional) overrides the effect's own. Returns
+     * the appropriate status constant above.
+     */
+    add(effect, duration) {
+        if (duration === undefined) {
+            duration = effect.duration;
+        }
+        var rules = StatusEffect.STACKING_RULES;
+        var statuses = StatusEffectManager.STATUS_CONSTANTS.add;
+        var status;
+        var active = this.active.get(effect.id);
+        if (! active) {
+            active = {effect: effect, remaining: duration, stacks: 1};
+            this.active.set(effect.id, active);
+            status = statuses.added;
+        }
+        else if (effect.stacking == rules.ignore) {
+            return statuses.ignored;
+        }
+        else if (effect.stacking == rules.extend) {
+            active.remaining += duration;
+            status = statuses.extended;
+        }
+        else if (effect.stacking == rules.stack) {
+            active.stacks = Math.min(active.stacks + 1, effect.maxStacks);
+            active.remaining = duration;
+            status = statuses.stacked;
+        }
+        else {
+            active.remaining = duration;
+            status = statuses.refreshed;
+        }
+
+        effect.onApply(this, active);
+        this.emit('effectAdded', StatusEffectManager._describe(active));
+        return status;
+    }
+
+    /**
+     * Removes the active effect with the given id (calling its `onExpire`.)
+     * Returns the appropriate status constant above.
+     */
+    remove(effectId) {
+        if (! this.active.has(effectId)) {
+            return StatusEffectManager.STATUS_CONSTANTS.remove.notActive;
+        }
+        this._expire(this.active.get(effectId));
+        return StatusEffectManager.STATUS_CONSTANTS.remove.success;
+    }
+
+    /**
+     * Whether the effect with the given id is active.
+     */
+    has(effectId) {
+        return this.active.has(effectId);
+    }
+
+    /**
+     * Returns an array of the active effects `{effect, remaining, stacks}`
+     * (copies, so they can be shown in the UI without being changed.)
+     */
+    getActive() {
+        return Array.from(this.active.values()).map(
+            StatusEffectManager._describe
+        );
+    }
+
+    /**
+     * Returns the sum of the active effects' modifiers of the skill.
+     */
+    getSkillModifier(skillName) {
+        var modifier = 0;
+        for (const active of this.active.values()) {
+            let perStack = active.effect.skillModifiers[skillName];
+            if (perStack) {
+                modifier += perStack * active.stacks;
+            }
+        }
+        return modifier;
+    }
+
+    /**
+     * Ticks every active effect with the given duration unit (default
+     * 'turns'): calls its `onTick`, applies its `hpPerTick`, and counts down
+     * its duration, ending it once it runs out.
+     */
+    tick(durationUnit) {
+        durationUnit = durationUnit || StatusEffect.DURATION_UNITS.turns;
+        // copy first, since effects may end while we're looping
+        for (const active of Array.from(this.active.values())) {
+            if (active.effect.durationUnit != durationUnit
+                    || this.active.get(active.effect.id) !== active) {
+                continue;
+            }
+            active.effect.onTick(this, active);
+            if (active.effect.hpPerTick) {
+                this.changeHp(active.effect.hpPerTick * active.stacks);
+            }
+            active.remaining--;
+            this.emit('effectTicked', StatusEffectManager._describe(active));
+            if (active.remaining <= 0) {
+                this._expire(active);
+            }
+        }
+    }
+
+    /**
+     * Ends every active effect with the given duration unit (e.g. 'battle',
+     * when the battle is over.)
+     */
+    expireAll(durationUnit) {
+        for (const active of Array.from(this.active.values())) {
+            if (durationUnit === undefined
+                    || active.effect.durationUnit == durationUnit) {
+                this._expire(active);
+            }
+        }
+    }
+
+    /**
+     * Returns the active effects as plain JSON-serializable data.
+     */
+    toJSON() {
+        return Array.from(this.active.values()).map((active) => {
+            return {
+                id: active.effect.id,
+                remaining: active.remaining,
+                stacks: active.stacks
+            };
+        });
+    }
+
+    /**
+     * Restores the active effects from the data returned by `toJSON()`,
+     * looking the effects up in the `Registry` of status effects (see
+     * Registry.js.) The hooks aren't called.
+     */
+    restore(data, statusEffectRegistry) {
+        this.active = new Map();
+        for (const saved of data) {
+            if (! statusEffectRegistry
+                    || ! statusEffectRegistry.has(saved.id)) {
+                throw new Error(
+                    `Saved status effect id "${saved.id}" isn't registered`
+                );
+            }
+            this.active.set(saved.id, {
+                effect: statusEffectRegistry.get(saved.id),
+                remaining: saved.remaining,
+                stacks: saved.stacks
+            });
+        }
+    }
+
+    /**
+     * Ends the active effect.
+     */
+    _expire(active) {
+        this.active.delete(active.effect.id);
+        active.effect.onExpire(this, active);
+        this.emit('effectExpired', StatusEffectManager._describe(active));
+    }
+
+    /**
+     * Returns a copy of the active effect, for events and the UI.
+     */
+    static _describe(active) {
+        return {
+            effect: active.effect,
+            remaining: active.remaining,
+            stacks: active.stacks
+        };
+    }
+}
+
+module.exports = {
+    StatusEffect: StatusEffect,
+    StatusEffectManager: StatusEffectManager
+};
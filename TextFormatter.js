@@ -0,0 +1,312 @@
+/**
+ * The English rules of `TextFormatter` (see `TextFormatter.LOCALES` below for
+ * what every locale needs.)
+ */
+var ENGLISH = {
+    // words starting with a vowel letter but not a vowel sound, and the
+    // other way around
+    consonantSoundPrefixes: ['uni', 'use', 'usu', 'uti', 'ure', 'eu', 'one',
+        'once'],
+    vowelSoundPrefixes: ['hour', 'honest', 'honor', 'honour', 'heir'],
+    irregularPlurals: {
+        man: 'men',
+        woman: 'women',
+        child: 'children',
+        person: 'people',
+        mouse: 'mice',
+        goose: 'geese',
+        tooth: 'teeth',
+        foot: 'feet',
+        ox: 'oxen',
+        die: 'dice',
+        knife: 'knives',
+        life: 'lives',
+        wife: 'wives',
+        wolf: 'wolves',
+        elf: 'elves',
+        dwarf: 'dwarves',
+        thief: 'thieves',
+        leaf: 'leaves',
+        loaf: 'loaves',
+        shelf: 'shelves',
+        half: 'halves',
+        staff: 'staves'
+    },
+    uncountable: ['sheep', 'deer', 'fish', 'moose', 'armor', 'armour',
+        'gold', 'equipment', 'ammo', 'mail', 'bread', 'water', 'money'],
+
+    definite(name) {
+        return `the ${name}`;
+    },
+
+    indefinite(name) {
+        var lower = name.toLowerCase();
+        var startsWith = (prefix) => lower.startsWith(prefix);
+        var vowelSound = /^[aeiou]/.test(lower);
+        if (this.consonantSoundPrefixes.some(startsWith)) {
+            vowelSound = false;
+        }
+        if (this.vowelSoundPrefixes.some(startsWith)) {
+            vowelSound = true;
+        }
+        return `${vowelSound ? 'an' : 'a'} ${name}`;
+    },
+
+    plural(name) {
+        // "potion of healing" --> "potions of healing"
+        var ofIndex = name.indexOf(' of ');
+        if (ofIndex > 0) {
+            return this.plural(name.slice(0, ofIndex)) + name.slice(ofIndex);
+        }
+        // "healing potion" --> "healing potions"
+        var lastSpace = name.lastIndexOf(' ');
+        if (lastSpace >= 0) {
+            return name.slice(0, lastSpace + 1)
+                + this.plural(name.slice(lastSpace + 1));
+        }
+
+        var lower = name.toLowerCase();
+        if (this.uncountable.includes(lower)) {
+            return name;
+        }
+        if (lower in this.irregularPlurals) {
+            let plural = this.irregularPlurals[lower];
+            // keep the capitalization of the first letter
+            return name[0] + plural.slice(1);
+        }
+        if (/(s|x|z|ch|sh)$/.test(lower)) {
+            return name + 'es';
+        }
+        if (/[^aeiou]y$/.test(lower)) {
+            return name.slice(0, -1) + 'ies';
+        }
+        return name + 's';
+    },
+
+    count(count, name, plural) {
+        if (count == 1) {
+            return this.indefinite(name);
+        }
+        return `${count} ${plural}`;
+    },
+
+    capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+};
+
+/**
+ * Constructs a TextFormatter, which writes the names of game objects (see
+ * GameObjects.js) into text with the right articles, plurals and
+ * capitalization, using `isProperName`: "a goblin", "an orc", "the goblin",
+ * but just "Grugg".
+ *
+ * Game objects can override the rules with optional `pluralName` and
+ * `indefiniteName` properties (e.g. "a unicorn" is right already, but for an
+ * item named "MRE" you could set `indefiniteName` to "an MRE".)
+ *
+ * The main method is `format()`, which fills in a template, e.g.:
+ *
+ * ```
+ *  formatter.format('{enemy:the} drops {loot:#quantity}.', {
+ *      enemy: goblin,
+ *      loot: potion,
+ *      quantity: 3
+ *  });
+ *  // "The goblin drops 3 potions."
+ * ```
+ *
+ * The placeholders are `{key}` (the value as is, or the plain name of a game
+ * object), `{key:the}` (with the definite article), `{key:a}` (with the
+ * indefinite article), `{key:plural}` (the plural name) and
+ * `{key:#countKey}` (the number in the `countKey` value of that many, e.g.
+ * "a potion" or "3 potions".) `{player}` is the name of the player, if there
+ * isn't a `player` value. Placeholders at the start of a sentence are
+ * capitalized, as is any placeholder whose key is written capitalized (e.g.
+ * `{Enemy:the}` for the `enemy` value.) Placeholders without a value are
+ * left as they are.
+ *
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      locale -- the name of one of `TextFormatter.LOCALES`, or a locale
+ *          rules object (see there), default 'en'
+ *
+ *      player -- the `Player` (see Player.js) for `{player}`
+ */
+class TextFormatter {
+    // The locale rules by name, which can be added to, e.g.
+    // `TextFormatter.LOCALES.fr = {...}`. A locale is an object with the
+    // following functions (where `this` is the locale):
+    //
+    // definite(name, object) -- the name with the definite article
+    //
+    // indefinite(name, object) -- the name with the indefinite article
+    //
+    // plural(name, object) -- the plural of the name
+    //
+    // count(count, name, plural, object) -- that many of the name, where
+    //      plural is the plural name
+    //
+    // capitalize(text) -- the text starting with a capital letter
+    //
+    // Proper names never get articles, so these are only called for common
+    // names.
+    static LOCALES = {
+        en: ENGLISH
+    };
+
+    static ARTICLES = {
+        definite: 'definite',
+        indefinite: 'indefinite',
+        none: 'none'
+    };
+
+    constructor(options) {
+        this.locale = TextFormatter.LOCALES.en;
+        this.player = null;
+        if (options) {
+            if (options.locale) {
+                this.setLocale(options.locale);
+            }
+            if (options.player) {
+                this.player = options.player;
+            }
+        }
+    }
+
+    /**
+     * Switches to the locale, either the name of one of
+     * `TextFormatter.LOCALES` or a locale rules object. Throws an Error if
+     * there is no locale with that name.
+     */
+    setLocale(locale) {
+        if (typeof locale == 'string') {
+            if (! (locale in TextFormatter.LOCALES)) {
+                throw new Error(`Unknown locale: ${locale}`);
+            }
+            locale = TextFormatter.LOCALES[locale];
+        }
+        this.locale = locale;
+    }
+
+    /**
+     * Returns the name of the game object with the article (one of
+     * `TextFormatter.ARTICLES`, default none.) Proper names never get one.
+     */
+    name(object, article) {
+        if (TextFormatter._isProperName(object)) {
+            return object.name;
+        }
+        if (article == TextFormatter.ARTICLES.definite) {
+            return this.locale.definite(object.name, object);
+        }
+        if (article == TextFormatter.ARTICLES.indefinite) {
+            if (object.indefiniteName) {
+                return object.indefiniteName;
+            }
+            return this.locale.indefinite(object.name, object);
+        }
+        return object.name;
+    }
+
+    /**
+     * Returns the plural name of the game object.
+     */
+    plural(object) {
+        if (object.pluralName) {
+            return object.pluralName;
+        }
+        if (TextFormatter._isProperName(object)) {
+            return object.name;
+        }
+        return this.locale.plural(object.name, object);
+    }
+
+    /**
+     * Returns the given number of the game object, e.g. "a potion" or
+     * "3 potions".
+     */
+    count(object, count) {
+        if (TextFormatter._isProperName(object)) {
+            return (count == 1) ? object.name : `${count} ${object.name}`;
+        }
+        if (count == 1 && object.indefiniteName) {
+            return object.indefiniteName;
+        }
+        return this.locale.count(
+            count, object.name, this.plural(object), object
+        );
+    }
+
+    /**
+     * Returns the text starting with a capital letter (skipping any leading
+     * HTML tags.)
+     */
+    capitalize(text) {
+        var match = /^(\s*(?:<[^>]*>\s*)*)(.*)$/s.exec(text);
+        return match[1] + this.locale.capitalize(match[2]);
+    }
+
+    /**
+     * Fills in the template (see above) with the values, an object of key
+     * to value.
+     */
+    format(template, values) {
+        values = Object.assign({}, values);
+        if (! ('player' in values) && this.player) {
+            values.player = this.player;
+        }
+
+        var regex = /\{([A-Za-z_$][\w$]*)(?::(the|a|plural|#[\w$]+))?\}/g;
+        return template.replace(regex, (placeholder, key, modifier, index) => {
+            var valueKey = key.charAt(0).toLowerCase() + key.slice(1);
+            if (! (valueKey in values) || (modifier && modifier[0] == '#'
+                    && ! (modifier.slice(1) in values))) {
+                return placeholder;
+            }
+            var text = this._formatValue(values[valueKey], modifier, values);
+            var startsSentence = /(^|[.!?]\s+)(<[^>]*>\s*)*$/.test(
+                template.slice(0, index)
+            );
+            if (startsSentence || key != valueKey) {
+                text = this.capitalize(text);
+            }
+            return text;
+        });
+    }
+
+    /**
+     * Formats a value for a placeholder with the modifier (see format().)
+     */
+    _formatValue(value, modifier, values) {
+        if (value === null || typeof value != 'object') {
+            return String(value);
+        }
+        if (modifier == 'the') {
+            return this.name(value, TextFormatter.ARTICLES.definite);
+        }
+        if (modifier == 'a') {
+            return this.name(value, TextFormatter.ARTICLES.indefinite);
+        }
+        if (modifier == 'plural') {
+            return this.plural(value);
+        }
+        if (modifier) {
+            return this.count(value, values[modifier.slice(1)]);
+        }
+        return value.name;
+    }
+
+    /**
+     * Whether the object's name is a proper name; objects without
+     * `isProperName` (e.g. the `Player`) count as proper names.
+     */
+    static _isProperName(object) {
+        return (object.isProperName === undefined) || !! object.isProperName;
+    }
+}
+
+module.exports = {
+    TextFormatter: TextFormatter
+};
@@ -1,3 +1,5 @@
+var Animation = require('./Animation').Animation;
+
 /**
  * This class contains static utilities for dealing with DOM elements, HTML
  * transitions, effects, and other technical aspects of the game.
@@ -23,37 +25,108 @@ class WebUtils {
 
     /**
      * Prepare the given array of HTML elements as blocks that can be selected
-     * during game -- the mouse events trigger border color changes to
-     * indicate the selection status. Only one of the blocks in this array can
-     * be selected at a given time, and selecting another block in this array
-     * causes the previously selected block to be un-selected.
+     * during game -- the mouse and keyboard events trigger border color
+     * changes to indicate the selection status. By default, only one of the
+     * blocks in this array can be selected at a given time, and selecting
+     * another block in this array causes the previously selected block to be
+     * un-selected. This models an exclusive option choice in game.
+     * 
+     * With the `multiple` option, any number of blocks (between `minSelected`
+     * and `maxSelected`) can be selected, and clicking a block toggles it.
+     * 
+     * The blocks can also be used with the keyboard: each block is focusable,
+     * the arrow keys (and Home/End) move the focus between blocks (without
+     * selecting, unless the `selectOnFocus` option is set), Enter or Space
+     * selects (or toggles) the focused block, and the number keys 1-9 select
+     * the corresponding block. The blocks get `role="radio"` (or
+     * `role="option"` with `multiple`) and their group element gets
+     * `role="radiogroup"` (or `role="listbox"`), with the matching ARIA
+     * attributes kept up to date. The blocks also get the CSS classes
+     * `plawser-selectable`, and `plawser-selected`/`plawser-disabled` as
+     * appropriate, for styling.
+     * 
+     * Returns a controller object with the following methods:
+     * 
+     * getSelectedIndex() -- the index of the currently selected element, or
+     *      -1 if no element is selected (with `multiple`, the lowest selected
+     *      index)
      * 
-     * This models an exclusive option choice in game.
+     * getSelectedIndices() -- a sorted array of the selected indices
      * 
-     * Returns a function that indicates the index of the currently selected
-     * element. (We can't just return the index value, since the returned
-     * value wouldn't be updated.) If no element is selected, the function
-     * returns -1.
+     * setSelected(index or array of indices) -- selects exactly the given
+     *      indices (without calling `onSelect`/`onDeselect`); -1 or an empty
+     *      array clears the selection
+     * 
+     * isValid() -- whether the number selected is within `minSelected` and
+     *      `maxSelected` (for a single choice, whether one is selected)
+     * 
+     * setDisabled(index, disabled) -- disables (or re-enables) the element,
+     *      which un-selects it, and skips it for keyboard navigation
+     * 
+     * focus(index) -- moves the keyboard focus to the element
+     * 
+     * destroy() -- removes every handler and attribute added here
      * 
      * You can also specify optional options:
      * 
      * defaultColor -- the border color when there's no mouse over and it's
      *      not selected (default black)
      * 
-     * mouseOverColor -- the border color when the mouse goes over an
-     *      unselected element (default orange)
+     * mouseOverColor -- the border color when the mouse goes over (or the
+     *      keyboard focus is on) an unselected element (default orange)
      * 
      * selectedColor -- the border color when the block is selected (default
      *      red)
      * 
+     * inlineStyles -- whether to set the border colors (and border, cursor
+     *      and opacity styles) inline, default true; set to false to style
+     *      the blocks with the CSS classes instead
+     * 
      * onSelect -- a callback to run when the block is selected, with an
      *      argument of the index selected
+     * 
+     * onDeselect -- a callback to run when the block is un-selected by a
+     *      toggle (only with `multiple`), with an argument of the index
+     * 
+     * multiple -- whether several blocks can be selected, default false
+     * 
+     * selectOnFocus -- without `multiple`, whether moving the focus with the
+     *      arrow keys (or Home/End) also selects the block, as in a radio
+     *      group, default false (since `onSelect` often commits the choice)
+     * 
+     * minSelected -- with `multiple`, the min number of blocks that should
+     *      be selected (see `isValid()`), default 0
+     * 
+     * maxSelected -- with `multiple`, the max number of blocks that can be
+     *      selected (selecting more is ignored), default unlimited
+     * 
+     * label -- the accessible label (`aria-label`) of the group
+     * 
+     * groupEl -- the element that gets the group role, default the parent
+     *      of the blocks if they all have the same one
      */
     static prepareElsAsSelectableBlocks(els, options) {
         var defaultColor = 'black';
         var mouseOverColor = 'orange';
         var selectedColor = 'red';
+        var inlineStyles = true;
         var onSelect = function(index) {};
+        var onDeselect = function(index) {};
+        var multiple = false;
+        var selectOnFocus = false;
+        var minSelected = 0;
+        var maxSelected = Infinity;
+        var label = null;
+        var groupEl = null;
+        if (els.length > 0 && els[0].parentElement) {
+            groupEl = els[0].parentElement;
+            for (let i=1; i<els.length; i++) {
+                if (els[i].parentElement !== groupEl) {
+                    groupEl = null;
+                    break;
+                }
+            }
+        }
 
         if (options) {
             if (options.defaultColor) {
@@ -65,74 +138,312 @@ class WebUtils {
             if (options.selectedColor) {
                 selectedColor = options.selectedColor;
             }
+            if (options.inlineStyles !== undefined) {
+                inlineStyles = options.inlineStyles;
+            }
             if (options.onSelect) {
                 onSelect = options.onSelect;
             }
+            if (options.onDeselect) {
+                onDeselect = options.onDeselect;
+            }
+            if (options.multiple) {
+                multiple = true;
+            }
+            if (options.selectOnFocus) {
+                selectOnFocus = true;
+            }
+            if (options.minSelected !== undefined) {
+                minSelected = options.minSelected;
+            }
+            if (options.maxSelected !== undefined) {
+                maxSelected = options.maxSelected;
+            }
+            if (options.label) {
+                label = options.label;
+            }
+            if (options.groupEl) {
+                groupEl = options.groupEl;
+            }
         }
 
-        // If we do a simple for-loop with index i and try to update els[i],
-        // this will fail because during callbacks i will be els.length from
-        // the end of the loop, not what the i value was when setting. So we
-        // must take care to not use i or another loop variable in a callback.
+        var selected = new Set();
+        var disabled = new Set();
+        var hovered = -1;
+        var focused = -1;
+        // array (per element) of [eventName, handler] pairs, for destroy()
+        var handlers = [];
 
-        var activeIndex = -1;
+        // Updates the border color, classes and ARIA state of the element at
+        // the index to match the state above.
+        var refresh = function(index) {
+            var el = els[index];
+            var isSelected = selected.has(index);
+            var isDisabled = disabled.has(index);
+            el.classList.toggle('plawser-selected', isSelected);
+            el.classList.toggle('plawser-disabled', isDisabled);
+            el.setAttribute(
+                multiple ? 'aria-selected' : 'aria-checked', String(isSelected)
+            );
+            if (isDisabled) {
+                el.setAttribute('aria-disabled', 'true');
+            }
+            else {
+                el.removeAttribute('aria-disabled');
+            }
+            if (inlineStyles) {
+                if (isSelected) {
+                    el.style.borderColor = selectedColor;
+                }
+                else if (! isDisabled && (hovered == index
+                        || focused == index)) {
+                    el.style.borderColor = mouseOverColor;
+                }
+                else {
+                    el.style.borderColor = defaultColor;
+                }
+                el.style.opacity = isDisabled ? 0.5 : '';
+                el.style.cursor = isDisabled ? 'default' : 'pointer';
+            }
+        };
 
-        for (var i=0; i<els.length; i++) {
-            // so that the border is visible
-            els[i].style.borderStyle = 'solid';
-            els[i].style.borderWidth = 'medium';
+        // Only the focused element (or, before any focus, the first selected
+        // or enabled one) is reachable with Tab, and the arrow keys move
+        // between the rest ("roving tabindex".)
+        var refreshTabIndices = function() {
+            var tabbable = focused;
+            if (tabbable == -1 || disabled.has(tabbable)) {
+                tabbable = controller.getSelectedIndex();
+            }
+            if (tabbable == -1 || disabled.has(tabbable)) {
+                tabbable = nextEnabled(-1, 1);
+            }
+            for (let i=0; i<els.length; i++) {
+                els[i].tabIndex = (i == tabbable) ? 0 : -1;
+            }
+        };
 
-            els[i].style.cursor = 'pointer';
+        // Returns the next enabled index from the index in the direction (1
+        // or -1), wrapping around, or -1 if every element is disabled.
+        var nextEnabled = function(index, direction) {
+            for (let step=1; step<=els.length; step++) {
+                let candidate = (
+                    (index + direction * step) % els.length + els.length
+                ) % els.length;
+                if (! disabled.has(candidate)) {
+                    return candidate;
+                }
+            }
+            return -1;
+        };
 
-            // There is an issue with e.target being a child element instead
-            // of the parent div element that we want. We use whichIsParent()
-            // to deal with this. (This should only be an issue for onclick,
-            // but we use whichIsParent() throughout to be safe.)
+        // What happens when the element at the index is clicked (or chosen
+        // with the keyboard.)
+        var choose = function(index) {
+            if (disabled.has(index)) {
+                return;
+            }
+            if (multiple) {
+                if (selected.has(index)) {
+                    selected.delete(index);
+                    refresh(index);
+                    onDeselect(index);
+                }
+                else if (selected.size < maxSelected) {
+                    selected.add(index);
+                    refresh(index);
+                    onSelect(index);
+                }
+                return;
+            }
+            // call the onSelect callback only if this was newly selected (not
+            // just re-selected)
+            if (selected.has(index)) {
+                return;
+            }
+            // update the selection first before running onSelect, so that if
+            // onSelect calls the controller, then the info is consistent
+            var previous = Array.from(selected);
+            selected.clear();
+            selected.add(index);
+            for (const previousIndex of previous) {
+                refresh(previousIndex);
+            }
+            refresh(index);
+            onSelect(index);
+        };
+
+        var controller = {
+            getSelectedIndex: function() {
+                var indices = controller.getSelectedIndices();
+                return (indices.length > 0) ? indices[0] : -1;
+            },
+
+            getSelectedIndices: function() {
+                return Array.from(selected).sort((a, b) => a - b);
+            },
 
-            els[i].style.borderColor = defaultColor; // default border color
-            els[i].onmouseenter = function(e) {
-                var thisElsIndex = WebUtils.whichIsParent(e.target, els);
-                // only do the border color animation if this isn't already
-                // selected
-                if(activeIndex != thisElsIndex) {
-                    els[thisElsIndex].style.borderColor = mouseOverColor;
+            setSelected: function(indices) {
+                if (! Array.isArray(indices)) {
+                    indices = (indices == -1) ? [] : [indices];
                 }
-            };
-            els[i].onmouseleave = function(e) {
-                var thisElsIndex = WebUtils.whichIsParent(e.target, els);
-                // only do the border color animation if this isn't already
-                // selected
-                if(activeIndex != thisElsIndex) {
-                    els[thisElsIndex].style.borderColor = defaultColor;
+                if (! multiple) {
+                    indices = indices.slice(0, 1);
                 }
-            };
-            els[i].onclick = function(e) {
-                // unselect the previous one
-                if (activeIndex != -1) {
-                    els[activeIndex].style.borderColor = defaultColor;
+                selected.clear();
+                for (const index of indices) {
+                    if (! disabled.has(index)) {
+                        selected.add(index);
+                    }
                 }
-                // now select this one
-                var thisElsIndex = WebUtils.whichIsParent(e.target, els);
-                els[thisElsIndex].style.borderColor = selectedColor;
-                // call the onSelect callback if this was newly selected (not
-                // just re-selected)
-                if (activeIndex != thisElsIndex) {
-                    // update activeIndex first before running onSelect, so
-                    // that if onSelect calls the function returned from
-                    // prepareElsAsSelectableBlocks, then the info is
-                    // consistent
-                    activeIndex = thisElsIndex;
-                    onSelect(activeIndex);
+                for (let i=0; i<els.length; i++) {
+                    refresh(i);
+                }
+                refreshTabIndices();
+            },
+
+            isValid: function() {
+                if (! multiple) {
+                    return selected.size == 1;
+                }
+                return selected.size >= minSelected
+                    && selected.size <= maxSelected;
+            },
+
+            setDisabled: function(index, isDisabled) {
+                if (isDisabled) {
+                    disabled.add(index);
+                    selected.delete(index);
                 }
-                else {  // need to update the activeIndex either way
-                    activeIndex = thisElsIndex;
+                else {
+                    disabled.delete(index);
                 }
-            };
+                refresh(index);
+                refreshTabIndices();
+            },
+
+            focus: function(index) {
+                if (index >= 0 && index < els.length) {
+                    els[index].focus();
+                }
+            },
+
+            destroy: function() {
+                for (let i=0; i<els.length; i++) {
+                    for (const [eventName, handler] of handlers[i]) {
+                        els[i].removeEventListener(eventName, handler);
+                    }
+                    els[i].classList.remove(
+                        'plawser-selectable', 'plawser-selected',
+                        'plawser-disabled'
+                    );
+                    for (const attribute of ['role', 'tabindex',
+                            'aria-checked', 'aria-selected',
+                            'aria-disabled']) {
+                        els[i].removeAttribute(attribute);
+                    }
+                }
+                if (groupEl) {
+                    for (const attribute of ['role', 'aria-multiselectable',
+                            'aria-label']) {
+                        groupEl.removeAttribute(attribute);
+                    }
+                }
+            }
+        };
+
+        if (groupEl) {
+            groupEl.setAttribute('role', multiple ? 'listbox' : 'radiogroup');
+            if (multiple) {
+                groupEl.setAttribute('aria-multiselectable', 'true');
+            }
+            if (label) {
+                groupEl.setAttribute('aria-label', label);
+            }
         }
 
-        return function() {
-            return activeIndex;
+        // Using `let` for the loop variable gives each callback its own i,
+        // so (unlike with `var`) we can refer to i in the callbacks.
+
+        for (let i=0; i<els.length; i++) {
+            if (inlineStyles) {
+                // so that the border is visible
+                els[i].style.borderStyle = 'solid';
+                els[i].style.borderWidth = 'medium';
+            }
+            els[i].classList.add('plawser-selectable');
+            els[i].setAttribute('role', multiple ? 'option' : 'radio');
+
+            handlers.push([
+                ['mouseenter', function() {
+                    hovered = i;
+                    refresh(i);
+                }],
+                ['mouseleave', function() {
+                    hovered = -1;
+                    refresh(i);
+                }],
+                ['focus', function() {
+                    focused = i;
+                    refresh(i);
+                    refreshTabIndices();
+                }],
+                ['blur', function() {
+                    focused = -1;
+                    refresh(i);
+                }],
+                ['click', function() {
+                    choose(i);
+                }],
+                ['keydown', function(e) {
+                    let target = -1;
+                    if (e.key == 'ArrowDown' || e.key == 'ArrowRight') {
+                        target = nextEnabled(i, 1);
+                    }
+                    else if (e.key == 'ArrowUp' || e.key == 'ArrowLeft') {
+                        target = nextEnabled(i, -1);
+                    }
+                    else if (e.key == 'Home') {
+                        target = nextEnabled(-1, 1);
+                    }
+                    else if (e.key == 'End') {
+                        target = nextEnabled(els.length, -1);
+                    }
+                    else if (e.key == 'Enter' || e.key == ' ') {
+                        e.preventDefault();
+                        choose(i);
+                        return;
+                    }
+                    else if (/^[1-9]$/.test(e.key)
+                            && parseInt(e.key) <= els.length) {
+                        target = parseInt(e.key) - 1;
+                        if (! disabled.has(target)) {
+                            e.preventDefault();
+                            controller.focus(target);
+                            choose(target);
+                        }
+                        return;
+                    }
+                    else {
+                        return;
+                    }
+                    e.preventDefault();
+                    controller.focus(target);
+                    // with a single choice, moving the focus can also
+                    // select, as is usual for radio groups
+                    if (selectOnFocus && ! multiple && target != -1) {
+                        choose(target);
+                    }
+                }]
+            ]);
+            for (const [eventName, handler] of handlers[i]) {
+                els[i].addEventListener(eventName, handler);
+            }
+            refresh(i);
         }
+        refreshTabIndices();
+
+        return controller;
     }
 
     /**
@@ -140,233 +451,70 @@ class WebUtils {
      * to either side can be clicked to navigate the slideshow. Handles
      * transitions as well.
      * 
-     * (Since movement transitions can be complex with many nested elements
-     * having their own absolute/relative/etc positions, we do fade transitions
-     * here.)
-     * 
      * Returns the HTML element for the slideshow, and adds the divs directly
      * (therefore modifying their parents), rather than copy them.
      * 
+     * This is a shortcut for `new Slideshow(divs, options).element`; use a
+     * `Slideshow` (see Slideshow.js) directly to control the slideshow from
+     * code, listen for page changes, or change its items.
+     * 
      * You can also specify optional options:
      * 
      * numVisible -- the number of divs visible at a time, default 3
      * 
      * fadeTimeStep -- the time step for the next frame of the fade animation,
      *      default 10 milliseconds
+     * 
+     * (and the other options of `Slideshow`.)
      */
     static prepareSlideshow(divs, options) {
-        var numVisible = 3;
-        var fadeTimeStep = 10;
-        if (options) {
-            if (options.numVisible) {
-                numVisible = options.numVisible;
-            }
-            if (options.fadeTimeStep) {
-                fadeTimeStep = options.fadeTimeStep;
-            }
-        }
-
-        // To show a row, we use a table html element.
-        // We actually create multiple rows, each flanked by left and right
-        // arrow buttons. When the buttons are clicked, we fade transition to
-        // the relevant row. Only one row is visible at a time (the others are
-        // display: none.)
-
-        var slideShowEl = document.createElement('table');
-        var trEls = [];
-
-        // We have to be careful to not refer to loop variables in callbacks.
-        // The only variable we can refer to (that won't be changed by the time
-        // the callback is triggered) is e.target, the button itself.
-        // To deal with this, we include "hidden text" with the button that
-        // indicates the index. This text will always be display: none.
-
-        for (let i=0; i<divs.length / numVisible; i++) {
-            let trEl = document.createElement('tr');
-
-            // Default every tr element to display: none except the first.
-
-            if(i>0) {
-                trEl.style.display = 'none';
-            }
-
-            // We append the td elements in order. First, the left button.
-
-            let leftButton = document.createElement('button');
-            // style the button to display nicely
-            leftButton.style.height = '100%';
-            leftButton.style.fontSize = 'large';
-            leftButton.innerHTML += (
-                `<span>&larr;</span><span style="display:none">${i}</span>`
-            );
-            if (i==0) {     // nothing comes before, left button disabled
-                leftButton.disabled = true;
-            }
-            // assume that the click can't happen if disabled
-            leftButton.onclick = function(e) {
-                // Sometimes e.target is the button, other times it's the
-                // arrow span element.
-                let trElIndexForThisButton;
-                if (e.target instanceof HTMLButtonElement) {
-                    trElIndexForThisButton = parseFloat(
-                        e.target.children.item(1).textContent
-                    );
-                }
-                else if (e.target instanceof HTMLSpanElement) {
-                    trElIndexForThisButton = parseFloat(
-                        e.target.nextSibling.textContent
-                    );
-                }
-                let trElForThisButton = trEls[trElIndexForThisButton];
-                WebUtils.fadeOut(trElForThisButton, () => {
-                    trElForThisButton.style.display = 'none';
-                    trEls[trElIndexForThisButton-1].style.display = 'inline';
-                    trEls[trElIndexForThisButton-1].style.opacity = 1.0;
-                }, {
-                    fadeTimeStep: fadeTimeStep
-                });
-            };
-            let leftButtonTdEl = document.createElement('td');
-            leftButtonTdEl.appendChild(leftButton);
-            trEl.appendChild(leftButtonTdEl);
-            
-            // Next, the div elements in this row.
-
-            let divIndex = i * numVisible;
-            // This is necessary since the end row could have less than
-            // numVisible divs in it.
-            while(divIndex < divs.length) {
-                let tdEl = document.createElement('td');
-                tdEl.appendChild(divs[divIndex]);
-                trEl.appendChild(tdEl);
-                divIndex++;
-            }
-
-            // Then, the right button.
-
-            let rightButton = document.createElement('button');
-            // style the button to display nicely
-            rightButton.style.height = '100%';
-            rightButton.style.fontSize = 'large';
-            rightButton.innerHTML += (
-                `<span>&rarr;</span><span style="display:none">${i}</span>`
-            );
-            // nothing comes before, right button disabled
-            if (i>=divs.length/numVisible-1) {
-                rightButton.disabled = true;
-            }
-            // assume that the click can't happen if disabled
-            rightButton.onclick = function(e) {
-                // Sometimes e.target is the button, other times it's the
-                // arrow span element.
-                let trElIndexForThisButton;
-                if (e.target instanceof HTMLButtonElement) {
-                    trElIndexForThisButton = parseFloat(
-                        e.target.children.item(1).textContent
-                    );
-                }
-                else if (e.target instanceof HTMLSpanElement) {
-                    trElIndexForThisButton = parseFloat(
-                        e.target.nextSibling.textContent
-                    );
-                }
-                let trElForThisButton = trEls[trElIndexForThisButton];
-                WebUtils.fadeOut(trElForThisButton, () => {
-                    trElForThisButton.style.display = 'none';
-                    trEls[trElIndexForThisButton+1].style.display = 'inline';
-                    trEls[trElIndexForThisButton+1].style.opacity = 1.0;
-                }, {
-                    fadeTimeStep: fadeTimeStep
-                });
-            };
-            let rightButtonTdEl = document.createElement('td');
-            rightButtonTdEl.appendChild(rightButton);
-            trEl.appendChild(rightButtonTdEl);
-
-            // Finally, add this tr element to the trEls array (which we
-            // expect to be full in the callback, so no issue referring to
-            // trEls in the callback.)
-
-            trEls.push(trEl);
-        }
-
-        // Add all the tr elements to the parent slideshow element, and return
-        // the parent.
-
-        for (let i=0; i<trEls.length; i++) {
-            slideShowEl.appendChild(trEls[i]);
-        }
-        return slideShowEl;
+        // required here rather than at the top, since Slideshow.js requires
+        // this file
+        var Slideshow = require('./Slideshow').Slideshow;
+        return new Slideshow(divs, options).element;
     }
 
     /**
-     * Fade the dom element in, executing the callback after.
+     * Fade the dom element in, executing the callback (optional) after.
      * 
      * You can optionally specify a fadeTimeStep, which is the amount of time
-     * to wait until the next frame of the fade animation. By default, this is
-     * 80 milliseconds.
+     * each tenth of the fade takes. By default, this is 80 milliseconds.
+     * You can also specify any of the options of `Animation.animate()` (see
+     * Animation.js), e.g. a `duration` for the whole fade (instead of the
+     * fadeTimeStep) or an `easing`.
      * 
      * Only modifies the style.opacity property, not style.display.
+     * 
+     * Returns the `AnimationHandle`, which can be awaited, cancelled or
+     * finished early. A new fade (or other animation) of the same element
+     * replaces (cancels) this one. The callback is executed however the fade
+     * ends, so whatever waits on it doesn't get stuck, and is passed the
+     * result (one of `Animation.RESULTS`) in case it cares.
      */
     static fadeIn(domEl, callback, options) {
-        var fadeTimeStep = 80;
-        if (options && options.fadeTimeStep) {
-            fadeTimeStep = options.fadeTimeStep;
-        }
-        // needed to be consistent about opacity format
-        if (! domEl.style.opacity) {
-            domEl.style.opacity = 1.0;
-        }
-        // now, animate the fade
-        setTimeout(() => {
-            let newOpacity = parseFloat(domEl.style.opacity) + 0.1;
-            if (newOpacity > 1.0) {
-                domEl.style.opacity = 1.0;
-                callback();
-            }
-            else {
-                domEl.style.opacity = newOpacity;
-                WebUtils.fadeIn(domEl, callback);
-            }
-        }, fadeTimeStep);
+        return WebUtils._fadeTo(domEl, 1.0, callback, options);
     }
 
     /**
-     * Fade the dom element out, executing the callback after.
+     * Fade the dom element out, executing the callback (optional) after.
      * 
-     * You can optionally specify a fadeTimeStep, which is the amount of time
-     * to wait until the next frame of the fade animation. By default, this is
-     * 80 milliseconds.
+     * Takes the same options, and returns the same, as `fadeIn()`.
      * 
      * Only modifies the style.opacity property, not style.display.
      */
     static fadeOut(domEl, callback, options) {
-        var fadeTimeStep = 80;
-        if (options && options.fadeTimeStep) {
-            fadeTimeStep = options.fadeTimeStep;
-        }
-        // needed to be consistent about opacity format
-        if (! domEl.style.opacity) {
-            domEl.style.opacity = 1.0;
-        }
-        setTimeout(() => {
-            let newOpacity = parseFloat(domEl.style.opacity) - 0.1;
-            if (newOpacity < 0.0) {
-                domEl.style.opacity = 0.0;
-                callback();
-            }
-            else {
-                domEl.style.opacity = newOpacity;
-                WebUtils.fadeOut(domEl, callback);
-            }
-        }, fadeTimeStep);
+        return WebUtils._fadeTo(domEl, 0.0, callback, options);
     }
 
     /**
-     * Progressively fade in the children of the given dom element.
+     * Progressively fade in the children of the given dom element, executing
+     * the callback (optional) after.
      * 
      * You can optionally specify a fadeTimeout, which is the timeout between
-     * each fade in. By default, this is 2000 milliseconds.
+     * each fade in. By default, this is 2000 milliseconds. The other options
+     * are passed on to `fadeIn()`.
+     * 
+     * Returns a Promise that resolves once every child is faded in.
      */
     static fadeInChildrenProgressively(domEl, callback, options) {
         var timeoutBetweenTextBlocks = 2000;
@@ -375,22 +523,49 @@ class WebUtils {
         }
 
         var domElChildren = domEl.children;
-        // We have to pass in the value of i correctly for the subsequent
-        // callbacks, e.g. we can't refer to loop variable i in the callback.
         var fadeInRecursive = function(i) {
             if (i >= domElChildren.length) {  // "base case", going upward
-                callback();
-                return false;
-            }
-            WebUtils.fadeIn(domElChildren.item(i), () => {
-                // pause for some time
-                setTimeout(() => {
-                    fadeInRecursive(i+1);
-                }, timeoutBetweenTextBlocks);
-            });
+                if (callback) {
+                    callback();
+                }
+                return Promise.resolve();
+            }
+            return WebUtils.fadeIn(domElChildren.item(i), null, options)
+                .then(() => {
+                    // pause for some time
+                    return Animation.wait(timeoutBetweenTextBlocks);
+                })
+                .then(() => fadeInRecursive(i+1));
         };
 
-        fadeInRecursive(0);
+        return fadeInRecursive(0);
+    }
+
+    /**
+     * Does the actual fade for fadeIn() and fadeOut().
+     */
+    static _fadeTo(domEl, opacity, callback, options) {
+        var fadeTimeStep = 80;
+        if (options && options.fadeTimeStep) {
+            fadeTimeStep = options.fadeTimeStep;
+        }
+        // needed to be consistent about opacity format
+        if (! domEl.style.opacity) {
+            domEl.style.opacity = 1.0;
+        }
+        // like before, the fade takes fadeTimeStep per tenth of opacity, and
+        // goes at a constant speed (unless told otherwise)
+        var distance = Math.abs(opacity - parseFloat(domEl.style.opacity));
+        var handle = Animation.fadeTo(domEl, opacity, Object.assign({
+            duration: Math.round(distance * 10) * fadeTimeStep,
+            easing: 'linear'
+        }, options));
+        handle.then((result) => {
+            if (callback) {
+                callback(result);
+            }
+        });
+        return handle;
     }
 }
 
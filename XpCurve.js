@@ -0,0 +1,147 @@
+/**
+ * Constructs an XpCurve, which converts between XP and XP levels in both
+ * directions, so that a `Player` (see Player.js) doesn't need a hand-written
+ * `getLevelFromXp`, and the UI can show how far the player is from the next
+ * level. Levels start at 1, with 0 XP.
+ *
+ * The usual curves are made with the static builders, e.g.:
+ *
+ * ```
+ *  var curve = XpCurve.quadratic(50);
+ *  var player = new Player('Ana', skills, 0, curve, []);
+ *  curve.xpToNextLevel(player.xp);
+ * ```
+ *
+ * @param xpForLevel (required)
+ *      a function that computes the total XP needed to reach a level,
+ *      signature `(level) --> number`; it must be 0 for level 1 and increase
+ *      with the level
+ * @param options (optional)
+ *      an object with any of the following:
+ *
+ *      maxLevel -- the highest level, default 100
+ */
+class XpCurve {
+    constructor(xpForLevel, options) {
+        this._xpForLevel = xpForLevel;
+        this.maxLevel = 100;
+        if (options) {
+            if (options.maxLevel) {
+                this.maxLevel = options.maxLevel;
+            }
+        }
+        // bound, so it can be passed around as a plain function
+        this.getLevelFromXp = this.getLevelFromXp.bind(this);
+    }
+
+    /**
+     * Returns a curve where every level takes the same XP.
+     */
+    static linear(xpPerLevel, options) {
+        return new XpCurve((level) => xpPerLevel * (level - 1), options);
+    }
+
+    /**
+     * Returns a curve where the total XP for a level grows with the square of
+     * the level, i.e. `xpFactor * (level - 1)^2`.
+     */
+    static quadratic(xpFactor, options) {
+        return new XpCurve((level) => {
+            return xpFactor * Math.pow(level - 1, 2);
+        }, options);
+    }
+
+    /**
+     * Returns a curve where reaching level 2 takes `baseXp`, and every level
+     * after that takes `growth` times the XP of the one before it.
+     */
+    static exponential(baseXp, growth, options) {
+        return new XpCurve((level) => {
+            if (growth == 1) {
+                return baseXp * (level - 1);
+            }
+            return Math.round(
+                baseXp * (Math.pow(growth, level - 1) - 1) / (growth - 1)
+            );
+        }, options);
+    }
+
+    /**
+     * Returns a curve from an array of the total XP needed for each level,
+     * starting with level 1 (so the first value must be 0.) The max level is
+     * the length of the array.
+     */
+    static table(thresholds) {
+        return new XpCurve((level) => thresholds[level - 1], {
+            maxLevel: thresholds.length
+        });
+    }
+
+    /**
+     * Returns the total XP needed to reach the level.
+     */
+    xpForLevel(level) {
+        if (level <= 1) {
+            return 0;
+        }
+        return this._xpForLevel(Math.min(level, this.maxLevel));
+    }
+
+    /**
+     * Returns the level reached with the XP.
+     */
+    getLevelFromXp(xp) {
+        // We find a level above the answer by doubling, then binary search
+        // between that and the level below it.
+        var low = 1;
+        var high = Math.min(2, this.maxLevel);
+        while (high < this.maxLevel && this.xpForLevel(high) <= xp) {
+            low = high;
+            high = Math.min(high * 2, this.maxLevel);
+        }
+        if (this.xpForLevel(high) <= xp) {
+            return high;
+        }
+        // the answer is at least low and below high
+        while (high - low > 1) {
+            let middle = Math.floor((low + high) / 2);
+            if (this.xpForLevel(middle) <= xp) {
+                low = middle;
+            }
+            else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Returns the XP still needed from the XP to the next level, or 0 at the
+     * max level.
+     */
+    xpToNextLevel(xp) {
+        var level = this.getLevelFromXp(xp);
+        if (level >= this.maxLevel) {
+            return 0;
+        }
+        return this.xpForLevel(level + 1) - xp;
+    }
+
+    /**
+     * Returns how far the XP is from the current level to the next, as a
+     * percentage (0 to 100; 100 at the max level.)
+     */
+    getProgressPercentage(xp) {
+        var level = this.getLevelFromXp(xp);
+        if (level >= this.maxLevel) {
+            return 100;
+        }
+        var levelXp = this.xpForLevel(level);
+        var nextLevelXp = this.xpForLevel(level + 1);
+        return (xp - levelXp) / (nextLevelXp - levelXp) * 100;
+    }
+}
+
+module.exports = {
+    XpCurve: XpCurve
+};